@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+// Alerter: runs the alert rules (see ais-alerts.js) over the receiver's live MQTT feed, or over messages on stdin or in
+// files, printing each alert, appending it as a JSON line to a log and publishing it to MQTT (ais/alerts)
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { resolveOptions, formatHelp, loadConfig } = require('./ais-options.js');
+const { createMqttClient, parseMqttUrl } = require('./ais-mqtt.js');
+const { createNmeaDecoder } = require('./ais-nmea.js');
+const { loadStations, selectStations } = require('./ais-stations.js');
+const { parseTimestamp } = require('./ais-time.js');
+const { compileRules, createAlertEngine } = require('./ais-alerts.js');
+
+const DEFAULT_RULES = ['ais-alerts.yaml', 'ais-alerts.yml', 'ais-alerts.json'].map((name) => path.join(__dirname, name));
+const DEFAULT_MQTT = 'mqtt://localhost:1883/ais/data';
+const TICK_INTERVAL = 10000; // ms, silence checks
+
+const USAGE = ['node ais-alerter.js --mqtt[=mqtt://host[:port][/topic]] [options]', 'mosquitto_sub -t ais/data | node ais-alerter.js [options]', 'node ais-alerter.js <file>... [options]'];
+
+// in --help order, see ais-options.js for the fields
+const OPTIONS = [
+    { name: 'help', type: 'boolean', description: 'Show this help (also -h)' },
+    { name: 'rules', type: 'file', value: 'file', description: 'Zones, watch-lists and rules (YAML or JSON), see ais-alerts.js', defaultText: 'ais-alerts.yaml or .json beside this script' },
+    { name: 'mqtt', type: 'string', value: 'URL', optional: DEFAULT_MQTT, description: `Subscribe to the receiver's MQTT feed instead of reading stdin (default: ${DEFAULT_MQTT})` },
+    { name: 'publish', type: 'string', value: 'URL', description: 'Publish alerts to this broker', defaultText: 'the --mqtt broker' },
+    { name: 'alerts-topic', type: 'string', value: 'topic', default: 'ais/alerts', description: 'Topic the alerts are published on' },
+    { name: 'no-publish', type: 'boolean', description: 'Do not publish alerts to MQTT' },
+    { name: 'log', type: 'string', value: 'file', description: 'Append alerts to this file as JSON lines' },
+    { name: 'stations', type: 'file', value: 'file', description: 'Station config for proximity rules', defaultText: 'ais-stations.json beside this script' },
+    { name: 'station', type: 'string', value: 'name', description: 'Measure proximity from the named station of the config' },
+    { name: 'lat', type: 'number', value: 'deg', min: -90, max: 90, description: 'Measure proximity from an explicit position instead of the config (with --lon)' },
+    { name: 'lon', type: 'number', value: 'deg', min: -180, max: 180, description: 'Longitude of the explicit position (with --lat)' },
+];
+
+const EXAMPLES = [
+    './ais-alerter.js --mqtt --rules=ais-alerts.yaml --log=/var/log/ais-alerts.log',
+    './ais-alerter.js --mqtt=mqtt://receiver.local/ais/data --publish=mqtt://hub.local --station=home',
+    'xzcat /opt/storage/collector/messages/2025/05/14/*.json.xz | ./ais-alerter.js --no-publish',
+];
+
+// a JSON payload, a collector envelope or an NMEA sentence; times are the reception time, else now
+function createDecoder() {
+    const nmeaDecoder = createNmeaDecoder();
+    return function decode(line) {
+        line = line.trim();
+        let payload, timestamp;
+        if (line.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(line);
+            } catch {
+                return undefined;
+            }
+            if (data.topic !== undefined && data.topic !== 'ais/data') return undefined;
+            payload = data.payload && typeof data.payload === 'object' ? data.payload : data;
+            timestamp = data.timestamp !== undefined ? [data.timestamp, 'local'] : [payload.rxtime, 'utc'];
+        } else {
+            payload = nmeaDecoder.decodeLine(line);
+            timestamp = payload && [payload.rxtime, 'utc'];
+        }
+        if (!payload || payload.mmsi === undefined) return undefined;
+        const time = parseTimestamp(...timestamp);
+        return { payload, time: Number.isFinite(time) ? time : Date.now() };
+    };
+}
+
+function createOutput({ log, client, topic }) {
+    return function emit(alerts) {
+        for (const alert of alerts) {
+            console.log(`${alert.time} [${alert.rule}] ${alert.event}: ${alert.text}`);
+            const line = JSON.stringify(alert);
+            if (log)
+                try {
+                    fs.appendFileSync(log, `${line}\n`);
+                } catch (e) {
+                    console.error(`Error: --log ${log}: ${e.message}`);
+                }
+            if (client && !client.publish(topic, line)) console.error(`MQTT: not connected, alert not published: ${alert.text}`);
+        }
+    };
+}
+
+async function main() {
+    let options, inputs;
+    try {
+        ({ options, inputs } = resolveOptions(process.argv.slice(2), OPTIONS));
+    } catch (e) {
+        console.error(`Error: ${e.message}\nRun with --help for the list of options`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(formatHelp(OPTIONS, { usage: USAGE, examples: EXAMPLES }));
+        return;
+    }
+    const usageError = (message) => {
+        console.error(`Error: ${message}`);
+        process.exit(2);
+    };
+    if (options.mqtt && inputs.length > 0) usageError(`--mqtt reads the MQTT feed, not input files (got ${inputs.join(', ')})`);
+    if (options.publish && options.noPublish) usageError('--publish and --no-publish cannot be used together');
+    if ((options.lat === undefined) !== (options.lon === undefined)) usageError('both --lat and --lon are required for an explicit station');
+    for (const input of inputs) if (!fs.existsSync(input)) usageError(`${input} not found`);
+
+    const rulesFile = options.rules || DEFAULT_RULES.find((file) => fs.existsSync(file));
+    if (!rulesFile) usageError(`no rules, give --rules=file or create ${DEFAULT_RULES[0]}`);
+    let compiled;
+    try {
+        compiled = compileRules(loadConfig(rulesFile), `rules ${rulesFile}`);
+    } catch (e) {
+        usageError(e.message);
+    }
+
+    let station;
+    if (compiled.rules.some((rule) => rule.type === 'proximity') || options.station || options.lat !== undefined)
+        try {
+            const selected = selectStations(options.lat === undefined ? loadStations(options.stations) : [], { station: options.station, lat: options.lat, lon: options.lon });
+            station = selected.find((s) => s.default) || selected[0];
+        } catch (e) {
+            usageError(e.message);
+        }
+
+    let engine, input, publisher;
+    try {
+        engine = createAlertEngine(compiled, { station });
+        if (options.mqtt) input = parseMqttUrl(options.mqtt, 'ais/data');
+        if (!options.noPublish && (options.publish || input)) publisher = options.publish ? parseMqttUrl(options.publish) : input;
+    } catch (e) {
+        usageError(e.message);
+    }
+    console.error(
+        `Rules from ${rulesFile}: ${compiled.rules.map((rule) => `${rule.name} (${rule.type})`).join(', ')}${station ? `; station ${station.name}` : ''}${publisher ? `; alerts to ${publisher.host}:${publisher.port} ${options.alertsTopic}` : ''}${options.log ? `; log ${options.log}` : ''}`
+    );
+
+    const inputClient = input && createMqttClient(input);
+    const publishClient = publisher && (publisher === input ? inputClient : createMqttClient(publisher));
+    for (const [client, url] of [
+        [inputClient, input],
+        [publishClient !== inputClient && publishClient, publisher],
+    ])
+        if (client) {
+            client.on('connect', () => console.error(`MQTT: connected to ${url.host}:${url.port}`));
+            client.on('reconnect', (delay) => console.error(`MQTT: reconnecting to ${url.host}:${url.port} in ${delay / 1000}s`));
+            client.on('error', (err) => console.error(`MQTT: ${err.message}`));
+        }
+    const emit = createOutput({ log: options.log, client: publishClient, topic: options.alertsTopic });
+    const decode = createDecoder();
+
+    if (inputClient) {
+        inputClient.on('message', (topic, payload) => {
+            for (const line of payload.toString('utf8').split('\n')) {
+                const message = decode(line);
+                if (message) emit(engine.process(message.payload, message.time));
+            }
+        });
+        inputClient.subscribe(input.topic);
+        const ticker = setInterval(() => emit(engine.tick(Date.now())), TICK_INTERVAL);
+        const stop = () => {
+            clearInterval(ticker);
+            inputClient.end();
+            if (publishClient && publishClient !== inputClient) publishClient.end();
+            console.error(`${engine.counts.messages} messages, ${engine.counts.alerts} alerts, ${engine.counts.suppressed} suppressed`);
+            process.exit(0);
+        };
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+        return;
+    }
+
+    // stdin or files: time runs with the messages
+    if (publishClient) await new Promise((resolve) => publishClient.once('connect', resolve));
+    let lastTick;
+    const readLines = async (stream) => {
+        for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+            const message = decode(line);
+            if (!message) continue;
+            emit(engine.process(message.payload, message.time));
+            if (lastTick === undefined || message.time - lastTick >= TICK_INTERVAL) {
+                lastTick = message.time;
+                emit(engine.tick(message.time));
+            }
+        }
+    };
+    if (inputs.length === 0) await readLines(process.stdin);
+    else for (const file of inputs) await readLines(fs.createReadStream(file));
+    console.error(`${engine.counts.messages} messages, ${engine.counts.alerts} alerts, ${engine.counts.suppressed} suppressed`);
+    if (publishClient) setTimeout(() => publishClient.end(), 500);
+}
+
+main().catch((e) => {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+});
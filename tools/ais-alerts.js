@@ -0,0 +1,341 @@
+// Alert rules on the live stream: zones (polygons and circles), watch-lists of MMSIs and rules over them
+//
+//   zone       a vessel enters or leaves a zone (entry, exit), first sightings inside count as entries
+//   proximity  a vessel comes within distance nm of the station (near, clear)
+//   cpa        two moving vessels will pass within cpa nm in the next tcpa minutes (cpa, clear)
+//   distress   an AIS-SART, MOB or EPIRB (MMSI 970/972/974) or a SART active status is heard (distress, clear)
+//   silent     a vessel heard before goes quiet for after minutes (silent, resumed)
+//   watch      a watch-listed vessel is heard, first or after after minutes of silence (heard)
+//
+// Alerts fire on state changes only, the return to normal once past a hysteresis margin (nm), and the same alert for
+// the same vessel is suppressed for suppress seconds. Rules take a watchlist (a name or a list of MMSIs) to only
+// apply to those vessels and events to only raise some of their alerts.
+
+const { calculateDistance, calculateBearing, pointInPolygon, distanceToPolygon, toRad } = require('./ais-geo.js');
+const { classifyMmsi } = require('./ais-quality.js');
+
+const ALERT_TYPES = {
+    zone: ['entry', 'exit'],
+    proximity: ['near', 'clear'],
+    cpa: ['cpa', 'clear'],
+    distress: ['distress', 'clear'],
+    silent: ['silent', 'resumed'],
+    watch: ['heard'],
+};
+
+const ALERT_DEFAULTS = {
+    suppress: 600, // s
+    hysteresis: 0.1, // nm
+    stale: 10, // min, positions older than this are not used for CPA
+    silent: 30, // min
+    distressClear: 10, // min without hearing the beacon
+    watch: 60, // min
+};
+
+const DISTRESS_KINDS = new Set(['sart', 'mob', 'epirb']);
+const SART_ACTIVE = 14; // navigation status
+
+const MIN_RELATIVE_SPEED = 0.5; // kn, slower and the pair are keeping station or both stopped
+
+// speed and course both reported (102.3 kn and 360° are "not available")
+const underway = ({ speed, course }) => typeof speed === 'number' && speed < 102.3 && typeof course === 'number' && course < 360;
+
+function compileZone(zone, where) {
+    if (!zone || typeof zone !== 'object' || !zone.name) throw new Error(`${where}: needs a name`);
+    if (zone.polygon) {
+        const ring = zone.polygon.map((point) => (Array.isArray(point) ? point.map(Number) : [Number(point.lon), Number(point.lat)]));
+        if (ring.length < 3 || ring.some(([lon, lat]) => !Number.isFinite(lon) || !Number.isFinite(lat) || Math.abs(lat) > 90 || Math.abs(lon) > 180)) throw new Error(`${where}: polygon needs at least 3 [lon, lat] points`);
+        return {
+            name: zone.name,
+            contains: (lat, lon) => pointInPolygon(lat, lon, ring),
+            edge: (lat, lon) => distanceToPolygon(lat, lon, ring),
+        };
+    }
+    if (zone.circle) {
+        const { lat, lon, radius } = zone.circle;
+        if (![lat, lon, radius].every(Number.isFinite) || radius <= 0) throw new Error(`${where}: circle needs lat, lon and a radius in nm`);
+        return {
+            name: zone.name,
+            contains: (pLat, pLon) => calculateDistance(lat, lon, pLat, pLon) <= radius,
+            edge: (pLat, pLon) => Math.abs(calculateDistance(lat, lon, pLat, pLon) - radius),
+        };
+    }
+    throw new Error(`${where}: needs a polygon or a circle`);
+}
+
+// { zones: [...], watchlists: { name: [mmsi, ...] }, rules: [...], suppress, hysteresis } as read from the rules file
+function compileRules(config, source = 'rules') {
+    const defaults = { ...ALERT_DEFAULTS, ...(config.suppress !== undefined ? { suppress: Number(config.suppress) } : {}), ...(config.hysteresis !== undefined ? { hysteresis: Number(config.hysteresis) } : {}) };
+    const zones = new Map();
+    (config.zones || []).forEach((zone, index) => {
+        const compiled = compileZone(zone, `${source}: zones[${index}]`);
+        if (zones.has(compiled.name)) throw new Error(`${source}: duplicate zone '${compiled.name}'`);
+        zones.set(compiled.name, compiled);
+    });
+    const mmsiList = (list, where) =>
+        (Array.isArray(list) ? list : String(list).split(',')).map((item) => {
+            if (!/^\d{1,9}$/.test(String(item).trim())) throw new Error(`${where}: ${item} is not an MMSI`);
+            return Number(item);
+        });
+    const watchlists = new Map(Object.entries(config.watchlists || {}).map(([name, list]) => [name, new Set(mmsiList(list || [], `${source}: watchlist ${name}`))]));
+    const rules = (config.rules || []).map((rule, index) => {
+        const where = `${source}: rules[${index}]${rule && rule.name ? ` (${rule.name})` : ''}`;
+        if (!rule || !ALERT_TYPES[rule.type]) throw new Error(`${where}: type must be one of ${Object.keys(ALERT_TYPES).join(', ')}`);
+        const number = (key, fallback) => {
+            const value = rule[key] === undefined ? fallback : Number(rule[key]);
+            if (!Number.isFinite(value) || value < 0) throw new Error(`${where}: ${key} must be a positive number`);
+            return value;
+        };
+        const events = rule.events === undefined ? ALERT_TYPES[rule.type] : [rule.events].flat();
+        const unknown = events.filter((event) => !ALERT_TYPES[rule.type].includes(event));
+        if (unknown.length > 0) throw new Error(`${where}: unknown event ${unknown.join(', ')} (one of ${ALERT_TYPES[rule.type].join(', ')})`);
+        let watchlist;
+        if (typeof rule.watchlist === 'string' && watchlists.has(rule.watchlist)) watchlist = watchlists.get(rule.watchlist);
+        else if (rule.watchlist !== undefined && rule.watchlist !== null) {
+            if (typeof rule.watchlist === 'string' && !/^[\d,\s]+$/.test(rule.watchlist)) throw new Error(`${where}: no watchlist '${rule.watchlist}'`);
+            watchlist = new Set(mmsiList(rule.watchlist, where));
+        }
+        const compiled = {
+            name: rule.name || `${rule.type}${index + 1}`,
+            type: rule.type,
+            events: new Set(events),
+            watchlist,
+            suppress: number('suppress', defaults.suppress) * 1000,
+            hysteresis: number('hysteresis', defaults.hysteresis),
+        };
+        switch (rule.type) {
+            case 'zone':
+                if (!zones.has(rule.zone)) throw new Error(`${where}: no zone '${rule.zone}'${zones.size > 0 ? ` (zones: ${[...zones.keys()].join(', ')})` : ''}`);
+                compiled.zone = zones.get(rule.zone);
+                break;
+            case 'proximity':
+                if (rule.distance === undefined) throw new Error(`${where}: needs a distance in nm`);
+                compiled.distance = number('distance');
+                break;
+            case 'cpa':
+                compiled.cpa = number('cpa', 0.5);
+                compiled.tcpa = number('tcpa', 15) * 60000;
+                compiled.stale = number('stale', defaults.stale) * 60000;
+                break;
+            case 'distress':
+                compiled.after = number('after', defaults.distressClear) * 60000;
+                break;
+            case 'silent':
+                compiled.after = number('after', defaults.silent) * 60000;
+                break;
+            case 'watch':
+                if (!watchlist) throw new Error(`${where}: needs a watchlist`);
+                compiled.after = number('after', defaults.watch) * 60000;
+                break;
+        }
+        return compiled;
+    });
+    if (rules.length === 0) throw new Error(`${source}: no rules`);
+    const duplicate = rules.find((rule, index) => rules.findIndex((other) => other.name === rule.name) !== index);
+    if (duplicate) throw new Error(`${source}: duplicate rule '${duplicate.name}'`);
+    return { zones, watchlists, rules };
+}
+
+// closest point of approach of two vessels extrapolated from their last fixes: { cpa (nm), tcpa (ms from now), speed (relative, kn) }
+function closestApproach(a, b, now) {
+    const scale = Math.cos(toRad(a.lat));
+    const velocity = ({ speed, course }) => [speed * Math.sin(toRad(course)), speed * Math.cos(toRad(course))]; // nm/h
+    const [avx, avy] = velocity(a),
+        [bvx, bvy] = velocity(b);
+    const hours = (time) => (now - time) / 3600000;
+    const ax = avx * hours(a.time),
+        ay = avy * hours(a.time),
+        bx = (b.lon - a.lon) * 60 * scale + bvx * hours(b.time),
+        by = (b.lat - a.lat) * 60 + bvy * hours(b.time);
+    const rx = bx - ax,
+        ry = by - ay,
+        vx = bvx - avx,
+        vy = bvy - avy,
+        v2 = vx * vx + vy * vy;
+    const t = v2 > 0 ? -(rx * vx + ry * vy) / v2 : 0;
+    return { cpa: Math.hypot(rx + vx * t, ry + vy * t), tcpa: t * 3600000, speed: Math.sqrt(v2) };
+}
+
+function createAlertEngine(compiled, { station } = {}) {
+    const { rules } = compiled;
+    const vessels = new Map(); // mmsi -> { lat, lon, time, speed, course, heard, name }
+    const states = new Map(); // rule name -> Map(subject -> state)
+    const fired = new Map(); // rule:event:subject -> time its suppression ends
+    const counts = { messages: 0, alerts: 0, suppressed: 0 };
+    // how long a vessel no longer heard is remembered, the longest any rule looks back
+    const retention = Math.max(ALERT_DEFAULTS.stale * 60000, ...rules.map((rule) => Math.max(rule.stale || 0, rule.after || 0)));
+    for (const rule of rules) {
+        if (rule.type === 'proximity' && !station) throw new Error(`rule ${rule.name}: proximity needs a station`);
+        states.set(rule.name, new Map());
+    }
+
+    const pairKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+    const applies = (rule, mmsi) => !rule.watchlist || rule.watchlist.has(mmsi);
+
+    function raise(alerts, rule, event, subject, time, details) {
+        if (!rule.events.has(event)) return;
+        const key = `${rule.name}:${event}:${subject}`;
+        if (fired.has(key) && time < fired.get(key)) {
+            counts.suppressed++;
+            return;
+        }
+        fired.set(key, time + rule.suppress);
+        counts.alerts++;
+        alerts.push({ time: new Date(time).toISOString(), rule: rule.name, type: rule.type, event, ...details });
+    }
+
+    const describe = (mmsi) => {
+        const vessel = vessels.get(mmsi);
+        return vessel && vessel.name ? `${mmsi} (${vessel.name})` : String(mmsi);
+    };
+    const where = (vessel) => (vessel && vessel.lat !== undefined ? { lat: vessel.lat, lon: vessel.lon } : {});
+
+    function checkZone(alerts, rule, mmsi, vessel, time) {
+        const state = states.get(rule.name),
+            inside = state.get(mmsi);
+        if (rule.zone.contains(vessel.lat, vessel.lon)) {
+            if (inside !== true) raise(alerts, rule, 'entry', mmsi, time, { mmsi, name: vessel.name, ...where(vessel), zone: rule.zone.name, text: `${describe(mmsi)} entered ${rule.zone.name}` });
+            state.set(mmsi, true);
+        } else if (inside === undefined) state.set(mmsi, false);
+        else if (inside && rule.zone.edge(vessel.lat, vessel.lon) > rule.hysteresis) {
+            raise(alerts, rule, 'exit', mmsi, time, { mmsi, name: vessel.name, ...where(vessel), zone: rule.zone.name, text: `${describe(mmsi)} left ${rule.zone.name}` });
+            state.set(mmsi, false);
+        }
+    }
+
+    function checkProximity(alerts, rule, mmsi, vessel, time) {
+        const state = states.get(rule.name),
+            distance = calculateDistance(station.lat, station.lon, vessel.lat, vessel.lon),
+            bearing = calculateBearing(station.lat, station.lon, vessel.lat, vessel.lon);
+        const details = { mmsi, name: vessel.name, ...where(vessel), distance: Number(distance.toFixed(2)), bearing: Number(bearing.toFixed(0)) };
+        if (distance <= rule.distance && !state.get(mmsi)) {
+            raise(alerts, rule, 'near', mmsi, time, { ...details, text: `${describe(mmsi)} ${distance.toFixed(2)} nm from ${station.name} at ${bearing.toFixed(0)}°` });
+            state.set(mmsi, true);
+        } else if (distance > rule.distance + rule.hysteresis && state.get(mmsi)) {
+            raise(alerts, rule, 'clear', mmsi, time, { ...details, text: `${describe(mmsi)} beyond ${rule.distance} nm of ${station.name}` });
+            state.set(mmsi, false);
+        }
+    }
+
+    function checkCpa(alerts, rule, mmsi, vessel, time) {
+        if (!underway(vessel)) return;
+        const state = states.get(rule.name);
+        for (const [other, target] of vessels) {
+            if (other === mmsi || target.lat === undefined || time - target.time > rule.stale || !underway(target)) continue;
+            if (rule.watchlist && !rule.watchlist.has(mmsi) && !rule.watchlist.has(other)) continue;
+            const key = pairKey(mmsi, other);
+            // too far apart to meet within the window
+            const reach = rule.cpa + rule.hysteresis + ((vessel.speed + target.speed) * (rule.tcpa + time - target.time)) / 3600000;
+            if (!state.get(key) && calculateDistance(vessel.lat, vessel.lon, target.lat, target.lon) > reach) continue;
+            const { cpa, tcpa, speed } = closestApproach(vessel, target, time);
+            if (speed < MIN_RELATIVE_SPEED && !state.get(key)) continue;
+            const details = { mmsi: Math.min(mmsi, other), other: Math.max(mmsi, other), ...where(vessel), cpa: Number(cpa.toFixed(3)), tcpa: Number((tcpa / 60000).toFixed(1)) };
+            if (speed >= MIN_RELATIVE_SPEED && cpa <= rule.cpa && tcpa >= 0 && tcpa <= rule.tcpa) {
+                if (!state.get(key)) raise(alerts, rule, 'cpa', key, time, { ...details, text: `${describe(mmsi)} and ${describe(other)} pass within ${cpa.toFixed(2)} nm in ${(tcpa / 60000).toFixed(1)} min` });
+                state.set(key, true);
+            } else if (state.get(key) && (tcpa < 0 || cpa > rule.cpa + rule.hysteresis)) {
+                raise(alerts, rule, 'clear', key, time, { ...details, text: `${describe(mmsi)} and ${describe(other)} clear, ${tcpa < 0 ? 'past the closest point' : `CPA ${cpa.toFixed(2)} nm`}` });
+                state.delete(key);
+            }
+        }
+    }
+
+    return {
+        counts,
+        vessels,
+        // alerts raised by one message, time is its reception time in ms
+        process(payload, time) {
+            const alerts = [],
+                { mmsi } = payload;
+            if (mmsi === undefined) return alerts;
+            counts.messages++;
+            const vessel = vessels.get(mmsi) || { heard: undefined };
+            const previous = vessel.heard;
+            vessel.heard = time;
+            if ([5, 19, 24].includes(payload.type) && payload.shipname) vessel.name = payload.shipname;
+            if (payload.type === 21 && payload.name) vessel.name = payload.name;
+            const positioned = typeof payload.lat === 'number' && typeof payload.lon === 'number' && Math.abs(payload.lat) <= 90 && Math.abs(payload.lon) <= 180;
+            if (positioned) Object.assign(vessel, { lat: payload.lat, lon: payload.lon, time, speed: payload.speed, course: payload.course });
+            vessels.set(mmsi, vessel);
+
+            for (const rule of rules) {
+                if (!applies(rule, mmsi) && rule.type !== 'cpa') continue;
+                const state = states.get(rule.name);
+                switch (rule.type) {
+                    case 'zone':
+                        if (positioned) checkZone(alerts, rule, mmsi, vessel, time);
+                        break;
+                    case 'proximity':
+                        if (positioned) checkProximity(alerts, rule, mmsi, vessel, time);
+                        break;
+                    case 'cpa':
+                        if (positioned) checkCpa(alerts, rule, mmsi, vessel, time);
+                        break;
+                    case 'distress': {
+                        const mmsiClass = classifyMmsi(mmsi);
+                        if ((DISTRESS_KINDS.has(mmsiClass.kind) || payload.status === SART_ACTIVE) && !state.get(mmsi)) {
+                            const kind = DISTRESS_KINDS.has(mmsiClass.kind) ? mmsiClass.label : 'AIS-SART (active status)';
+                            raise(alerts, rule, 'distress', mmsi, time, { mmsi, name: vessel.name, ...where(vessel), text: `${kind} ${describe(mmsi)} active${positioned ? ` at ${payload.lat.toFixed(5)}, ${payload.lon.toFixed(5)}` : ''}` });
+                            state.set(mmsi, true);
+                        }
+                        break;
+                    }
+                    case 'silent':
+                        if (state.get(mmsi)) {
+                            raise(alerts, rule, 'resumed', mmsi, time, {
+                                mmsi,
+                                name: vessel.name,
+                                ...where(vessel),
+                                silence: Math.round((time - previous) / 60000),
+                                text: `${describe(mmsi)} heard again after ${Math.round((time - previous) / 60000)} min`,
+                            });
+                            state.delete(mmsi);
+                        }
+                        break;
+                    case 'watch':
+                        if (previous === undefined || time - previous >= rule.after)
+                            raise(alerts, rule, 'heard', mmsi, time, { mmsi, name: vessel.name, ...where(vessel), text: `${describe(mmsi)} heard${previous === undefined ? '' : ` after ${Math.round((time - previous) / 60000)} min`}` });
+                        break;
+                }
+            }
+            return alerts;
+        },
+        // alerts from the passing of time: vessels gone silent, beacons no longer heard; also forgets the vessels not
+        // heard for longer than retention that no rule holds in a state (inside a zone, near, distress, silent)
+        tick(time) {
+            const alerts = [];
+            for (const rule of rules) {
+                const state = states.get(rule.name);
+                if (rule.type === 'silent') {
+                    for (const [mmsi, vessel] of vessels)
+                        if (applies(rule, mmsi) && !state.get(mmsi) && time - vessel.heard >= rule.after) {
+                            raise(alerts, rule, 'silent', mmsi, time, { mmsi, name: vessel.name, ...where(vessel), text: `${describe(mmsi)} silent for ${Math.round((time - vessel.heard) / 60000)} min` });
+                            state.set(mmsi, true);
+                        }
+                } else if (rule.type === 'distress') {
+                    for (const mmsi of state.keys())
+                        if (time - vessels.get(mmsi).heard >= rule.after) {
+                            raise(alerts, rule, 'clear', mmsi, time, { mmsi, name: vessels.get(mmsi).name, text: `${describe(mmsi)} not heard for ${Math.round(rule.after / 60000)} min` });
+                            state.delete(mmsi);
+                        }
+                }
+            }
+            for (const [mmsi, vessel] of vessels)
+                if (time - vessel.heard > retention && !rules.some((rule) => rule.type !== 'cpa' && states.get(rule.name).get(mmsi))) {
+                    vessels.delete(mmsi);
+                    for (const rule of rules) if (rule.type !== 'cpa') states.get(rule.name).delete(mmsi);
+                }
+            for (const rule of rules) if (rule.type === 'cpa') for (const key of states.get(rule.name).keys()) if (!key.split('-').every((mmsi) => vessels.has(Number(mmsi)))) states.get(rule.name).delete(key);
+            for (const [key, until] of fired) if (time >= until) fired.delete(key);
+            return alerts;
+        },
+    };
+}
+
+module.exports = {
+    ALERT_TYPES,
+    ALERT_DEFAULTS,
+    compileRules,
+    closestApproach,
+    createAlertEngine,
+};
@@ -0,0 +1,138 @@
+// Per-file cache of accumulated state, so a rerun over the collector archive only decodes new or changed files:
+// entries are keyed by the file's path, the input path it was found under (stations match directories below it), its
+// size and modification time, and kept under a fingerprint of everything that shapes the aggregation (the parser
+// source, the stations, the exclusions and the analysis options). Starting a new fingerprint removes the others not used
+// for CACHE_UNUSED, so changed sources or options do not leave old caches behind for good.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const CACHE_FORMAT = 1;
+const CACHE_UNUSED = 7 * 86400000; // ms
+const FINGERPRINT = /^[0-9a-f]{16}$/;
+
+// map points kept per cached file, the merged sample is drawn from these in proportion to each file's positions
+const CACHE_POINTS = 2000;
+
+// the modules whose code decides what a file accumulates, any change to them starts a fresh cache
+const SOURCES = [
+    'ais-parser.js',
+    'ais-nmea.js',
+    'ais-stats.js',
+    'ais-coverage.js',
+    'ais-stations.js',
+    'ais-time.js',
+    'ais-geo.js',
+    'ais-quality.js',
+    'ais-signal.js',
+    'ais-traffic.js',
+    'ais-density.js',
+    'ais-tracks.js',
+    'ais-xz.js',
+    'ais-options.js',
+];
+
+function defaultCacheDirectory() {
+    return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'ais-parser');
+}
+
+const hash = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+function cacheFingerprint(options) {
+    const sources = SOURCES.map((name) => {
+        try {
+            return hash(fs.readFileSync(path.join(__dirname, name)));
+        } catch {
+            return '';
+        }
+    });
+    return hash(JSON.stringify({ format: CACHE_FORMAT, sources, options })).slice(0, 16);
+}
+
+// JSON has no Set, typed array or infinity, all of which appear in the accumulator states
+function replacer(key, value) {
+    if (value instanceof Set) return { $set: [...value] };
+    if (value instanceof Uint32Array) return { $u32: Array.from(value) };
+    if (value === Infinity || value === -Infinity) return { $inf: Math.sign(value) };
+    return value;
+}
+function reviver(key, value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if (value.$set) return new Set(value.$set);
+        if (value.$u32) return Uint32Array.from(value.$u32);
+        if (value.$inf) return value.$inf * Infinity;
+    }
+    return value;
+}
+
+// a smaller uniform sample of the map points that still records how many it stands for
+function thinPositions(positions, capacity) {
+    if (positions.items.length <= capacity) return positions;
+    const items = [...positions.items];
+    for (let i = 0; i < capacity; i++) {
+        const j = i + Math.floor(Math.random() * (items.length - i));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return { items: items.slice(0, capacity), seen: positions.seen };
+}
+
+// other fingerprints' directories last used before CACHE_UNUSED ago
+function removeUnused(directory, now) {
+    let entries;
+    try {
+        entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch {
+        return;
+    }
+    for (const entry of entries) {
+        if (!entry.isDirectory() || !FINGERPRINT.test(entry.name)) continue;
+        const full = path.join(directory, entry.name);
+        if (now - fs.statSync(full).mtimeMs > CACHE_UNUSED) fs.rmSync(full, { recursive: true, force: true });
+    }
+}
+
+function createCache(directory, fingerprint, { rebuild = false } = {}) {
+    const root = path.join(directory, fingerprint);
+    if (rebuild) fs.rmSync(root, { recursive: true, force: true });
+    if (!fs.existsSync(root)) removeUnused(directory, Date.now());
+    fs.mkdirSync(root, { recursive: true });
+    const now = new Date();
+    fs.utimesSync(root, now, now); // marks it used
+    const entryPath = (absolute) => path.join(root, `${hash(absolute).slice(0, 24)}.json`);
+    const counts = { hits: 0, stored: 0 };
+    return {
+        directory: root,
+        counts,
+        get(file) {
+            const absolute = path.resolve(file.path);
+            let entry;
+            try {
+                entry = JSON.parse(fs.readFileSync(entryPath(absolute), 'utf8'), reviver);
+            } catch {
+                return undefined;
+            }
+            if (entry.path !== absolute || entry.root !== path.resolve(file.root) || entry.size !== file.size || entry.mtime !== file.mtime) return undefined;
+            counts.hits++;
+            return entry.state;
+        },
+        // written aside and renamed so an interrupted run never leaves a partial entry
+        set(file, state) {
+            const absolute = path.resolve(file.path),
+                target = entryPath(absolute),
+                temporary = `${target}.${process.pid}.tmp`;
+            const stored = { ...state, analyses: state.analyses.map(([name, analysis]) => [name, { ...analysis, positions: thinPositions(analysis.positions, CACHE_POINTS) }]) };
+            fs.writeFileSync(temporary, JSON.stringify({ path: absolute, root: path.resolve(file.root), size: file.size, mtime: file.mtime, state: stored }, replacer));
+            fs.renameSync(temporary, target);
+            counts.stored++;
+        },
+    };
+}
+
+module.exports = {
+    CACHE_POINTS,
+    defaultCacheDirectory,
+    cacheFingerprint,
+    createCache,
+};
@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+// Collector: archives the receiver's MQTT feed (ais/#) as {topic, payload, timestamp} lines, the layout ais-parser.js
+// reads: <dir>/YYYY/MM/DD/YYYYMMDD-HH.json (or YYYYMMDD.json daily), compressed with xz once closed, older files
+// removed after the retention period
+//
+// The subscription is QoS 1 in a persistent session, so the broker queues what arrives while the collector is down and
+// redelivers what was not acknowledged, as long as the feed is published at QoS 1 too (QOS 1 on the -Q output in
+// device.cfg, mosquitto does not queue QoS 0 messages for an offline client by default); each line is written before
+// its message is acknowledged, a partial last line left by a crash is cut off on restart and redeliveries already
+// written (the last DEDUP_LINES, over a rotation too) are skipped.
+// Timestamps and rotation are in --timezone, which ais-parser.js takes as --input-timezone.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn, spawnSync } = require('child_process');
+const { resolveOptions, formatHelp } = require('./ais-options.js');
+const { createMqttClient, parseMqttUrl } = require('./ais-mqtt.js');
+const { validateTimezone, toWallClock, fromWallClock } = require('./ais-time.js');
+
+const DEFAULT_MQTT = 'mqtt://localhost:1883/ais/#';
+const DEFAULT_DIR = '/opt/storage/collector/messages';
+const ROTATE_CHECK = 30000; // ms, closes idle files on time
+const RETENTION_CHECK = 3600000; // ms
+const DEDUP_LINES = 1000;
+const TAIL_BYTES = 1 << 20; // read back on restart for the duplicate check
+
+const USAGE = ['node ais-collector.js [--mqtt[=mqtt://host[:port][/topic]]] [--dir=path] [options]'];
+
+// in --help order, see ais-options.js for the fields
+const OPTIONS = [
+    { name: 'help', type: 'boolean', description: 'Show this help (also -h)' },
+    { name: 'mqtt', type: 'string', value: 'URL', default: DEFAULT_MQTT, description: 'Broker and topic filter to archive' },
+    { name: 'dir', type: 'string', value: 'path', path: true, default: DEFAULT_DIR, description: 'Archive directory, files go in YYYY/MM/DD below it' },
+    { name: 'rotate', type: 'enum', value: 'hour|day', values: ['hour', 'day'], default: 'hour', description: 'Start a new file every hour or day' },
+    { name: 'compress', type: 'enum', value: 'xz|none', values: ['xz', 'none'], default: 'xz', description: 'Compress closed files' },
+    { name: 'retention', type: 'integer', value: 'days', min: 1, description: 'Remove files older than this many days', defaultText: 'keep everything' },
+    { name: 'client-id', type: 'string', value: 'id', default: `ais-collector-${os.hostname()}`, description: 'MQTT client id the broker keeps the session under, unique per collector' },
+    { name: 'timezone', value: 'ZONE', parse: validateTimezone, default: 'local', description: 'Timezone of the timestamps and file names: local, utc, +01:00 or Europe/London' },
+];
+
+const EXAMPLES = ['./ais-collector.js', './ais-collector.js --mqtt=mqtt://receiver.local/ais/# --dir=/srv/ais --rotate=day --retention=365', './ais-parser.js /opt/storage/collector/messages --from=yesterday'];
+
+const pad = (value, width = 2) => value.toString().padStart(width, '0');
+
+const formatTimestamp = (t) => `${t.year}${pad(t.month)}${pad(t.day)}${pad(t.hour)}${pad(t.minute)}${pad(t.second)}`;
+
+function filePath(dir, t, rotate) {
+    const day = `${t.year}${pad(t.month)}${pad(t.day)}`;
+    return path.join(dir, String(t.year), pad(t.month), pad(t.day), `${rotate === 'hour' ? `${day}-${pad(t.hour)}` : day}.json`);
+}
+
+const FILE_NAME = /^(\d{4})(\d{2})(\d{2})(?:-(\d{2}))?\.json(?:\.xz)?$/;
+
+// end of the period a file written by the collector holds
+function fileEnd(name, timezone) {
+    const match = name.match(FILE_NAME);
+    if (!match) return undefined;
+    const [year, month, day] = [1, 2, 3].map((i) => Number(match[i]));
+    return match[4] === undefined ? fromWallClock(year, month, day + 1, 0, 0, 0, timezone) : fromWallClock(year, month, day, Number(match[4]) + 1, 0, 0, timezone);
+}
+
+function listFiles(dir) {
+    const files = [];
+    const walk = (current) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(current, { withFileTypes: true });
+        } catch {
+            return;
+        }
+        for (const entry of entries) {
+            const full = path.join(current, entry.name);
+            if (entry.isDirectory()) walk(full);
+            else if (FILE_NAME.test(entry.name)) files.push(full);
+        }
+    };
+    walk(dir);
+    return files.sort();
+}
+
+// a redelivery arrives later than the original, so the timestamp is left out
+const messageHash = ({ topic, payload }) =>
+    crypto
+        .createHash('sha1')
+        .update(JSON.stringify([topic, payload]))
+        .digest('base64');
+
+// xz one file at a time in the background, replacing any .xz a previous run left half written
+function createCompressor() {
+    const queue = [];
+    let running = false;
+    const next = () => {
+        if (running || queue.length === 0) return;
+        const file = queue.shift();
+        if (!fs.existsSync(file)) return next();
+        running = true;
+        let stderr = '';
+        const xz = spawn('xz', ['-f', '-T1', file], { stdio: ['ignore', 'ignore', 'pipe'] });
+        xz.stderr.on('data', (data) => (stderr += data));
+        xz.on('error', (err) => console.error(`Error: failed to run xz: ${err.message}`));
+        xz.on('close', (code) => {
+            running = false;
+            if (code !== 0) console.error(`Error: xz ${file}: ${stderr.trim() || `exited with code ${code}`}`);
+            next();
+        });
+    };
+    return {
+        add(file) {
+            if (!queue.includes(file)) queue.push(file);
+            next();
+        },
+    };
+}
+
+// appends lines to the file of the current period, resuming an existing one
+function createWriter({ dir, rotate, timezone, onClose }) {
+    let current, fd, written, recent;
+
+    function open(file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fd = fs.openSync(file, 'a+');
+        current = file;
+        written = 0;
+        recent = recent || new Map(); // kept over a rotation: a redelivery after the hour was written to the file before
+        const size = fs.fstatSync(fd).size;
+        if (size === 0) return;
+        const length = Math.min(size, TAIL_BYTES);
+        const buffer = Buffer.alloc(length);
+        fs.readSync(fd, buffer, 0, length, size - length);
+        const text = buffer.toString('utf8');
+        const complete = text.lastIndexOf('\n') + 1;
+        if (complete < text.length) {
+            fs.ftruncateSync(fd, size - Buffer.byteLength(text.slice(complete)));
+            console.error(`Resumed ${file}, cut off a partial last line`);
+        } else console.error(`Resumed ${file}`);
+        const lines = text
+            .slice(0, complete)
+            .split('\n')
+            .slice(length < size ? 1 : 0, -1);
+        for (const line of lines.slice(-DEDUP_LINES))
+            try {
+                recent.set(messageHash(JSON.parse(line)), true);
+            } catch {
+                // not an envelope
+            }
+        while (recent.size > DEDUP_LINES) recent.delete(recent.keys().next().value);
+    }
+
+    function close() {
+        if (fd === undefined) return;
+        fs.closeSync(fd);
+        console.error(`Closed ${current}${written > 0 ? `, ${written} messages this run` : ''}`);
+        const closed = current;
+        fd = current = undefined;
+        onClose(closed);
+    }
+
+    return {
+        get current() {
+            return current;
+        },
+        // the file of time's period, closing the previous one
+        rotate(time) {
+            const file = filePath(dir, toWallClock(time, timezone), rotate);
+            if (file === current) return;
+            close();
+            open(file);
+        },
+        // false when a redelivered line is already in the file
+        write(envelope, time, redelivered) {
+            this.rotate(time);
+            const hash = messageHash(envelope);
+            if (redelivered && recent.has(hash)) return false;
+            fs.writeSync(fd, `${JSON.stringify(envelope)}\n`);
+            written++;
+            recent.set(hash, true);
+            if (recent.size > DEDUP_LINES) recent.delete(recent.keys().next().value);
+            return true;
+        },
+        close,
+    };
+}
+
+function removeExpired(dir, days, timezone, now) {
+    const limit = now - days * 86400000;
+    let removed = 0;
+    for (const file of listFiles(dir)) {
+        const end = fileEnd(path.basename(file), timezone);
+        if (end === undefined || end > limit) continue;
+        fs.rmSync(file, { force: true });
+        removed++;
+        for (let parent = path.dirname(file); parent.startsWith(dir) && parent !== dir; parent = path.dirname(parent)) {
+            if (fs.readdirSync(parent).length > 0) break;
+            fs.rmdirSync(parent);
+        }
+    }
+    if (removed > 0) console.error(`Removed ${removed} file${removed === 1 ? '' : 's'} older than ${days} days`);
+}
+
+async function main() {
+    let options, inputs;
+    try {
+        ({ options, inputs } = resolveOptions(process.argv.slice(2), OPTIONS));
+    } catch (e) {
+        console.error(`Error: ${e.message}\nRun with --help for the list of options`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(formatHelp(OPTIONS, { usage: USAGE, examples: EXAMPLES }));
+        return;
+    }
+    const usageError = (message) => {
+        console.error(`Error: ${message}`);
+        process.exit(2);
+    };
+    if (inputs.length > 0) usageError(`unexpected arguments: ${inputs.join(', ')} (use --dir for the archive directory)`);
+    let input;
+    try {
+        input = parseMqttUrl(options.mqtt, 'ais/#');
+    } catch (e) {
+        usageError(e.message);
+    }
+    const dir = path.resolve(options.dir);
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.accessSync(dir, fs.constants.W_OK);
+    } catch (e) {
+        usageError(`--dir ${dir}: ${e.message}`);
+    }
+    let compress = options.compress === 'xz';
+    if (compress && spawnSync('xz', ['--version'], { stdio: 'ignore' }).error) {
+        console.error('xz not found, closed files are left uncompressed');
+        compress = false;
+    }
+
+    const compressor = compress && createCompressor();
+    const writer = createWriter({ dir, rotate: options.rotate, timezone: options.timezone, onClose: (file) => compressor && compressor.add(file) });
+    writer.rotate(Date.now());
+    const expire = () => options.retention && removeExpired(dir, options.retention, options.timezone, Date.now());
+    expire();
+    // files a previous run closed, or left open in an earlier period
+    if (compressor) for (const file of listFiles(dir)) if (file.endsWith('.json') && file !== writer.current) compressor.add(file);
+    console.error(`Archiving ${input.topic} from ${input.host}:${input.port} to ${dir}, ${options.rotate}ly files${compress ? ', xz' : ''}${options.retention ? `, kept ${options.retention} days` : ''}`);
+
+    let messages = 0,
+        duplicates = 0;
+    const client = createMqttClient(input, { clientId: options.clientId, clean: false, qos: 1 });
+    client.on('connect', (sessionPresent) => console.error(`MQTT: connected to ${input.host}:${input.port}${sessionPresent ? ', resuming the session' : ''}`));
+    client.on('reconnect', (delay) => console.error(`MQTT: reconnecting to ${input.host}:${input.port} in ${delay / 1000}s`));
+    client.on('error', (err) => console.error(`MQTT: ${err.message}`));
+    client.on('message', (topic, payload, packet) => {
+        const text = payload.toString('utf8');
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            data = text;
+        }
+        const time = Date.now();
+        try {
+            if (writer.write({ topic, payload: data, timestamp: formatTimestamp(toWallClock(time, options.timezone)) }, time, packet.dup)) messages++;
+            else duplicates++;
+        } catch (e) {
+            // not acknowledged, the broker redelivers once reconnected
+            console.error(`Error: ${writer.current}: ${e.message}`);
+            client.end();
+            process.exit(1);
+        }
+    });
+    client.subscribe(input.topic);
+
+    const rotator = setInterval(() => writer.rotate(Date.now()), ROTATE_CHECK);
+    const expirer = setInterval(expire, RETENTION_CHECK);
+    const stop = () => {
+        clearInterval(rotator);
+        clearInterval(expirer);
+        client.end(); // the open file is resumed, or compressed, on the next start
+        console.error(`${messages} messages archived${duplicates > 0 ? `, ${duplicates} redelivered duplicates skipped` : ''}`);
+        process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+main().catch((e) => {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+});
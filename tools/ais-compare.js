@@ -0,0 +1,132 @@
+// Period comparison: a station's statistics over two periods (before and after an antenna or cable change, say) side
+// by side, normalised for traffic volume (rates per period, positions as shares) with tests of whether they differ
+//
+// Distances are compared with a two-sample Kolmogorov-Smirnov test over the 0.01 nm histograms and bearings with
+// Watson's U² test over the 0.1° bins, which does not depend on where north is as a circular test must not; both use
+// the asymptotic distributions and take values in the same bin as ties. Consecutive positions of one vessel are not
+// independent samples, so on a busy archive small shifts come out significant: read the p-values with the deltas.
+
+const { parseTimeRange } = require('./ais-time.js');
+
+const SIGNIFICANCE = 0.05;
+const SERIES_TERMS = 100;
+
+// rangeA:rangeB, split at the colon where both sides are ranges so times may have colons too
+function parseCompareRanges(value, options) {
+    const splits = [];
+    for (let index = value.indexOf(':'); index !== -1; index = value.indexOf(':', index + 1))
+        try {
+            splits.push([parseTimeRange(value.slice(0, index), options), parseTimeRange(value.slice(index + 1), options)]);
+        } catch {
+            // not this colon
+        }
+    if (splits.length === 0) throw new Error(`expected two periods as from..to:from..to or date:date (got '${value}')`);
+    if (splits.length > 1) throw new Error(`'${value}' splits into periods more than one way, write the times as YYYYMMDDHHMM`);
+    return splits[0];
+}
+
+// P(D > d) for the Kolmogorov distribution at lambda = sqrt(n) d
+function kolmogorovP(lambda) {
+    if (lambda <= 0) return 1;
+    let sum = 0;
+    for (let j = 1; j <= SERIES_TERMS; j++) sum += (j % 2 === 1 ? 2 : -2) * Math.exp(-2 * j * j * lambda * lambda);
+    return Math.min(Math.max(sum, 0), 1);
+}
+
+// P(U² > u) for Watson's U² as the samples grow
+function watsonP(u2) {
+    if (u2 <= 0) return 1;
+    let sum = 0;
+    for (let m = 1; m <= SERIES_TERMS; m++) sum += (m % 2 === 1 ? 2 : -2) * Math.exp(-2 * m * m * Math.PI * Math.PI * u2);
+    return Math.min(Math.max(sum, 0), 1);
+}
+
+// two histogram states (see createHistogram in ais-stats.js) of the same resolution
+function ksTest(a, b) {
+    if (a.count === 0 || b.count === 0) return undefined;
+    let cumulativeA = 0,
+        cumulativeB = 0,
+        statistic = 0;
+    for (let bin = 0; bin < Math.max(a.counts.length, b.counts.length); bin++) {
+        cumulativeA += a.counts[bin] || 0;
+        cumulativeB += b.counts[bin] || 0;
+        statistic = Math.max(statistic, Math.abs(cumulativeA / a.count - cumulativeB / b.count));
+    }
+    const n = Math.sqrt((a.count * b.count) / (a.count + b.count));
+    return { test: 'Kolmogorov-Smirnov', statistic, p: kolmogorovP((n + 0.12 + 0.11 / n) * statistic) };
+}
+
+// two arrays of counts per bearing bin, with ties as in Zar's Biostatistical Analysis
+function watsonTest(a, b) {
+    const countA = a.reduce((sum, count) => sum + count, 0),
+        countB = b.reduce((sum, count) => sum + count, 0),
+        total = countA + countB;
+    if (countA === 0 || countB === 0) return undefined;
+    let cumulativeA = 0,
+        cumulativeB = 0,
+        sumD = 0,
+        sumD2 = 0;
+    for (let bin = 0; bin < a.length; bin++) {
+        const ties = a[bin] + b[bin];
+        if (ties === 0) continue;
+        cumulativeA += a[bin];
+        cumulativeB += b[bin];
+        const d = cumulativeA / countA - cumulativeB / countB;
+        sumD += ties * d;
+        sumD2 += ties * d * d;
+    }
+    const statistic = ((countA * countB) / (total * total)) * (sumD2 - (sumD * sumD) / total);
+    return { test: 'Watson U²', statistic, p: watsonP(statistic) };
+}
+
+// what is compared of one period's analysis (see createAnalysis in ais-parser.js)
+function summarisePeriod(analysis, sectorSize) {
+    const { filtered } = analysis,
+        { bearingBins } = filtered.state(),
+        beam = filtered.beamWidth();
+    const periods = Object.keys(analysis.stats).length,
+        positions = filtered.count();
+    return {
+        messages: analysis.count,
+        periods,
+        rate: periods > 0 ? analysis.count / periods : 0,
+        positions,
+        positionShare: analysis.count > 0 ? positions / analysis.count : undefined,
+        distance: positions > 0 ? { p50: filtered.distances.percentile(50), p90: filtered.distances.percentile(90), p99: filtered.distances.percentile(99), max: filtered.distances.max } : undefined,
+        sectors: filtered.bearingCounts(sectorSize),
+        beam: beam && { meanBearing: beam.meanBearing, concentration: beam.concentration, width68: beam.percentile68.beamWidth, width95: beam.percentile95.beamWidth, width99: beam.percentile99.beamWidth },
+        histogram: filtered.distances.state(),
+        bearingBins: Array.from(bearingBins),
+    };
+}
+
+// before (a) and after (b), changes as b - a; sector shares are fractions of each period's positions
+function comparePeriods(a, b, { sectorSize = 15 } = {}) {
+    const [before, after] = [a, b].map((analysis) => summarisePeriod(analysis, sectorSize));
+    const sectors = [];
+    for (let start = 0; start < 360; start += sectorSize) {
+        const share = [before, after].map((period) => (period.positions > 0 ? (period.sectors[start] || 0) / period.positions : 0));
+        if (share[0] > 0 || share[1] > 0) sectors.push({ start, end: start + sectorSize, share, change: share[1] - share[0] });
+    }
+    const distances = ksTest(before.histogram, after.histogram),
+        bearings = watsonTest(before.bearingBins, after.bearingBins);
+    for (const test of [distances, bearings]) if (test) test.significant = test.p < SIGNIFICANCE;
+    const strip = ({ histogram, bearingBins, sectors, ...period }) => period;
+    return {
+        before: strip(before),
+        after: strip(after),
+        rateChange: before.rate > 0 ? after.rate / before.rate - 1 : undefined,
+        meanBearingShift: before.beam && after.beam ? ((after.beam.meanBearing - before.beam.meanBearing + 540) % 360) - 180 : undefined,
+        sectors,
+        tests: { distances, bearings },
+        significance: SIGNIFICANCE,
+    };
+}
+
+module.exports = {
+    SIGNIFICANCE,
+    parseCompareRanges,
+    ksTest,
+    watsonTest,
+    comparePeriods,
+};
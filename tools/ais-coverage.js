@@ -0,0 +1,92 @@
+// Receiver coverage profile: range reached per bearing sector, as a table, a GeoJSON polygon and a diff against a saved profile
+
+const fs = require('fs');
+const { calculateDestination } = require('./ais-geo.js');
+const { createHistogram } = require('./ais-stats.js');
+
+const COVERAGE_PERCENTILES = [50, 90, 99];
+
+function createCoverage(sectorSize = 15) {
+    if (!(sectorSize > 0 && 360 % sectorSize === 0)) throw new Error(`sector size ${sectorSize} must divide 360`);
+    const sectors = Array.from({ length: 360 / sectorSize }, () => ({ distances: createHistogram(), mmsis: new Set() }));
+    return {
+        sectorSize,
+        sectors,
+        add(bearing, distance, mmsi) {
+            const sector = sectors[Math.floor((((bearing % 360) + 360) % 360) / sectorSize)];
+            sector.distances.add(distance);
+            if (mmsi !== undefined) sector.mmsis.add(mmsi);
+        },
+        state: () => ({ sectorSize, sectors: sectors.map((sector) => ({ distances: sector.distances.state(), mmsis: sector.mmsis })) }),
+        merge(state) {
+            state.sectors.forEach((sector, index) => {
+                sectors[index].distances.merge(sector.distances);
+                for (const mmsi of sector.mmsis) sectors[index].mmsis.add(mmsi);
+            });
+        },
+    };
+}
+
+function calculateCoverage(coverage) {
+    const { sectorSize } = coverage;
+    return coverage.sectors.map((sector, index) => {
+        const { distances } = sector;
+        const result = { start: index * sectorSize, end: (index + 1) * sectorSize, count: distances.count, mmsis: sector.mmsis.size, max: distances.count > 0 ? distances.max : 0 };
+        for (const p of COVERAGE_PERCENTILES) result[`p${p}`] = distances.percentile(p);
+        return result;
+    });
+}
+
+// each sector contributes an arc at its range, so the outline steps between sectors rather than interpolating
+function coverageRing(station, profile, metric, step = 5) {
+    const ring = [];
+    for (const sector of profile) {
+        const range = sector[metric];
+        for (let bearing = sector.start; bearing <= sector.end; bearing += Math.min(step, sector.end - sector.start)) ring.push(range > 0 ? calculateDestination(station.lat, station.lon, range, bearing) : [station.lon, station.lat]);
+    }
+    ring.push(ring[0]);
+    return ring;
+}
+
+function coverageToGeoJSON(station, profile, { from, to } = {}) {
+    const metrics = ['max', ...COVERAGE_PERCENTILES.map((p) => `p${p}`).reverse()];
+    return {
+        type: 'FeatureCollection',
+        properties: { station: station.name, lat: station.lat, lon: station.lon, sectorSize: profile[0] ? profile[0].end - profile[0].start : undefined, from, to, sectors: profile },
+        features: [
+            ...metrics.map((metric) => ({
+                type: 'Feature',
+                geometry: { type: 'Polygon', coordinates: [coverageRing(station, profile, metric)] },
+                properties: { station: station.name, metric },
+            })),
+            { type: 'Feature', geometry: { type: 'Point', coordinates: [station.lon, station.lat] }, properties: { station: station.name } },
+        ],
+    };
+}
+
+function loadCoverage(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data.properties || !Array.isArray(data.properties.sectors)) throw new Error(`${file}: not a coverage profile (no properties.sectors)`);
+    return data.properties;
+}
+
+function diffCoverage(baseline, profile) {
+    const baselineSize = baseline.length > 0 ? baseline[0].end - baseline[0].start : 0,
+        profileSize = profile.length > 0 ? profile[0].end - profile[0].start : 0;
+    if (baselineSize !== profileSize) throw new Error(`sector sizes differ (baseline ${baselineSize}°, current ${profileSize}°)`);
+    return profile.map((sector, index) => {
+        const before = baseline[index];
+        const diff = { start: sector.start, end: sector.end, before, after: sector };
+        for (const metric of ['count', 'mmsis', 'max', ...COVERAGE_PERCENTILES.map((p) => `p${p}`)]) diff[metric] = sector[metric] - before[metric];
+        return diff;
+    });
+}
+
+module.exports = {
+    COVERAGE_PERCENTILES,
+    createCoverage,
+    calculateCoverage,
+    coverageToGeoJSON,
+    loadCoverage,
+    diffCoverage,
+};
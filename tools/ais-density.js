@@ -0,0 +1,183 @@
+// Position density: positions binned into lat/lon squares or hexagons with the count, distinct MMSIs and furthest
+// distance from the station per cell, exported as GeoJSON, KML or CSV and drawn by the map as a heatmap
+//
+// Square cells are size degrees on a side on a fixed lat/lon grid. Hexagons (pointy top) are size nm across the flats
+// on a flat projection about the station's latitude, so they stay regular near the station and stretch with distance.
+
+const fs = require('fs');
+
+const DENSITY_CELLS = ['latlon', 'hex'];
+const DENSITY_SIZES = { latlon: 0.01, hex: 0.5 }; // degrees, nm
+const DENSITY_FORMATS = { '.geojson': 'geojson', '.json': 'geojson', '.kml': 'kml', '.csv': 'csv' };
+
+const SQRT3 = Math.sqrt(3);
+
+// cell keys to centres and rings of [lon, lat], and back
+function createCellGrid(cell, size, refLat) {
+    if (!DENSITY_CELLS.includes(cell)) throw new Error(`density cell ${cell} must be one of ${DENSITY_CELLS.join(', ')}`);
+    if (!(size > 0)) throw new Error(`density cell size ${size} must be above 0`);
+    if (cell === 'latlon')
+        return {
+            key: (lat, lon) => `${Math.floor(lat / size)}:${Math.floor(lon / size)}`,
+            centre(key) {
+                const [i, j] = key.split(':').map(Number);
+                return [(j + 0.5) * size, (i + 0.5) * size];
+            },
+            ring(key) {
+                const [i, j] = key.split(':').map(Number);
+                const [west, south, east, north] = [j * size, i * size, (j + 1) * size, (i + 1) * size];
+                return [
+                    [west, south],
+                    [east, south],
+                    [east, north],
+                    [west, north],
+                    [west, south],
+                ];
+            },
+        };
+
+    const scale = Math.cos((refLat * Math.PI) / 180);
+    const radius = size / SQRT3; // nm, centre to corner
+    const toLonLat = (x, y) => [x / (60 * scale), y / 60];
+    const centreXY = (key) => {
+        const [q, r] = key.split(':').map(Number);
+        return [radius * SQRT3 * (q + r / 2), radius * 1.5 * r];
+    };
+    return {
+        key(lat, lon) {
+            const x = lon * 60 * scale,
+                y = lat * 60;
+            const q = ((SQRT3 / 3) * x - y / 3) / radius,
+                r = ((2 / 3) * y) / radius;
+            // cube rounding
+            let rq = Math.round(q),
+                rr = Math.round(r);
+            const rs = Math.round(-q - r);
+            const dq = Math.abs(rq - q),
+                dr = Math.abs(rr - r),
+                ds = Math.abs(rs + q + r);
+            if (dq > dr && dq > ds) rq = -rr - rs;
+            else if (dr > ds) rr = -rq - rs;
+            return `${rq}:${rr}`;
+        },
+        centre: (key) => toLonLat(...centreXY(key)),
+        ring(key) {
+            const [cx, cy] = centreXY(key);
+            const ring = [];
+            for (let corner = 0; corner <= 6; corner++) {
+                const angle = ((60 * (corner % 6) + 30) * Math.PI) / 180;
+                ring.push(toLonLat(cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)));
+            }
+            return ring;
+        },
+    };
+}
+
+function createDensityGrid({ cell = 'latlon', size = DENSITY_SIZES[cell], refLat = 0 } = {}) {
+    const grid = createCellGrid(cell, size, refLat);
+    const cells = new Map(); // key -> { count, mmsis, maxDistance }
+
+    return {
+        cell,
+        size,
+        refLat,
+        add(lat, lon, mmsi, distance) {
+            const key = grid.key(lat, lon);
+            let entry = cells.get(key);
+            if (!entry) cells.set(key, (entry = { count: 0, mmsis: new Set(), maxDistance: 0 }));
+            entry.count++;
+            if (mmsi !== undefined) entry.mmsis.add(mmsi);
+            if (distance > entry.maxDistance) entry.maxDistance = distance;
+        },
+        state: () => ({ cells: [...cells] }), // entries, the cache stores JSON
+        merge(state) {
+            for (const [key, other] of state.cells) {
+                const entry = cells.get(key);
+                if (!entry) cells.set(key, { count: other.count, mmsis: new Set(other.mmsis), maxDistance: other.maxDistance });
+                else {
+                    entry.count += other.count;
+                    for (const mmsi of other.mmsis) entry.mmsis.add(mmsi);
+                    entry.maxDistance = Math.max(entry.maxDistance, other.maxDistance);
+                }
+            }
+        },
+        // busiest first, with centre and ring of [lon, lat]
+        summary() {
+            const summary = [...cells]
+                .map(([key, { count, mmsis, maxDistance }]) => {
+                    const [lon, lat] = grid.centre(key);
+                    return { key, lat: Number(lat.toFixed(6)), lon: Number(lon.toFixed(6)), count, mmsis: mmsis.size, maxDistance: Number(maxDistance.toFixed(2)) };
+                })
+                .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+            return { cell, size, refLat, total: summary.reduce((sum, entry) => sum + entry.count, 0), cells: summary, ring: (key) => grid.ring(key).map(([lon, lat]) => [Number(lon.toFixed(6)), Number(lat.toFixed(6))]) };
+        },
+    };
+}
+
+function densityToGeoJSON(station, density) {
+    return {
+        type: 'FeatureCollection',
+        properties: { station: station.name, lat: station.lat, lon: station.lon, cell: density.cell, size: density.size, total: density.total },
+        features: density.cells.map(({ key, count, mmsis, maxDistance }) => ({
+            type: 'Feature',
+            geometry: { type: 'Polygon', coordinates: [density.ring(key)] },
+            properties: { cell: key, count, mmsis, maxDistance },
+        })),
+    };
+}
+
+// blue through to red on a log scale of the busiest cell, as KML aabbggrr
+function heatColour(count, max) {
+    const t = max > 1 ? Math.log(count) / Math.log(max) : 1;
+    const [r, g, b] = t < 0.5 ? [0, Math.round(510 * t), Math.round(255 * (1 - 2 * t))] : [Math.round(510 * (t - 0.5)), Math.round(255 * (2 - 2 * t)), 0];
+    return `b0${[b, g, r].map((value) => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function densityToKML(station, density) {
+    const escape = (text) => String(text).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+    const max = density.cells.length > 0 ? density.cells[0].count : 0;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>',
+        `<name>${escape(station.name)} position density (${density.cell} ${density.size}${density.cell === 'hex' ? ' nm' : '°'})</name>`,
+    ];
+    for (const { key, count, mmsis, maxDistance } of density.cells)
+        lines.push(
+            `<Placemark><name>${count}</name>` +
+                `<Style><LineStyle><width>0</width></LineStyle><PolyStyle><color>${heatColour(count, max)}</color><outline>0</outline></PolyStyle></Style>` +
+                `<ExtendedData><Data name="cell"><value>${key}</value></Data><Data name="count"><value>${count}</value></Data><Data name="mmsis"><value>${mmsis}</value></Data><Data name="maxDistance"><value>${maxDistance}</value></Data></ExtendedData>` +
+                `<Polygon><outerBoundaryIs><LinearRing><coordinates>${density
+                    .ring(key)
+                    .map(([lon, lat]) => `${lon},${lat}`)
+                    .join(' ')}</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>`
+        );
+    lines.push('</Document>', '</kml>');
+    return lines.join('\n') + '\n';
+}
+
+function densityToCSV(station, density) {
+    const lines = ['station,cell,lat,lon,count,mmsis,max_distance_nm'];
+    for (const { key, lat, lon, count, mmsis, maxDistance } of density.cells) lines.push([station.name, key, lat, lon, count, mmsis, maxDistance].join(','));
+    return lines.join('\n') + '\n';
+}
+
+// the format follows the file's extension
+function writeDensity(file, station, density) {
+    const extension = (file.match(/\.[^./\\]+$/) || [''])[0].toLowerCase();
+    const format = DENSITY_FORMATS[extension];
+    if (!format) throw new Error(`${file}: expected a .geojson, .json, .kml or .csv file`);
+    fs.writeFileSync(file, format === 'kml' ? densityToKML(station, density) : format === 'csv' ? densityToCSV(station, density) : JSON.stringify(densityToGeoJSON(station, density)));
+    return format;
+}
+
+module.exports = {
+    DENSITY_CELLS,
+    DENSITY_SIZES,
+    DENSITY_FORMATS,
+    createDensityGrid,
+    densityToGeoJSON,
+    densityToKML,
+    densityToCSV,
+    writeDensity,
+};
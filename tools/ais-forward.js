@@ -0,0 +1,271 @@
+// Forwarding: relays the receiver's NMEA to a list of UDP and TCP destinations (the aggregators AIS-catcher's -u
+// outputs fed, a chart plotter), each with its own filters, rate limit, reconnect backoff and delivery counters
+//
+//   input         { mqtt: URL } for the receiver's JSON feed (default mqtt://localhost:1883/ais/data), or
+//                 { udp: "[host:]port" } to listen for NMEA as AIS-catcher -u sends it
+//   http          port of the counters on /status
+//   exclude       MMSIs never forwarded (test transmitters, the station's own), on top of each destination's
+//   destinations  [{ name, udp: "host:port" or tcp: "host:port", enabled, exclude, mmsi, types, bbox, rate, burst,
+//                 backoff, maxBackoff }]
+//
+// A message goes out with all its sentences together, each ending in CR LF. mmsi only forwards those vessels, types
+// those message types, bbox (west,south,east,north) positions inside it (messages without one pass); rate caps
+// messages per second, with bursts of up to burst, and drops the rest. While a destination is down what it would have
+// been sent is dropped, not queued: late positions are no use to a live map. TCP reconnects after backoff seconds,
+// doubling up to maxBackoff while the connection keeps failing; a UDP destination is a connected socket, which sees
+// refused ports and failed lookups and backs off the same way, and looks its host up again every RESOLVE_INTERVAL.
+
+const net = require('net');
+const dgram = require('dgram');
+const { parseBbox, insideBbox } = require('./ais-geo.js');
+
+const FORWARD_DEFAULTS = {
+    mqtt: 'mqtt://localhost:1883/ais/data',
+    http: 9003,
+    backoff: 1, // s
+    maxBackoff: 60, // s
+};
+
+const RESOLVE_INTERVAL = 600000; // ms
+const STABLE_AFTER = 10000; // ms up before a failure starts the backoff over
+const MAX_PENDING = 65536; // bytes buffered for a slow TCP destination before messages are dropped
+
+const parseHostPort = (text, where) => {
+    const match = String(text).match(/^(?:\[([^\]]+)\]|([^:[\]]+)):(\d{1,5})$/);
+    if (!match || Number(match[3]) < 1 || Number(match[3]) > 65535) throw new Error(`${where}: expected host:port (got '${text}')`);
+    return { host: match[1] || match[2], port: Number(match[3]) };
+};
+
+const mmsiList = (list, where) =>
+    (Array.isArray(list) ? list : String(list).split(',')).map((item) => {
+        if (!/^\d{1,9}$/.test(String(item).trim())) throw new Error(`${where}: ${item} is not an MMSI`);
+        return Number(item);
+    });
+
+// the config file (see above) checked and with defaults filled in
+function compileForwarding(config, source = 'forwarding') {
+    const input = config.input || { mqtt: FORWARD_DEFAULTS.mqtt };
+    if (typeof input !== 'object' || (input.mqtt === undefined) === (input.udp === undefined)) throw new Error(`${source}: input needs one of mqtt or udp`);
+    let udp;
+    if (input.udp !== undefined) {
+        udp = /^\d+$/.test(String(input.udp)) ? { host: '0.0.0.0', port: Number(input.udp) } : parseHostPort(input.udp, `${source}: input udp`);
+        if (udp.port < 1 || udp.port > 65535) throw new Error(`${source}: input udp port ${udp.port} must be 1-65535`);
+    }
+    const http = config.http === undefined ? FORWARD_DEFAULTS.http : Number(config.http);
+    if (!Number.isInteger(http) || http < 1 || http > 65535) throw new Error(`${source}: http must be a port (got ${config.http})`);
+    const exclude = mmsiList(config.exclude || [], `${source}: exclude`);
+    if (!Array.isArray(config.destinations) || config.destinations.length === 0) throw new Error(`${source}: needs a list of destinations`);
+    const names = new Set();
+    const destinations = config.destinations.map((entry, index) => {
+        const where = `${source}: destinations[${index}]${entry && entry.name ? ` (${entry.name})` : ''}`;
+        if (!entry || typeof entry !== 'object' || !entry.name) throw new Error(`${where}: needs a name`);
+        if (names.has(entry.name)) throw new Error(`${source}: duplicate destination '${entry.name}'`);
+        names.add(entry.name);
+        if ((entry.udp === undefined) === (entry.tcp === undefined)) throw new Error(`${where}: needs one of udp or tcp`);
+        const number = (key, fallback) => {
+            const value = entry[key] === undefined ? fallback : Number(entry[key]);
+            if (value !== undefined && !(Number.isFinite(value) && value > 0)) throw new Error(`${where}: ${key} must be a number above 0`);
+            return value;
+        };
+        const types = entry.types === undefined ? undefined : [entry.types].flat().map(Number);
+        if (types && types.some((type) => !Number.isInteger(type) || type < 1 || type > 27)) throw new Error(`${where}: types must be AIS message types 1-27`);
+        let bbox;
+        try {
+            bbox = entry.bbox === undefined ? undefined : parseBbox(Array.isArray(entry.bbox) ? entry.bbox.join(',') : String(entry.bbox));
+        } catch (e) {
+            throw new Error(`${where}: bbox ${e.message}`);
+        }
+        const rate = number('rate');
+        const backoff = number('backoff', config.backoff === undefined ? FORWARD_DEFAULTS.backoff : Number(config.backoff));
+        return {
+            name: String(entry.name),
+            protocol: entry.udp !== undefined ? 'udp' : 'tcp',
+            ...parseHostPort(entry.udp !== undefined ? entry.udp : entry.tcp, where),
+            enabled: entry.enabled !== false,
+            exclude: new Set([...exclude, ...mmsiList(entry.exclude || [], `${where}: exclude`)]),
+            mmsi: entry.mmsi === undefined ? undefined : new Set(mmsiList(entry.mmsi, `${where}: mmsi`)),
+            types: types && new Set(types),
+            bbox,
+            rate,
+            burst: rate && number('burst', Math.max(1, rate)),
+            backoff: backoff * 1000,
+            maxBackoff: Math.max(backoff, number('maxBackoff', config.maxBackoff === undefined ? FORWARD_DEFAULTS.maxBackoff : Number(config.maxBackoff))) * 1000,
+            // what a reload compares to keep a destination's connection and counters
+            key: JSON.stringify([entry, config.exclude || [], config.backoff, config.maxBackoff]),
+        };
+    });
+    return { input: { mqtt: input.mqtt, udp }, http, destinations };
+}
+
+// whether a destination takes a message, { mmsi, type, lat, lon, nmea }
+function accepts(destination, { mmsi, type, lat, lon }) {
+    if (destination.exclude.has(mmsi)) return false;
+    if (destination.mmsi && !destination.mmsi.has(mmsi)) return false;
+    if (destination.types && !destination.types.has(type)) return false;
+    if (destination.bbox && typeof lat === 'number' && typeof lon === 'number' && lat <= 90 && lon <= 180 && !insideBbox(lat, lon, destination.bbox)) return false;
+    return true;
+}
+
+// token bucket of burst messages refilled at rate per second
+function createRateLimiter(rate, burst) {
+    let tokens = burst,
+        last;
+    return {
+        take(now) {
+            if (last !== undefined) tokens = Math.min(burst, tokens + ((now - last) / 1000) * rate);
+            last = now;
+            if (tokens < 1) return false;
+            tokens--;
+            return true;
+        },
+    };
+}
+
+function createDestination(destination, { log = console.error } = {}) {
+    const { name, protocol, host, port } = destination;
+    const counters = { sent: 0, bytes: 0, filtered: 0, limited: 0, dropped: 0, errors: 0, reconnects: 0 };
+    const limiter = destination.rate && createRateLimiter(destination.rate, destination.burst);
+    let socket,
+        state = 'connecting',
+        since = Date.now(),
+        delay = destination.backoff,
+        retryTimer,
+        resolveTimer,
+        lastSent,
+        lastError,
+        refreshing = false,
+        closed = false;
+
+    const setState = (next) => {
+        state = next;
+        since = Date.now();
+    };
+
+    function up() {
+        if (closed || state === 'up') return;
+        if (refreshing) state = 'up';
+        else {
+            setState('up');
+            log(`${name}: connected to ${protocol} ${host}:${port}`);
+        }
+        refreshing = false;
+        if (protocol === 'udp') resolveTimer = setTimeout(reresolve, RESOLVE_INTERVAL);
+    }
+
+    // drops the socket and tries again after the backoff, once however many errors and closes follow
+    function down(err) {
+        if (err) {
+            counters.errors++;
+            lastError = { time: new Date().toISOString(), message: err.message };
+        }
+        if (closed || state === 'down') return;
+        if ((state === 'up' || refreshing) && Date.now() - since >= STABLE_AFTER) delay = destination.backoff;
+        refreshing = false;
+        setState('down');
+        teardown();
+        log(`${name}: ${err ? err.message : 'connection closed'}, reconnecting in ${delay / 1000}s`);
+        retryTimer = setTimeout(() => {
+            counters.reconnects++;
+            connect();
+        }, delay);
+        delay = Math.min(delay * 2, destination.maxBackoff);
+    }
+
+    function teardown() {
+        clearTimeout(resolveTimer);
+        if (!socket) return;
+        const old = socket;
+        socket = undefined;
+        old.removeAllListeners();
+        old.on('error', () => {}); // late errors of the socket being dropped
+        if (protocol === 'udp') old.close();
+        else old.destroy();
+    }
+
+    // a fresh lookup of the host, neither logged nor counted as a reconnect
+    function reresolve() {
+        teardown();
+        refreshing = true;
+        connect();
+    }
+
+    function connect() {
+        retryTimer = undefined;
+        if (closed) return;
+        if (refreshing) state = 'connecting';
+        else setState('connecting');
+        if (protocol === 'udp') {
+            socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+            socket.on('error', down);
+            socket.connect(port, host, (err) => (err ? down(err) : up()));
+        } else {
+            socket = net.connect(port, host);
+            socket.setNoDelay(true);
+            socket.setKeepAlive(true, 30000);
+            socket.on('connect', up);
+            socket.on('error', down);
+            socket.on('close', () => down());
+            socket.resume(); // anything the other end sends is ignored
+        }
+    }
+
+    connect();
+
+    return {
+        name,
+        destination,
+        forward(message, now = Date.now()) {
+            if (!accepts(destination, message)) {
+                counters.filtered++;
+                return;
+            }
+            if (limiter && !limiter.take(now)) {
+                counters.limited++;
+                return;
+            }
+            if (state !== 'up' || (protocol === 'tcp' && socket.writableLength > MAX_PENDING)) {
+                counters.dropped++;
+                return;
+            }
+            const data = Buffer.from(message.nmea.map((sentence) => `${sentence}\r\n`).join(''));
+            if (protocol === 'udp')
+                socket.send(data, (err) => {
+                    if (err) return down(err);
+                    counters.sent++;
+                    counters.bytes += data.length;
+                    lastSent = Date.now();
+                });
+            else {
+                socket.write(data);
+                counters.sent++;
+                counters.bytes += data.length;
+                lastSent = now;
+            }
+        },
+        status() {
+            return {
+                name,
+                target: `${protocol}://${host}:${port}`,
+                state,
+                since: new Date(since).toISOString(),
+                ...counters,
+                lastSent: lastSent && new Date(lastSent).toISOString(),
+                lastError,
+            };
+        },
+        close() {
+            closed = true;
+            clearTimeout(retryTimer);
+            if (protocol === 'tcp' && socket && state === 'up') socket.end();
+            else teardown();
+        },
+    };
+}
+
+module.exports = {
+    FORWARD_DEFAULTS,
+    compileForwarding,
+    accepts,
+    createRateLimiter,
+    createDestination,
+};
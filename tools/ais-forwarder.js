@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+// Forwarder: relays NMEA from the receiver's local MQTT feed, or AIS-catcher -u datagrams, to the destinations of a
+// JSON config (see ais-forward.js) in place of one -u output per aggregator, with the delivery counters on
+// http://localhost:port/status
+//
+// SIGHUP reloads the config: destinations left as they were keep their connection and counters, the rest are closed
+// or started; a changed input or http port takes a restart.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const dgram = require('dgram');
+const { resolveOptions, formatHelp, loadConfig } = require('./ais-options.js');
+const { createMqttClient, parseMqttUrl } = require('./ais-mqtt.js');
+const { createNmeaDecoder } = require('./ais-nmea.js');
+const { compileForwarding, createDestination } = require('./ais-forward.js');
+
+const DEFAULT_CONFIG = ['ais-forwarder.json', 'ais-forwarder.yaml'].map((name) => path.join(__dirname, name));
+
+const USAGE = ['node ais-forwarder.js [--destinations=file] [options]'];
+
+// in --help order, see ais-options.js for the fields
+const OPTIONS = [
+    { name: 'help', type: 'boolean', description: 'Show this help (also -h)' },
+    { name: 'destinations', type: 'file', value: 'file', description: 'Input, destinations and their filters (JSON, or YAML), see ais-forward.js', defaultText: 'ais-forwarder.json beside this script' },
+    { name: 'http', type: 'integer', value: 'port', min: 1, max: 65535, description: 'Serve the counters on http://localhost:port/status', defaultText: "the config's http, else 9003" },
+    { name: 'check', type: 'boolean', description: 'Check the config, list the destinations and exit' },
+];
+
+const EXAMPLES = ['./ais-forwarder.js', './ais-forwarder.js --destinations=/etc/ais-forwarder.json --http=9013', './ais-forwarder.js --check', 'curl -s localhost:9003/status', 'systemctl reload ais-forwarder'];
+
+const describe = (destination) =>
+    `${destination.name} (${destination.protocol} ${destination.host}:${destination.port}${destination.enabled ? '' : ', disabled'}${destination.rate ? `, ${destination.rate}/s` : ''}${destination.exclude.size > 0 ? `, ${destination.exclude.size} excluded` : ''})`;
+
+// { mmsi, type, lat, lon, nmea } from a JSON payload of the feed, undefined without sentences
+function fromPayload(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.nmea) || data.nmea.length === 0) return undefined;
+    return { mmsi: data.mmsi, type: data.type, lat: data.lat, lon: data.lon, nmea: data.nmea };
+}
+
+async function main() {
+    let options, inputs;
+    try {
+        ({ options, inputs } = resolveOptions(process.argv.slice(2), OPTIONS));
+    } catch (e) {
+        console.error(`Error: ${e.message}\nRun with --help for the list of options`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(formatHelp(OPTIONS, { usage: USAGE, examples: EXAMPLES }));
+        return;
+    }
+    const usageError = (message) => {
+        console.error(`Error: ${message}`);
+        process.exit(2);
+    };
+    if (inputs.length > 0) usageError(`unexpected arguments: ${inputs.join(', ')} (use --destinations for the config)`);
+    const configFile = options.destinations || DEFAULT_CONFIG.find((file) => fs.existsSync(file));
+    if (!configFile) usageError(`no config, give --destinations=file or create ${DEFAULT_CONFIG[0]} (see ais-forwarder.example.json)`);
+    const load = () => compileForwarding(loadConfig(configFile), `config ${configFile}`);
+    let config, broker;
+    try {
+        config = load();
+        if (config.input.mqtt) broker = parseMqttUrl(config.input.mqtt, 'ais/data');
+    } catch (e) {
+        usageError(e.message);
+    }
+    if (options.check) {
+        console.log(`${configFile}: input ${broker ? `mqtt ${broker.host}:${broker.port} ${broker.topic}` : `udp ${config.input.udp.host}:${config.input.udp.port}`}, http ${config.http}`);
+        for (const destination of config.destinations) console.log(`  ${describe(destination)}`);
+        return;
+    }
+    const port = options.http || config.http;
+
+    const destinations = new Map(); // name -> destination
+    let disabled = [];
+    const apply = (compiled) => {
+        const previous = new Map(destinations);
+        let kept = 0;
+        destinations.clear();
+        for (const destination of compiled.destinations.filter((d) => d.enabled)) {
+            const existing = previous.get(destination.name);
+            if (existing && existing.destination.key === destination.key) {
+                destinations.set(destination.name, existing);
+                previous.delete(destination.name);
+                kept++;
+            } else destinations.set(destination.name, createDestination(destination));
+        }
+        for (const destination of previous.values()) destination.close();
+        disabled = compiled.destinations.filter((d) => !d.enabled);
+        return { kept, started: destinations.size - kept, stopped: previous.size };
+    };
+    apply(config);
+    console.error(`Forwarding from ${broker ? `mqtt ${broker.host}:${broker.port} ${broker.topic}` : `udp ${config.input.udp.host}:${config.input.udp.port}`} to ${config.destinations.map(describe).join(', ')}`);
+
+    const counts = { messages: 0, noNmea: 0 };
+    const forward = (message) => {
+        counts.messages++;
+        const now = Date.now();
+        for (const destination of destinations.values()) destination.forward(message, now);
+    };
+
+    let client, socket, decoder;
+    if (broker) {
+        client = createMqttClient(broker);
+        client.on('connect', () => console.error(`MQTT: connected to ${broker.host}:${broker.port}`));
+        client.on('reconnect', (delay) => console.error(`MQTT: reconnecting to ${broker.host}:${broker.port} in ${delay / 1000}s`));
+        client.on('error', (err) => console.error(`MQTT: ${err.message}`));
+        client.on('message', (topic, payload) => {
+            let data;
+            try {
+                data = JSON.parse(payload.toString('utf8'));
+            } catch {
+                // not JSON
+            }
+            const message = fromPayload(data);
+            if (message) forward(message);
+            else counts.noNmea++;
+        });
+        client.subscribe(broker.topic);
+    } else {
+        // sentences of a multipart message may come in separate datagrams, the decoder puts them together
+        decoder = createNmeaDecoder();
+        socket = dgram.createSocket('udp4');
+        socket.on('message', (datagram) => {
+            for (const line of datagram.toString('latin1').split(/\r?\n/)) {
+                if (!line.trim()) continue;
+                const payload = decoder.decodeLine(line.trim());
+                if (payload) forward(fromPayload(payload));
+            }
+        });
+        socket.on('error', (err) => {
+            console.error(`Error: input udp ${config.input.udp.host}:${config.input.udp.port}: ${err.message}`);
+            process.exit(1);
+        });
+        socket.bind(config.input.udp.port, config.input.udp.host);
+    }
+
+    const status = () => ({
+        time: new Date().toISOString(),
+        uptime: Math.round(process.uptime()),
+        input: broker ? { mqtt: `${broker.host}:${broker.port}`, topic: broker.topic, connected: client.connected, ...counts } : { udp: `${config.input.udp.host}:${config.input.udp.port}`, ...counts, ...decoder.counters },
+        destinations: [...[...destinations.values()].map((destination) => destination.status()), ...disabled.map(({ name, protocol, host, port }) => ({ name, target: `${protocol}://${host}:${port}`, state: 'disabled' }))],
+    });
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/status') {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(status()));
+    });
+    server.on('error', (err) => {
+        console.error(`Error: --http ${port}: ${err.message}`);
+        process.exit(1);
+    });
+    server.listen(port, () => console.error(`Counters at http://localhost:${port}/status`));
+
+    process.on('SIGHUP', () => {
+        let compiled;
+        try {
+            compiled = load();
+        } catch (e) {
+            console.error(`Error: reload: ${e.message}, keeping the running config`);
+            return;
+        }
+        if (JSON.stringify(compiled.input) !== JSON.stringify(config.input) || (!options.http && compiled.http !== config.http)) console.error('Reload: the input and http port only change on a restart');
+        const { kept, started, stopped } = apply(compiled);
+        config = { ...compiled, input: config.input, http: config.http };
+        console.error(`Reloaded ${configFile}: ${kept} kept, ${started} started, ${stopped} stopped`);
+    });
+    const stop = () => {
+        for (const destination of destinations.values()) destination.close();
+        if (client) client.end();
+        if (socket) socket.close();
+        server.close();
+        console.error(`${counts.messages} messages in; ${[...destinations.values()].map((destination) => `${destination.name} ${destination.status().sent} sent`).join(', ')}`);
+        process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+main().catch((e) => {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,86 @@
+function calculateBearing(lat1, lon1, lat2, lon2) {
+    const dLon = toRad(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(toRad(lat2)),
+        x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+    return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360; // Convert to degrees and normalize to 0-360
+}
+
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    const dLat = toRad(lat2 - lat1),
+        dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2),
+        c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return (6371 * c) / 1.852;
+}
+
+// [lon, lat] reached travelling distance (nm) along an initial bearing
+function calculateDestination(lat, lon, distance, bearing) {
+    const d = distance / (6371 / 1.852),
+        b = toRad(bearing),
+        lat1 = toRad(lat),
+        lon1 = toRad(lon);
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(b)),
+        lon2 = lon1 + Math.atan2(Math.sin(b) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+    return [Number(((lon2 * 180) / Math.PI).toFixed(6)), Number(((lat2 * 180) / Math.PI).toFixed(6))];
+}
+
+// ring of [lon, lat] points, by ray casting in degrees (away from the poles and the antimeridian)
+function pointInPolygon(lat, lon, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i],
+            [xj, yj] = ring[j];
+        if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+// nm to the nearest edge of a ring of [lon, lat] points, on a flat projection around the point
+function distanceToPolygon(lat, lon, ring) {
+    const scale = Math.cos(toRad(lat));
+    const project = ([x, y]) => [(x - lon) * 60 * scale, (y - lat) * 60];
+    let nearest = Infinity;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [ax, ay] = project(ring[j]),
+            [bx, by] = project(ring[i]);
+        const dx = bx - ax,
+            dy = by - ay,
+            length = dx * dx + dy * dy;
+        const t = length > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / length)) : 0;
+        nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+    return nearest;
+}
+
+// 'west,south,east,north' in degrees, west above east crosses the antimeridian
+function parseBbox(text) {
+    const values = text.split(',').map(Number);
+    if (values.length !== 4 || values.some((value) => !Number.isFinite(value))) throw new Error(`expected west,south,east,north (got '${text}')`);
+    const [west, south, east, north] = values;
+    if (south >= north || Math.abs(south) > 90 || Math.abs(north) > 90 || Math.abs(west) > 180 || Math.abs(east) > 180) throw new Error(`${text} is not a valid box`);
+    return { west, south, east, north };
+}
+
+function insideBbox(lat, lon, bbox) {
+    return lat >= bbox.south && lat <= bbox.north && (bbox.west <= bbox.east ? lon >= bbox.west && lon <= bbox.east : lon >= bbox.west || lon <= bbox.east);
+}
+
+function toRad(deg) {
+    return deg * (Math.PI / 180);
+}
+
+function getCompassDirection(bearing) {
+    return ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'][Math.round(bearing / 22.5) % 16];
+}
+
+module.exports = {
+    calculateBearing,
+    calculateDistance,
+    calculateDestination,
+    pointInPolygon,
+    distanceToPolygon,
+    parseBbox,
+    insideBbox,
+    toRad,
+    getCompassDirection,
+};
@@ -0,0 +1,161 @@
+// Receiver health: the message rate over the last hour against a baseline learned per hour of the day, time since
+// the last message overall and per channel, and the decoder statistics AIS-catcher prints with -v, summarised as
+// ok, degraded, stalled or disconnected (from the feed) with the problems found
+//
+// The baseline is the mean of each hour of the day's message count, over the hours the monitor watched in full and
+// without a stall, a plain mean for the first BASELINE_DAYS and an exponential one after so it follows the seasons.
+// Time without a connection to the feed is not the receiver's silence: while disconnected the status says so rather
+// than stalled, and the silences, the rate and the hour's count start over from the reconnection.
+
+const { toWallClock } = require('./ais-time.js');
+
+const HEALTH_DEFAULTS = {
+    stallAfter: 10, // min without any message
+    channelAfter: 30, // min without a message on one channel while the others are heard
+    lowRatio: 0.3, // of the baseline for the hour
+    minBaseline: 20, // messages per hour before a low rate counts
+    learnedSamples: 3, // days of an hour before its baseline is used
+};
+
+const BASELINE_DAYS = 14;
+const MINUTE = 60000,
+    HOUR = 3600000;
+
+// '[AIS engine v0.58 #0-0]   : received: 12 msgs, total: 1234 msgs, rate: 0.4 msg/s'
+function parseDecoderReport(line) {
+    const match = line.match(/received:\s*(\d+)\s*msgs?,\s*total:\s*(\d+)\s*msgs?(?:,\s*rate:\s*([\d.]+)\s*msg\/s)?/i);
+    if (!match) return undefined;
+    const engine = line.match(/\[([^\]]+)\]/);
+    return { engine: engine ? engine[1] : undefined, received: Number(match[1]), total: Number(match[2]), rate: match[3] === undefined ? undefined : Number(match[3]) };
+}
+
+function createHealth(options = {}, { baseline: savedBaseline, timezone = 'local', now = Date.now() } = {}) {
+    const { stallAfter, channelAfter, lowRatio, minBaseline, learnedSamples } = { ...HEALTH_DEFAULTS, ...options };
+    const baseline = Array.from({ length: 24 }, (_, hour) => ({ mean: 0, samples: 0, ...(savedBaseline && savedBaseline[hour]) }));
+    const minutes = new Map(), // minute index -> messages, the last hour
+        channels = {}; // channel -> { count, last }
+    const started = now;
+    let connectedSince = now, // what the silences and the rate are measured from
+        disconnectedSince;
+    let total = 0,
+        last,
+        decoder,
+        hour = { start: Math.floor(now / HOUR) * HOUR, count: 0, complete: false, stalled: false };
+    let learned = false;
+
+    const hourOfDay = (time) => toWallClock(time, timezone).hour;
+
+    // close the hours passed, learning the ones watched in full
+    function advance(time) {
+        while (time >= hour.start + HOUR) {
+            if (hour.complete && !hour.stalled) {
+                const entry = baseline[hourOfDay(hour.start)];
+                entry.samples++;
+                entry.mean += (hour.count - entry.mean) / Math.min(entry.samples, BASELINE_DAYS);
+                learned = true;
+            }
+            hour = { start: hour.start + HOUR, count: 0, complete: true, stalled: false };
+        }
+        for (const minute of minutes.keys()) if (minute <= Math.floor((time - HOUR) / MINUTE)) minutes.delete(minute);
+    }
+
+    function expected(time, duration) {
+        const entry = baseline[hourOfDay(time)];
+        return entry.samples >= learnedSamples ? (entry.mean * duration) / HOUR : undefined;
+    }
+
+    return {
+        // a message heard at time (arrival, ms)
+        record(payload, time) {
+            advance(time);
+            total++;
+            last = time;
+            hour.count++;
+            const minute = Math.floor(time / MINUTE);
+            minutes.set(minute, (minutes.get(minute) || 0) + 1);
+            const channel = payload.channel || '-';
+            const entry = channels[channel] || (channels[channel] = { count: 0, last: undefined });
+            entry.count++;
+            entry.last = time;
+        },
+        // the feed's connection (the supervisor's to the broker) lost or back
+        connection(connected, time) {
+            advance(time);
+            if (connected && disconnectedSince !== undefined) {
+                connectedSince = time;
+                disconnectedSince = undefined;
+            } else if (!connected && disconnectedSince === undefined) disconnectedSince = time;
+        },
+        // a line of AIS-catcher's -v output, true when it held decoder statistics
+        report(line, time) {
+            const parsed = parseDecoderReport(line);
+            if (parsed) decoder = { ...parsed, time };
+            return Boolean(parsed);
+        },
+        status(time) {
+            advance(time);
+            const problems = [];
+            const quiet = (lastTime) => time - Math.max(lastTime === undefined ? -Infinity : lastTime, connectedSince);
+            const since = quiet(last);
+            let status = 'ok';
+
+            const quietExpected = expected(time, since);
+            if (disconnectedSince !== undefined) {
+                status = 'disconnected';
+                hour.stalled = true; // not a full hour's count
+                problems.push(`no connection to the feed for ${Math.round((time - disconnectedSince) / MINUTE)} min`);
+            } else if (since >= stallAfter * MINUTE && (quietExpected === undefined || quietExpected >= 1)) {
+                status = 'stalled';
+                hour.stalled = true;
+                problems.push(`no messages for ${Math.round(since / MINUTE)} min${quietExpected !== undefined ? ` (about ${Math.round(quietExpected)} expected)` : ''}`);
+            }
+
+            const lastHour = [...minutes].reduce((sum, [minute, count]) => (minute >= Math.floor(connectedSince / MINUTE) ? sum + count : sum), 0);
+            const watched = Math.min(time - connectedSince, HOUR);
+            const hourly = expected(time, HOUR);
+            const ratio = hourly !== undefined && hourly > 0 && watched > 0 ? lastHour / ((hourly * watched) / HOUR) : undefined;
+            if (status === 'ok' && ratio !== undefined && hourly >= minBaseline && watched >= HOUR / 4 && ratio < lowRatio) {
+                status = 'degraded';
+                problems.push(`rate ${lastHour}/h is ${Math.round(ratio * 100)}% of the ${Math.round(hourly)}/h usual at this hour`);
+            }
+
+            const heard = Object.values(channels).some((entry) => quiet(entry.last) < channelAfter * MINUTE);
+            for (const [name, entry] of Object.entries(channels))
+                if (status !== 'disconnected' && heard && quiet(entry.last) >= channelAfter * MINUTE) {
+                    if (status === 'ok') status = 'degraded';
+                    problems.push(`channel ${name} silent for ${Math.round((time - entry.last) / MINUTE)} min`);
+                }
+
+            if (decoder && decoder.received === 0 && status === 'ok') {
+                status = 'degraded';
+                problems.push(`decoder${decoder.engine ? ` ${decoder.engine}` : ''} reported no messages received`);
+            }
+
+            return {
+                status,
+                problems,
+                time: new Date(time).toISOString(),
+                uptime: Math.round((time - started) / 1000),
+                messages: total,
+                lastMessage: last === undefined ? undefined : new Date(last).toISOString(),
+                sinceLast: last === undefined ? undefined : Math.round((time - last) / 1000),
+                connected: disconnectedSince === undefined,
+                rate: { lastHour, watched: Math.round(watched / MINUTE), baseline: hourly === undefined ? undefined : Math.round(hourly * 10) / 10, ratio: ratio === undefined ? undefined : Math.round(ratio * 100) / 100 },
+                channels: Object.fromEntries(Object.entries(channels).map(([name, entry]) => [name, { count: entry.count, lastMessage: new Date(entry.last).toISOString(), sinceLast: Math.round((time - entry.last) / 1000) }])),
+                decoder: decoder && { ...decoder, time: new Date(decoder.time).toISOString() },
+            };
+        },
+        // the baseline to keep across restarts, and whether it has changed since last asked
+        baseline() {
+            const changed = learned;
+            learned = false;
+            return { changed, baseline: baseline.map(({ mean, samples }) => ({ mean: Math.round(mean * 100) / 100, samples })) };
+        },
+    };
+}
+
+module.exports = {
+    HEALTH_DEFAULTS,
+    parseDecoderReport,
+    createHealth,
+};
@@ -0,0 +1,238 @@
+// Live mode: subscribe to the receiver's MQTT feed and keep the parser's range and beam statistics over rolling windows,
+// printing a refreshing summary and pushing a sample of the new positions to the map page as they arrive
+
+const { createMqttClient, createMqttBroker, parseMqttUrl } = require('./ais-mqtt.js');
+const { MAP_POINTS, createReservoir, createPositionStats } = require('./ais-stats.js');
+const { createCoverage, calculateCoverage, coverageToGeoJSON } = require('./ais-coverage.js');
+const { getCompassDirection } = require('./ais-geo.js');
+const { startMapServer } = require('./ais-map.js');
+const { formatTime } = require('./ais-time.js');
+
+const WINDOWS = [
+    { label: '10 min', duration: 10 * 60000 },
+    { label: '1 h', duration: 3600000 },
+    { label: '24 h', duration: 86400000 },
+];
+
+const MINUTE = 60000,
+    HOUR = 3600000;
+const MINUTE_TOP = 250; // furthest positions kept per minute for the top 5%, an hour keeps TOP_CAPACITY
+
+// positions of a minute or an hour as streaming accumulators (see ais-stats.js), with coverage and a share of the map
+// sample when there is a map
+function createBucket(start, size, { topCapacity, sectorSize, mapPoints }) {
+    return {
+        start,
+        size,
+        count: 0,
+        mmsis: new Set(),
+        maxDistance: 0,
+        maxDistanceMMSI: undefined,
+        stats: createPositionStats({ topCapacity }),
+        coverage: mapPoints ? createCoverage(sectorSize) : undefined,
+        positions: mapPoints ? createReservoir(mapPoints) : undefined,
+    };
+}
+
+function mergeBucket(into, bucket) {
+    into.count += bucket.count;
+    for (const mmsi of bucket.mmsis) into.mmsis.add(mmsi);
+    if (bucket.maxDistance > into.maxDistance) {
+        into.maxDistance = bucket.maxDistance;
+        into.maxDistanceMMSI = bucket.maxDistanceMMSI;
+    }
+    into.stats.merge(bucket.stats.state());
+    if (into.coverage) into.coverage.merge(bucket.coverage.state());
+    if (into.positions) into.positions.merge(bucket.positions.state());
+}
+
+// buckets in arrival order, so memory follows the window's length rather than the traffic: minutes for the last hour,
+// hours before that, which the longer windows move on by. The beam statistics only take positions within the distance
+// limits; the map sample (mapPoints, 0 without a map) is spread evenly over the window rather than by traffic.
+function createRollingWindow(duration, { sectorSize = 15, mapPoints = 0, minDistance = 0, maxDistance = 0 } = {}) {
+    const perMinute = mapPoints && Math.max(1, Math.ceil((mapPoints * MINUTE) / duration));
+    let buckets = [];
+    return {
+        add(sample) {
+            let bucket = buckets[buckets.length - 1];
+            const start = Math.floor(sample.received / MINUTE) * MINUTE;
+            if (!bucket || start > bucket.start) buckets.push((bucket = createBucket(start, MINUTE, { topCapacity: MINUTE_TOP, sectorSize, mapPoints: perMinute })));
+            bucket.count++;
+            bucket.mmsis.add(sample.mmsi);
+            if (sample.distance > bucket.maxDistance) {
+                bucket.maxDistance = sample.distance;
+                bucket.maxDistanceMMSI = sample.mmsi;
+            }
+            if (sample.distance >= minDistance && (maxDistance <= 0 || sample.distance <= maxDistance)) bucket.stats.add(sample.distance, sample.bearing);
+            if (bucket.coverage) bucket.coverage.add(sample.bearing, sample.distance, sample.mmsi);
+            if (bucket.positions) bucket.positions.add(sample);
+        },
+        expire(now) {
+            const first = buckets.findIndex((bucket) => bucket.start + bucket.size > now - duration);
+            if (first !== 0) buckets = first === -1 ? [] : buckets.slice(first);
+            // the minutes of an hour that ended over an hour ago become one bucket
+            for (;;) {
+                const index = buckets.findIndex((bucket) => bucket.size === MINUTE);
+                if (index === -1) break;
+                const hour = Math.floor(buckets[index].start / HOUR) * HOUR;
+                if (hour + HOUR > now - HOUR) break;
+                const merged = createBucket(hour, HOUR, { sectorSize, mapPoints: perMinute * 60 });
+                let end = index;
+                for (; end < buckets.length && buckets[end].start < hour + HOUR; end++) mergeBucket(merged, buckets[end]);
+                buckets.splice(index, end - index, merged);
+            }
+        },
+        // the windows of the given durations (ascending) ending now, merged from the newest bucket back in one pass;
+        // coverage and positions are over the longest
+        summarise(now, durations) {
+            const total = createBucket(now, 0, { sectorSize, mapPoints: 0 }),
+                coverage = mapPoints ? createCoverage(sectorSize) : undefined,
+                positions = [],
+                windows = [];
+            let index = buckets.length - 1;
+            for (const duration of durations) {
+                for (; index >= 0 && buckets[index].start + buckets[index].size > now - duration; index--) {
+                    mergeBucket(total, buckets[index]);
+                    if (coverage) coverage.merge(buckets[index].coverage.state());
+                    if (mapPoints) positions.push(...buckets[index].positions.values());
+                }
+                windows.push({ count: total.count, mmsis: total.mmsis.size, maxDistance: total.maxDistance, maxDistanceMMSI: total.maxDistanceMMSI, beamStats: total.stats.beamWidth() });
+            }
+            // the minutes' shares round up, a random mapPoints of them
+            for (let i = 0; i < mapPoints && i < positions.length; i++) {
+                const j = i + Math.floor(Math.random() * (positions.length - i));
+                [positions[i], positions[j]] = [positions[j], positions[i]];
+            }
+            return { windows, coverage, positions: positions.slice(0, mapPoints) };
+        },
+        size: () => buckets.reduce((sum, bucket) => sum + bucket.count, 0),
+    };
+}
+
+function printSummary(status, stations, summaries, { timezone, minDistance }) {
+    const lines = [];
+    lines.push(`AIS live: ${status.url} (${status.connected ? 'connected' : 'disconnected'}) at ${formatTime(status.now, timezone, true)}, up ${Math.floor((status.now - status.started) / 60000)} min`);
+    lines.push(`Received ${status.received} messages, ${status.located} positions attributed${status.errors > 0 ? `, ${status.errors} unparseable` : ''}${minDistance > 0 ? `, beam analysis beyond ${minDistance} nm` : ''}`);
+    for (const station of stations) {
+        lines.push('', `Station: ${station.name} (${station.lat}, ${station.lon})`);
+        lines.push('Window | Msgs   | MMSIs | Msgs/min | Max Dist (nm) | MMSI      | Mean Bearing | 68% Beam | 95% Beam | Top 5% (nm)');
+        lines.push('-------|--------|-------|----------|---------------|-----------|--------------|----------|----------|------------');
+        WINDOWS.forEach(({ label }, index) => {
+            const { count, mmsis, rate, maxDistance, maxDistanceMMSI, beamStats } = summaries.get(station.name)[index];
+            const meanBearing = beamStats ? `${beamStats.meanBearing.toFixed(1)}° ${getCompassDirection(beamStats.meanBearing)}` : '-',
+                beam68 = beamStats ? `${beamStats.percentile68.beamWidth.toFixed(1)}°` : '-',
+                beam95 = beamStats ? `${beamStats.percentile95.beamWidth.toFixed(1)}°` : '-',
+                top5 = beamStats ? beamStats.maxDistance.avgDistance.toFixed(2) : '-';
+            lines.push(
+                `${label.padEnd(6)} | ${count.toString().padStart(6)} | ${mmsis.toString().padStart(5)} | ${rate.toFixed(1).padStart(8)} | ${maxDistance.toFixed(2).padStart(13)} | ${(maxDistanceMMSI || '-').toString().padEnd(9)} | ${meanBearing.padStart(12)} | ${beam68.padStart(8)} | ${beam95.padStart(8)} | ${top5.padStart(11)}`
+            );
+        });
+    }
+    if (process.stdout.isTTY) process.stdout.write('\u001B[2J\u001B[H');
+    else lines.push('');
+    console.log(lines.join('\n'));
+}
+
+// ingest(text, receivedAt) parses a message and returns the parser's located position (or undefined)
+async function startLive(url, { stations, ingest, refresh = 10, broker: withBroker = false, displayPort, mapOptions = {}, minDistance = 0, maxDistance = 0, timezone = 'local', sectorSize = 15, mapPoints = MAP_POINTS }) {
+    const options = parseMqttUrl(url, 'ais/data');
+    const status = { url: `${options.tls ? 'mqtts' : 'mqtt'}://${options.host}:${options.port}/${options.topic}`, started: Date.now(), received: 0, located: 0, errors: 0, connected: false };
+    const longest = WINDOWS[WINDOWS.length - 1].duration;
+    const windows = new Map(stations.map((station) => [station.name, createRollingWindow(longest, { sectorSize, mapPoints: displayPort ? mapPoints : 0, minDistance, maxDistance })]));
+    // new positions for the page, at the same rate over time as the window's sample
+    const newPending = () => new Map(stations.map((station) => [station.name, createReservoir(Math.max(1, Math.ceil((mapPoints * refresh * 1000) / longest)))]));
+    let pending = newPending();
+
+    let broker;
+    if (withBroker) {
+        if (options.tls) throw new Error('the test broker speaks plain MQTT, give --live=mqtt://');
+        broker = await createMqttBroker({ port: options.port, host: options.host === 'localhost' ? '127.0.0.1' : options.host }).listen();
+        console.log(`MQTT test broker listening on ${options.host}:${broker.port}`);
+    }
+
+    const client = createMqttClient(options);
+    client.on('connect', () => {
+        status.connected = true;
+        console.log(`Connected to ${status.url}`);
+    });
+    client.on('close', () => (status.connected = false));
+    client.on('reconnect', (delay) => console.error(`MQTT: reconnecting in ${delay / 1000}s`));
+    client.on('error', (err) => console.error(`MQTT: ${err.message}`));
+    client.on('message', (topic, payload) => {
+        const received = Date.now();
+        status.received++;
+        let located;
+        try {
+            located = ingest(payload.toString('utf8'), received);
+        } catch {
+            status.errors++;
+            return;
+        }
+        if (!located) return;
+        const name = located.analysis.station.name;
+        const sample = { received, time: located.time, mmsi: located.payload.mmsi, lat: located.payload.lat, lon: located.payload.lon, distance: located.distance, bearing: located.bearing };
+        status.located++;
+        windows.get(name).add(sample);
+        pending.get(name).add(sample);
+    });
+    client.subscribe(options.topic);
+
+    const mapData = { live: { window: longest }, minDistance, stations: stations.map((station) => ({ name: station.name, lat: station.lat, lon: station.lon, positions: [] })) };
+    const map = displayPort ? startMapServer(displayPort, mapData, mapOptions) : undefined;
+
+    function update() {
+        const now = Date.now(),
+            summaries = new Map();
+        status.now = now;
+        for (const station of stations) {
+            const window = windows.get(station.name);
+            window.expire(now);
+            const {
+                windows: summary,
+                coverage,
+                positions,
+            } = window.summarise(
+                now,
+                WINDOWS.map(({ duration }) => duration)
+            );
+            summaries.set(
+                station.name,
+                summary.map((entry, index) => {
+                    const minutes = Math.min(WINDOWS[index].duration, now - status.started) / 60000;
+                    return { ...entry, rate: minutes > 0 ? entry.count / minutes : 0 };
+                })
+            );
+            if (map) {
+                const longestSummary = summary[summary.length - 1];
+                Object.assign(
+                    mapData.stations.find((s) => s.name === station.name),
+                    {
+                        positions,
+                        count: longestSummary.count,
+                        maxDistance: longestSummary.maxDistance,
+                        beamStats: longestSummary.beamStats,
+                        coverage: longestSummary.count > 0 ? coverageToGeoJSON(station, calculateCoverage(coverage)) : undefined,
+                    }
+                );
+            }
+        }
+        printSummary(status, stations, summaries, { timezone, minDistance });
+        if (map) map.update(Object.fromEntries([...pending].map(([name, reservoir]) => [name, reservoir.values()])));
+        pending = newPending();
+    }
+    const timer = setInterval(update, refresh * 1000);
+
+    async function stop() {
+        clearInterval(timer);
+        client.end();
+        if (map) map.server.close();
+        if (broker) await broker.close();
+    }
+    return { client, broker, map, update, stop };
+}
+
+module.exports = {
+    WINDOWS,
+    createRollingWindow,
+    startLive,
+};
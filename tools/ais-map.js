@@ -0,0 +1,620 @@
+// Offline map display: a self-contained canvas map (Web Mercator) with optional local raster tiles or a GeoJSON coastline,
+// the page fetches its data from JSON endpoints rather than having it inlined. Stations with a density grid (see
+// ais-density.js) get a heatmap layer, which can be switched on and off with the positions from the legend
+//
+// Given an archive api (see createArchiveApi in ais-parser.js) the server also answers /api/stats, /api/positions,
+// /api/beam, /api/coverage, /api/density and /api/vessels/<mmsi>/track, filtered by from, to, bbox, minDistance, mmsi and station, and
+// the page gets filter controls that query them
+
+const fs = require('fs');
+const http = require('http');
+
+function sendJSON(res, data, status = 200) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+}
+
+function mapPage() {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>AIS coverage</title>
+<style>
+html, body { height: 100%; margin: 0; padding: 0; font-family: sans-serif; }
+#map { position: absolute; top: 0; left: 0; width: 100%; height: 100%; cursor: grab; background: #cfe3f0; }
+#map.dragging { cursor: grabbing; }
+.panel { position: absolute; background: white; padding: 5px 8px; font-size: 12px; border: 1px solid #ccc; border-radius: 3px; }
+#info { top: 10px; left: 10px; }
+#legend { bottom: 10px; left: 10px; }
+#legend label { display: block; }
+#status { top: 10px; right: 10px; }
+.swatch { display: inline-block; width: 10px; height: 10px; margin-right: 4px; vertical-align: middle; }
+#filters { top: 40px; right: 10px; display: none; }
+#filters label { display: block; margin: 2px 0; }
+#filters label span { display: inline-block; width: 80px; }
+#filters input[type=text] { width: 130px; font-size: 12px; }
+#filters div { margin-top: 4px; }
+</style>
+</head>
+<body>
+<canvas id="map"></canvas>
+<div id="info" class="panel"></div>
+<div id="legend" class="panel">
+<div><span class="swatch" style="background:#FF0000;border-radius:50%"></span>Station</div>
+<label><input type="checkbox" id="layer-positions" checked><span class="swatch" style="background:#0000FF;opacity:0.5"></span>Position</label>
+<label id="heatmap-legend" style="display:none"><input type="checkbox" id="layer-heatmap" checked><span class="swatch" style="background:linear-gradient(to right, #0000FF, #00FF00, #FF0000)"></span>Density</label>
+<div><span class="swatch" style="background:#00FF00"></span>68% beam</div>
+<div><span class="swatch" style="background:#FFFF00"></span>95% beam</div>
+<div><span class="swatch" style="border:2px solid #8000FF;box-sizing:border-box"></span>Coverage (max)</div>
+<div><span class="swatch" style="border:2px dashed #8000FF;box-sizing:border-box"></span>Coverage (90%)</div>
+<div id="track-legend" style="display:none"><span class="swatch" style="background:#FF8000"></span>Track</div>
+</div>
+<div id="status" class="panel">Loading...</div>
+<form id="filters" class="panel">
+<label><span>From</span><input type="text" name="from" placeholder="2025-05-14, -7d, yesterday"></label>
+<label><span>To</span><input type="text" name="to" placeholder="end of the archive"></label>
+<label><span>Min distance</span><input type="text" name="minDistance" placeholder="nm"></label>
+<label><span>MMSI</span><input type="text" name="mmsi" placeholder="mmsi1,mmsi2"></label>
+<label><input type="checkbox" name="view"> Within the current view</label>
+<div><button type="submit">Apply</button> <button type="button" id="track">Track MMSI</button> <button type="button" id="reset">Reset</button></div>
+</form>
+<script>
+const canvas = document.getElementById('map'), ctx = canvas.getContext('2d');
+const view = { lat: 0, lon: 0, zoom: 10 };
+const tileCache = new Map();
+let config, positions = {}, density = {}, coastline, track;
+const layers = { positions: true, heatmap: true };
+
+function project(lat, lon, zoom) {
+    const size = 256 * Math.pow(2, zoom), sin = Math.min(Math.max(Math.sin(lat * Math.PI / 180), -0.9999), 0.9999);
+    return [(lon + 180) / 360 * size, (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size];
+}
+
+function unproject(x, y, zoom) {
+    const size = 256 * Math.pow(2, zoom);
+    return { lat: Math.atan(Math.sinh(Math.PI * (1 - 2 * y / size))) * 180 / Math.PI, lon: x / size * 360 - 180 };
+}
+
+function toScreen(lat, lon) {
+    const [x, y] = project(lat, lon, view.zoom), [cx, cy] = project(view.lat, view.lon, view.zoom);
+    return [x - cx + canvas.width / 2, y - cy + canvas.height / 2];
+}
+
+function fromScreen(px, py) {
+    const [cx, cy] = project(view.lat, view.lon, view.zoom);
+    return unproject(cx + px - canvas.width / 2, cy + py - canvas.height / 2, view.zoom);
+}
+
+function computeOffset(lat, lon, distance, bearing) {
+    const brng = bearing * Math.PI / 180;
+    const lat1 = lat * Math.PI / 180, lon1 = lon * Math.PI / 180;
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(distance / 6371000) + Math.cos(lat1) * Math.sin(distance / 6371000) * Math.cos(brng)), lon2 = lon1 + Math.atan2(Math.sin(brng) * Math.sin(distance / 6371000) * Math.cos(lat1), Math.cos(distance / 6371000) - Math.sin(lat1) * Math.sin(lat2));
+    return { lat: lat2 * 180 / Math.PI, lon: lon2 * 180 / Math.PI };
+}
+
+function drawTiles() {
+    if (!config.tiles) return;
+    const tileZoom = Math.max(0, Math.min(config.maxTileZoom, Math.round(view.zoom))), scale = Math.pow(2, view.zoom - tileZoom), count = Math.pow(2, tileZoom);
+    const [cx, cy] = project(view.lat, view.lon, tileZoom);
+    const left = cx - canvas.width / 2 / scale, top = cy - canvas.height / 2 / scale;
+    for (let tx = Math.floor(left / 256); tx <= Math.floor((left + canvas.width / scale) / 256); tx++)
+        for (let ty = Math.max(0, Math.floor(top / 256)); ty <= Math.min(count - 1, Math.floor((top + canvas.height / scale) / 256)); ty++) {
+            const x = ((tx % count) + count) % count, url = config.tiles.replace('{z}', tileZoom).replace('{x}', x).replace('{y}', ty);
+            let image = tileCache.get(url);
+            if (!image) {
+                image = new Image();
+                image.onload = draw;
+                image.src = url;
+                tileCache.set(url, image);
+            }
+            if (image.complete && image.naturalWidth > 0) ctx.drawImage(image, (tx * 256 - left) * scale, (ty * 256 - top) * scale, 256 * scale + 1, 256 * scale + 1);
+        }
+}
+
+function drawCoastline() {
+    if (!coastline) return;
+    ctx.fillStyle = '#f2efe9';
+    ctx.strokeStyle = '#999';
+    ctx.lineWidth = 1;
+    const ring = (coordinates) => coordinates.forEach(([lon, lat], i) => { const [x, y] = toScreen(lat, lon); if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y); });
+    for (const feature of coastline.features || [coastline]) {
+        const geometry = feature.geometry || feature;
+        if (!geometry) continue;
+        ctx.beginPath();
+        if (geometry.type === 'Polygon') geometry.coordinates.forEach(ring);
+        else if (geometry.type === 'MultiPolygon') geometry.coordinates.forEach((polygon) => polygon.forEach(ring));
+        else if (geometry.type === 'LineString') ring(geometry.coordinates);
+        else if (geometry.type === 'MultiLineString') geometry.coordinates.forEach(ring);
+        if (geometry.type.endsWith('Polygon')) ctx.fill('evenodd');
+        ctx.stroke();
+    }
+}
+
+function drawGraticule() {
+    const topLeft = fromScreen(0, 0), bottomRight = fromScreen(canvas.width, canvas.height);
+    const span = Math.max(bottomRight.lon - topLeft.lon, 1e-6), step = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 30].find((s) => span / s <= 12) || 30;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.font = '10px sans-serif';
+    ctx.lineWidth = 1;
+    for (let lon = Math.ceil(topLeft.lon / step) * step; lon <= bottomRight.lon; lon += step) {
+        const [x] = toScreen(0, lon);
+        ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, canvas.height); ctx.stroke();
+        ctx.fillText(lon.toFixed(2) + '°', x + 2, canvas.height - 4);
+    }
+    for (let lat = Math.ceil(bottomRight.lat / step) * step; lat <= topLeft.lat; lat += step) {
+        const [, y] = toScreen(lat, 0);
+        ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(canvas.width, y); ctx.stroke();
+        ctx.fillText(lat.toFixed(2) + '°', 2, y - 2);
+    }
+}
+
+function drawCircle(lat, lon, radius, stroke, fill) {
+    ctx.beginPath();
+    for (let bearing = 0; bearing <= 360; bearing += 5) {
+        const p = computeOffset(lat, lon, radius, bearing), [x, y] = toScreen(p.lat, p.lon);
+        if (bearing === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    }
+    ctx.fillStyle = fill;
+    ctx.fill();
+    ctx.strokeStyle = stroke;
+    ctx.stroke();
+}
+
+function drawRing(ring, color, dash) {
+    ctx.beginPath();
+    ring.forEach(([lon, lat], i) => { const [x, y] = toScreen(lat, lon); if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y); });
+    ctx.setLineDash(dash || []);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.lineWidth = 1;
+}
+
+function drawBeamLine(lat, lon, bearing, distance, color) {
+    const [x1, y1] = toScreen(lat, lon);
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    for (let d = distance / 16; d <= distance; d += distance / 16) {
+        const p = computeOffset(lat, lon, d, bearing), [x, y] = toScreen(p.lat, p.lon);
+        ctx.lineTo(x, y);
+    }
+    ctx.strokeStyle = color;
+    ctx.globalAlpha = 0.8;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = 1;
+}
+
+function drawLabel(text, x, y) {
+    ctx.font = '11px sans-serif';
+    const width = ctx.measureText(text).width;
+    ctx.fillStyle = 'white';
+    ctx.fillRect(x, y - 11, width + 8, 16);
+    ctx.strokeStyle = '#ccc';
+    ctx.strokeRect(x, y - 11, width + 8, 16);
+    ctx.fillStyle = 'black';
+    ctx.fillText(text, x + 4, y + 1);
+}
+
+function drawScale() {
+    const metresPerPixel = 40075016.686 * Math.cos(view.lat * Math.PI / 180) / (256 * Math.pow(2, view.zoom));
+    const nm = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100, 200].find((n) => (n * 1852) / metresPerPixel >= 80) || 200, width = (nm * 1852) / metresPerPixel;
+    const x = canvas.width - width - 20, y = canvas.height - 20;
+    ctx.strokeStyle = 'black';
+    ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.moveTo(x, y - 5); ctx.lineTo(x, y); ctx.lineTo(x + width, y); ctx.lineTo(x + width, y - 5); ctx.stroke();
+    ctx.lineWidth = 1;
+    ctx.fillStyle = 'black';
+    ctx.fillText(nm + ' nm', x + width / 2 - 12, y - 8);
+}
+
+// blue through green to red on a log scale of the busiest cell
+function heatColour(count, max) {
+    const t = max > 1 ? Math.log(count) / Math.log(max) : 1;
+    const [r, g, b] = t < 0.5 ? [0, 510 * t, 255 * (1 - 2 * t)] : [510 * (t - 0.5), 255 * (2 - 2 * t), 0];
+    return 'rgba(' + Math.round(r) + ', ' + Math.round(g) + ', ' + Math.round(b) + ', 0.5)';
+}
+
+// cells from their centres: lat/lon squares size degrees on a side, or pointy-top hexagons size nm across the flats
+function drawDensity(grid, cells) {
+    const radius = grid.size / Math.sqrt(3), scale = Math.cos(grid.refLat * Math.PI / 180);
+    const corners = grid.cell === 'hex'
+        ? [0, 1, 2, 3, 4, 5].map((i) => [radius * Math.sin((60 * i + 30) * Math.PI / 180) / 60, radius * Math.cos((60 * i + 30) * Math.PI / 180) / (60 * scale)])
+        : [[-0.5, -0.5], [-0.5, 0.5], [0.5, 0.5], [0.5, -0.5]].map(([dlat, dlon]) => [dlat * grid.size, dlon * grid.size]);
+    for (const [lat, lon, count] of cells) {
+        const points = corners.map(([dlat, dlon]) => toScreen(lat + dlat, lon + dlon));
+        if (points.every(([x]) => x < 0) || points.every(([, y]) => y < 0) || points.every(([x]) => x > canvas.width) || points.every(([, y]) => y > canvas.height)) continue;
+        ctx.fillStyle = heatColour(count, grid.max);
+        ctx.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+// voyages as lines, stops as squares
+function drawTrack() {
+    ctx.strokeStyle = '#FF8000';
+    ctx.fillStyle = '#FF8000';
+    ctx.lineWidth = 2;
+    for (const feature of track.features) {
+        if (feature.geometry.type === 'LineString') {
+            ctx.beginPath();
+            feature.geometry.coordinates.forEach(([lon, lat], i) => { const [x, y] = toScreen(lat, lon); if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y); });
+            ctx.stroke();
+        } else {
+            const [x, y] = toScreen(feature.geometry.coordinates[1], feature.geometry.coordinates[0]);
+            ctx.fillRect(x - 4, y - 4, 8, 8);
+        }
+    }
+    ctx.lineWidth = 1;
+}
+
+function draw() {
+    if (!config) return;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawTiles();
+    drawCoastline();
+    drawGraticule();
+
+    for (const station of config.stations) {
+        const { lat, lon, beamStats } = station, points = positions[station.name] || [];
+
+        // Draw minimum distance circle if specified
+        if (config.minDistance > 0) {
+            drawCircle(lat, lon, config.minDistance * 1852, 'rgba(255, 0, 0, 0.3)', 'rgba(255, 0, 0, 0.05)');
+            const label = computeOffset(lat, lon, config.minDistance * 1852, 90), [lx, ly] = toScreen(label.lat, label.lon);
+            drawLabel(config.minDistance + ' nm', lx, ly);
+        }
+
+        // Density heatmap under the positions
+        if (layers.heatmap && station.grid && density[station.name]) drawDensity(station.grid, density[station.name]);
+
+        // Plot all positions as small dots
+        ctx.fillStyle = 'rgba(0, 0, 255, 0.3)';
+        const radius = Math.max(1.5, 50 / (40075016.686 * Math.cos(lat * Math.PI / 180) / (256 * Math.pow(2, view.zoom))));
+        if (layers.positions) for (const [plat, plon] of points) {
+            const [x, y] = toScreen(plat, plon);
+            if (x < -radius || y < -radius || x > canvas.width + radius || y > canvas.height + radius) continue;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+
+        // Draw coverage outlines
+        if (station.coverage) {
+            if (station.coverage.max) drawRing(station.coverage.max, 'rgba(128, 0, 255, 0.8)');
+            if (station.coverage.p90) drawRing(station.coverage.p90, 'rgba(128, 0, 255, 0.8)', [6, 4]);
+        }
+
+        // Draw beam width lines
+        if (beamStats && station.maxDistance > 0) {
+            const maxDist = station.maxDistance * 1.1 * 1852; // nm to meters + 10%
+            drawBeamLine(lat, lon, beamStats.percentile68.minBearing, maxDist, '#00FF00');
+            drawBeamLine(lat, lon, beamStats.percentile68.maxBearing, maxDist, '#00FF00');
+            drawBeamLine(lat, lon, beamStats.percentile95.minBearing, maxDist, '#FFFF00');
+            drawBeamLine(lat, lon, beamStats.percentile95.maxBearing, maxDist, '#FFFF00');
+        }
+    }
+
+    if (track) drawTrack();
+
+    for (const station of config.stations) {
+        const [x, y] = toScreen(station.lat, station.lon);
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, 2 * Math.PI);
+        ctx.fillStyle = '#FF0000';
+        ctx.fill();
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.lineWidth = 1;
+        if (config.stations.length > 1) drawLabel(station.name, x + 8, y - 8);
+    }
+    drawScale();
+}
+
+function resize() {
+    canvas.width = window.innerWidth;
+    canvas.height = window.innerHeight;
+    draw();
+}
+
+let drag;
+canvas.addEventListener('mousedown', (e) => { drag = { x: e.clientX, y: e.clientY }; canvas.classList.add('dragging'); });
+window.addEventListener('mouseup', () => { drag = undefined; canvas.classList.remove('dragging'); });
+window.addEventListener('mousemove', (e) => {
+    if (!drag) return;
+    const centre = fromScreen(canvas.width / 2 - (e.clientX - drag.x), canvas.height / 2 - (e.clientY - drag.y));
+    view.lat = centre.lat;
+    view.lon = centre.lon;
+    drag = { x: e.clientX, y: e.clientY };
+    draw();
+});
+canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const anchor = fromScreen(e.offsetX, e.offsetY);
+    view.zoom = Math.max(1, Math.min(18, view.zoom - Math.sign(e.deltaY) * 0.5));
+    const [ax, ay] = toScreen(anchor.lat, anchor.lon), centre = fromScreen(canvas.width / 2 + ax - e.offsetX, canvas.height / 2 + ay - e.offsetY);
+    view.lat = centre.lat;
+    view.lon = centre.lon;
+    draw();
+}, { passive: false });
+window.addEventListener('resize', resize);
+
+function showInfo() {
+    document.getElementById('info').textContent = (config.live ? 'Live, last ' + config.live.window / 3600000 + ' h | ' : '') + config.stations.map((s) => s.name + ': ' + s.count + ' positions').join(', ') + (config.minDistance > 0 ? ' | Min distance: ' + config.minDistance + ' nm' : '');
+}
+
+function listen() {
+    const events = new EventSource('events');
+    events.addEventListener('positions', (e) => {
+        const update = JSON.parse(e.data);
+        for (const [name, points] of Object.entries(update.stations)) positions[name] = (positions[name] || []).concat(points).filter((p) => p[2] >= update.now - config.live.window);
+        draw();
+    });
+    events.addEventListener('stats', (e) => {
+        Object.assign(config, JSON.parse(e.data));
+        showInfo();
+        draw();
+    });
+    events.onerror = () => (document.getElementById('status').textContent = 'Live feed disconnected, retrying...');
+    events.onopen = () => (document.getElementById('status').textContent = 'Live');
+}
+
+async function api(endpoint, query) {
+    const response = await fetch('api/' + endpoint + (query ? '?' + query : ''));
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || response.statusText);
+    return data;
+}
+
+function filterQuery(withView) {
+    const form = document.getElementById('filters'), params = new URLSearchParams();
+    for (const name of ['from', 'to', 'minDistance', 'mmsi']) if (form[name].value.trim() !== '') params.set(name, form[name].value.trim());
+    if (withView && form.view.checked) {
+        const topLeft = fromScreen(0, 0), bottomRight = fromScreen(canvas.width, canvas.height);
+        params.set('bbox', [topLeft.lon, bottomRight.lat, bottomRight.lon, topLeft.lat].map((value) => value.toFixed(4)).join(','));
+    }
+    return params.toString();
+}
+
+function setFilters(query) {
+    const form = document.getElementById('filters');
+    form.from.value = query.from || '';
+    form.to.value = query.to || '';
+    form.minDistance.value = query.minDistance || '';
+    form.mmsi.value = query.mmsi ? query.mmsi.join(',') : '';
+}
+
+// every station's positions, beam and coverage for the filters, from the archive
+async function applyFilters() {
+    const status = document.getElementById('status'), query = filterQuery(true);
+    status.textContent = 'Querying the archive...';
+    try {
+        const [stats, sample, beam, coverage, grids] = await Promise.all(['stats', 'positions', 'beam', 'coverage', 'density'].map((endpoint) => api(endpoint, query)));
+        const find = (result, name) => result.stations.find((entry) => entry.name === name);
+        for (const station of config.stations) {
+            const entry = find(stats, station.name), beamEntry = find(beam, station.name), coverageEntry = find(coverage, station.name);
+            station.count = entry ? entry.positions : 0;
+            station.maxDistance = beamEntry ? beamEntry.maxDistance : 0;
+            station.beamStats = beamEntry && beamEntry.beamStats;
+            station.coverage = coverageEntry && Object.fromEntries(coverageEntry.coverage.features.filter((f) => f.properties.metric).map((f) => [f.properties.metric, f.geometry.coordinates[0]]));
+            positions[station.name] = find(sample, station.name) ? find(sample, station.name).points : [];
+            const grid = find(grids, station.name);
+            station.grid = grid && grid.grid;
+            density[station.name] = grid ? grid.cells : [];
+        }
+        config.minDistance = stats.query.minDistance || 0;
+        setFilters(stats.query);
+        showInfo();
+        draw();
+        status.textContent = stats.files + ' files' + (stats.query.from || stats.query.to ? ', ' + (stats.query.from || 'start') + ' to ' + (stats.query.to || 'end') : '') + (stats.query.mmsi ? ', MMSI ' + stats.query.mmsi.join(',') : '') + (stats.query.bbox ? ', current view' : '');
+    } catch (e) {
+        status.textContent = 'Query failed: ' + e.message;
+    }
+}
+
+async function showTrack() {
+    const form = document.getElementById('filters'), status = document.getElementById('status'), mmsi = form.mmsi.value.trim().split(',')[0];
+    if (!/^[0-9]{1,9}$/.test(mmsi)) {
+        status.textContent = 'Enter an MMSI to track';
+        return;
+    }
+    status.textContent = 'Reading the track of ' + mmsi + '...';
+    try {
+        track = await api('vessels/' + mmsi + '/track', filterQuery(false));
+        const voyages = track.features.filter((f) => f.geometry.type === 'LineString');
+        status.textContent = 'Track of ' + (voyages[0].properties.shipname || mmsi) + ': ' + voyages.length + ' voyages';
+        document.getElementById('track-legend').style.display = '';
+        const [lon, lat] = voyages[voyages.length - 1].geometry.coordinates.slice(-1)[0];
+        view.lat = lat;
+        view.lon = lon;
+        draw();
+    } catch (e) {
+        status.textContent = 'Track failed: ' + e.message;
+    }
+}
+
+function setupFilters() {
+    const form = document.getElementById('filters');
+    form.style.display = 'block';
+    setFilters(config.api);
+    form.addEventListener('submit', (e) => { e.preventDefault(); applyFilters(); });
+    document.getElementById('track').addEventListener('click', showTrack);
+    document.getElementById('reset').addEventListener('click', () => {
+        track = undefined;
+        document.getElementById('track-legend').style.display = 'none';
+        form.view.checked = false;
+        setFilters(config.api);
+        applyFilters();
+    });
+}
+
+function setupLayers() {
+    if (config.stations.some((station) => station.grid)) document.getElementById('heatmap-legend').style.display = '';
+    for (const name of Object.keys(layers))
+        document.getElementById('layer-' + name).addEventListener('change', (e) => {
+            layers[name] = e.target.checked;
+            draw();
+        });
+}
+
+async function load() {
+    config = await (await fetch('data.json')).json();
+    view.lat = config.stations[0].lat;
+    view.lon = config.stations[0].lon;
+    showInfo();
+    resize();
+    setupLayers();
+    if (config.coastline) coastline = await (await fetch('coastline.json')).json();
+    for (const station of config.stations) {
+        positions[station.name] = await (await fetch('positions.json?station=' + encodeURIComponent(station.name))).json();
+        if (station.grid) density[station.name] = await (await fetch('density.json?station=' + encodeURIComponent(station.name))).json();
+        draw();
+    }
+    document.getElementById('status').textContent = config.tiles ? 'Tiles: ' + config.tiles : config.coastline ? 'Coastline: local' : 'No base map configured';
+    if (config.live) listen();
+    if (config.api) setupFilters();
+}
+load().catch((e) => (document.getElementById('status').textContent = 'Failed to load: ' + e.message));
+</script>
+</body>
+</html>`;
+}
+
+function positionRow(p, live) {
+    const row = [Number(p.lat.toFixed(5)), Number(p.lon.toFixed(5))];
+    if (live) row.push(p.received);
+    return row;
+}
+
+// grid layout for the page, which draws the cells from their centres
+const densityGrid = ({ cell, size, refLat, total, cells }) => ({ cell, size, refLat, total, max: cells.length > 0 ? cells[0].count : 0 });
+const densityRow = ({ lat, lon, count, mmsis, maxDistance }) => [lat, lon, count, mmsis, maxDistance];
+
+const API_ROUTES = {
+    stats: (station) => ({
+        name: station.station.name,
+        messages: station.messages,
+        day: station.day,
+        night: station.night,
+        maxDistance: station.maxDistance,
+        maxDistanceMMSI: station.maxDistanceMMSI,
+        positions: station.positionCount,
+        periods: station.periods,
+    }),
+    positions: (station) => ({ name: station.station.name, count: station.positionCount, points: station.positions.map((p) => positionRow(p)) }),
+    beam: (station) => ({ name: station.station.name, lat: station.station.lat, lon: station.station.lon, maxDistance: station.positionMaxDistance, beamStats: station.beamStats }),
+    coverage: (station) => ({ name: station.station.name, coverage: station.coverage }),
+    density: (station) => ({ name: station.station.name, grid: station.density && densityGrid(station.density), cells: station.density ? station.density.cells.map(densityRow) : [] }),
+};
+
+// bad parameters are a 400 and failures reading the archive a 500, both with { error }
+async function answerApi(api, url, res) {
+    const route = url.pathname.slice('/api/'.length),
+        track = route.match(/^vessels\/(\d{1,9})\/track$/);
+    if (!API_ROUTES[route] && !track) {
+        sendJSON(res, { error: `unknown endpoint ${url.pathname}` }, 404);
+        return;
+    }
+    let query;
+    try {
+        query = api.parseQuery(url.searchParams);
+    } catch (e) {
+        sendJSON(res, { error: e.message }, 400);
+        return;
+    }
+    try {
+        if (track) {
+            const geojson = await api.track(Number(track[1]), query);
+            if (geojson) sendJSON(res, geojson);
+            else sendJSON(res, { error: `no positions of ${track[1]}` }, 404);
+            return;
+        }
+        const result = await api.analyse(query);
+        sendJSON(res, { query: result.query, files: result.files, stations: result.stations.map(API_ROUTES[route]) });
+    } catch (e) {
+        sendJSON(res, { error: e.message }, 500);
+    }
+}
+
+// mapData.live ({ window: ms }) marks a live feed: positions carry their arrival time and the page listens on /events
+function startMapServer(port, mapData, { tiles, maxTileZoom = 18, coastline, api } = {}) {
+    let coastlineData;
+    if (coastline) coastlineData = fs.readFileSync(coastline, 'utf8');
+    const listeners = new Set();
+
+    const summary = () => ({
+        stations: mapData.stations.map(({ name, lat, lon, beamStats, positions, count, maxDistance, coverage, density }) => ({
+            name,
+            lat,
+            lon,
+            beamStats,
+            coverage: coverage ? Object.fromEntries(coverage.features.filter((f) => f.properties.metric).map((f) => [f.properties.metric, f.geometry.coordinates[0]])) : undefined,
+            count: count ?? positions.length, // positions may be a sample
+            maxDistance: maxDistance ?? positions.reduce((max, p) => Math.max(max, p.distance), 0),
+            grid: density ? densityGrid(density) : undefined,
+        })),
+        minDistance: mapData.minDistance || 0,
+        live: mapData.live,
+        tiles,
+        maxTileZoom,
+        coastline: Boolean(coastlineData),
+        api: api ? api.defaults : undefined,
+    });
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(mapPage());
+        } else if (url.pathname === '/data.json') sendJSON(res, summary());
+        else if (url.pathname === '/positions.json') {
+            const station = mapData.stations.find((s) => s.name === url.searchParams.get('station')) || mapData.stations[0];
+            sendJSON(
+                res,
+                station.positions.map((p) => positionRow(p, mapData.live))
+            );
+        } else if (url.pathname === '/density.json') {
+            const station = mapData.stations.find((s) => s.name === url.searchParams.get('station')) || mapData.stations[0];
+            sendJSON(res, station.density ? station.density.cells.map(densityRow) : []);
+        } else if (url.pathname === '/events') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+            res.write(': connected\n\n');
+            listeners.add(res);
+            req.on('close', () => listeners.delete(res));
+        } else if (url.pathname.startsWith('/api/') && api) answerApi(api, url, res);
+        else if (url.pathname === '/coastline.json' && coastlineData) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(coastlineData);
+        } else {
+            res.writeHead(404);
+            res.end('Not found');
+        }
+    });
+    server.listen(port, () => console.log(`\nMap server running at http://localhost:${port}/ -- open this URL to view the AIS data on the map`));
+
+    function send(event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const res of listeners) res.write(message);
+    }
+
+    return {
+        server,
+        // new positions per station since the last update, then the refreshed statistics
+        update(additions = {}) {
+            if (listeners.size === 0) return;
+            send('positions', { now: Date.now(), stations: Object.fromEntries(Object.entries(additions).map(([name, points]) => [name, points.map((p) => positionRow(p, mapData.live))])) });
+            send('stats', summary());
+        },
+    };
+}
+
+module.exports = {
+    startMapServer,
+};
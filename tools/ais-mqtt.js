@@ -0,0 +1,380 @@
+// Minimal MQTT 3.1.1 over TCP or TLS (mqtts://, certificates checked against the system CAs): a QoS 0 client with
+// keepalive and reconnect, QoS 1 subscriptions in a persistent session for archiving, and a small in-process broker
+// for testing (no dependencies, so the tools run on the receiver hosts as they are)
+
+const net = require('net');
+const tls = require('tls');
+const { EventEmitter } = require('events');
+
+const CONNECT = 1,
+    CONNACK = 2,
+    PUBLISH = 3,
+    PUBACK = 4,
+    SUBSCRIBE = 8,
+    SUBACK = 9,
+    UNSUBSCRIBE = 10,
+    UNSUBACK = 11,
+    PINGREQ = 12,
+    PINGRESP = 13,
+    DISCONNECT = 14;
+
+// mqtt[s]://[user:pass@]host[:port][/topic], the topic is kept raw because '#' would otherwise be a URL fragment
+function parseMqttUrl(url, defaultTopic) {
+    const match = url.match(/^mqtt(s?):\/\/(?:([^:@/]*)(?::([^@/]*))?@)?([^:/]+)(?::(\d+))?(?:\/(.*))?$/);
+    if (!match) throw new Error(`invalid MQTT URL '${url}', expected mqtt://host[:port][/topic] or mqtts://`);
+    const [, secure, username, password, host, port, topic] = match;
+    return {
+        host,
+        port: port ? Number.parseInt(port) : secure ? 8883 : 1883,
+        tls: Boolean(secure),
+        topic: topic ? decodeURIComponent(topic) : defaultTopic,
+        username: username ? decodeURIComponent(username) : undefined,
+        password: password ? decodeURIComponent(password) : undefined,
+    };
+}
+
+function topicMatches(filter, topic) {
+    const filterLevels = filter.split('/'),
+        topicLevels = topic.split('/');
+    for (let i = 0; i < filterLevels.length; i++) {
+        if (filterLevels[i] === '#') return i > 0 || !topic.startsWith('$');
+        if (i >= topicLevels.length) return false;
+        if (filterLevels[i] === '+') {
+            if (i === 0 && topic.startsWith('$')) return false;
+            continue;
+        }
+        if (filterLevels[i] !== topicLevels[i]) return false;
+    }
+    return filterLevels.length === topicLevels.length;
+}
+
+function encodeLength(length) {
+    const bytes = [];
+    do {
+        let byte = length % 128;
+        length = Math.floor(length / 128);
+        if (length > 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (length > 0);
+    return Buffer.from(bytes);
+}
+
+function encodeString(value) {
+    const data = Buffer.from(value, 'utf8'),
+        length = Buffer.alloc(2);
+    length.writeUInt16BE(data.length);
+    return Buffer.concat([length, data]);
+}
+
+function encodePacket(type, flags, ...parts) {
+    const body = Buffer.concat(parts.map((part) => (Buffer.isBuffer(part) ? part : Buffer.from(part))));
+    return Buffer.concat([Buffer.from([(type << 4) | flags]), encodeLength(body.length), body]);
+}
+
+function encodeId(id) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(id);
+    return buffer;
+}
+
+function encodePublish(topic, payload, { retain = false, qos = 0, id } = {}) {
+    return encodePacket(PUBLISH, (qos << 1) | (retain ? 1 : 0), encodeString(topic), qos > 0 ? encodeId(id) : Buffer.alloc(0), Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload)));
+}
+
+// splits a byte stream into packets
+function createPacketReader(onPacket) {
+    let buffer = Buffer.alloc(0);
+    return (chunk) => {
+        buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+        for (;;) {
+            if (buffer.length < 2) return;
+            let length = 0,
+                multiplier = 1,
+                offset = 1,
+                byte;
+            do {
+                if (offset >= buffer.length) return;
+                if (offset > 4) throw new Error('malformed remaining length');
+                byte = buffer[offset++];
+                length += (byte & 0x7f) * multiplier;
+                multiplier *= 128;
+            } while (byte & 0x80);
+            if (buffer.length < offset + length) return;
+            const packet = { type: buffer[0] >> 4, flags: buffer[0] & 0x0f, body: buffer.subarray(offset, offset + length) };
+            buffer = buffer.subarray(offset + length);
+            onPacket(packet);
+        }
+    };
+}
+
+function decodePublish({ flags, body }) {
+    const topicLength = body.readUInt16BE(0),
+        topic = body.toString('utf8', 2, 2 + topicLength),
+        qos = (flags >> 1) & 3;
+    let offset = 2 + topicLength,
+        id;
+    if (qos > 0) {
+        id = body.readUInt16BE(offset);
+        offset += 2;
+    }
+    return { topic, qos, id, dup: Boolean(flags & 8), retain: Boolean(flags & 1), payload: body.subarray(offset) };
+}
+
+// events: connect (sessionPresent), message (topic, payload, packet), close, error, reconnect; with clean: false and
+// qos: 1 the broker keeps the subscriptions and queues messages while disconnected, and a message is acknowledged once
+// the message handlers have returned, so one written synchronously there is redelivered (packet.dup) rather than lost
+function createMqttClient(url, { clientId = `ais-${process.pid}-${Math.random().toString(16).slice(2, 8)}`, keepalive = 60, reconnectMin = 1000, reconnectMax = 30000, username, password, clean = true, qos = 0 } = {}) {
+    const options = typeof url === 'string' ? parseMqttUrl(url) : url;
+    const client = new EventEmitter();
+    const subscriptions = new Set();
+    let socket,
+        connected = false,
+        closing = false,
+        reconnectDelay = reconnectMin,
+        reconnectTimer,
+        pingTimer,
+        awaitingPing = false,
+        nextId = 1;
+
+    const user = username ?? options.username,
+        pass = password ?? options.password;
+
+    function send(packet) {
+        if (socket && !socket.destroyed) socket.write(packet);
+    }
+
+    function sendSubscribe(topics) {
+        const id = nextId++ % 65536 || nextId++;
+        send(encodePacket(SUBSCRIBE, 2, encodeId(id), ...topics.map((topic) => Buffer.concat([encodeString(topic), Buffer.from([qos])]))));
+    }
+
+    function onPacket(packet) {
+        switch (packet.type) {
+            case CONNACK: {
+                const code = packet.body[1];
+                if (code !== 0) {
+                    client.emit('error', new Error(`connection refused (code ${code})`));
+                    socket.destroy();
+                    return;
+                }
+                connected = true;
+                reconnectDelay = reconnectMin;
+                if (subscriptions.size > 0) sendSubscribe([...subscriptions]);
+                client.emit('connect', Boolean(packet.body[0] & 1));
+                break;
+            }
+            case PUBLISH: {
+                const message = decodePublish(packet);
+                client.emit('message', message.topic, message.payload, message);
+                if (message.qos === 1) send(encodePacket(PUBACK, 0, encodeId(message.id)));
+                break;
+            }
+            case PINGRESP:
+                awaitingPing = false;
+                break;
+            default:
+                break;
+        }
+    }
+
+    function connect() {
+        reconnectTimer = undefined;
+        let flags = clean ? 0x02 : 0;
+        if (user !== undefined) flags |= 0x80;
+        if (pass !== undefined) flags |= 0x40;
+        const keepaliveBytes = Buffer.alloc(2);
+        keepaliveBytes.writeUInt16BE(keepalive);
+        socket = options.tls ? tls.connect({ host: options.host, port: options.port, servername: net.isIP(options.host) ? undefined : options.host }) : net.connect(options.port, options.host);
+        socket.setNoDelay(true);
+        socket.on(options.tls ? 'secureConnect' : 'connect', () =>
+            send(
+                encodePacket(
+                    CONNECT,
+                    0,
+                    encodeString('MQTT'),
+                    Buffer.from([4, flags]),
+                    keepaliveBytes,
+                    encodeString(clientId),
+                    user === undefined ? Buffer.alloc(0) : encodeString(user),
+                    pass === undefined ? Buffer.alloc(0) : encodeString(pass)
+                )
+            )
+        );
+        const read = createPacketReader(onPacket);
+        socket.on('data', (chunk) => {
+            try {
+                read(chunk);
+            } catch (e) {
+                client.emit('error', e);
+                socket.destroy();
+            }
+        });
+        socket.on('error', (err) => client.emit('error', err));
+        socket.on('close', () => {
+            const wasConnected = connected;
+            connected = false;
+            awaitingPing = false;
+            if (wasConnected) client.emit('close');
+            if (!closing) {
+                client.emit('reconnect', reconnectDelay);
+                reconnectTimer = setTimeout(connect, reconnectDelay);
+                reconnectDelay = Math.min(reconnectDelay * 2, reconnectMax);
+            }
+        });
+    }
+
+    if (keepalive > 0)
+        pingTimer = setInterval(
+            () => {
+                if (!connected) return;
+                if (awaitingPing) {
+                    client.emit('error', new Error('keepalive timeout'));
+                    socket.destroy();
+                    return;
+                }
+                awaitingPing = true;
+                send(encodePacket(PINGREQ, 0));
+            },
+            (keepalive * 1000) / 2
+        );
+
+    client.subscribe = (topic) => {
+        const topics = Array.isArray(topic) ? topic : [topic];
+        topics.forEach((t) => subscriptions.add(t));
+        if (connected) sendSubscribe(topics);
+        return client;
+    };
+    client.unsubscribe = (topic) => {
+        subscriptions.delete(topic);
+        if (connected) send(encodePacket(UNSUBSCRIBE, 2, encodeId(nextId++ % 65536 || nextId++), encodeString(topic)));
+        return client;
+    };
+    client.publish = (topic, payload, publishOptions = {}) => {
+        if (!connected) return false;
+        send(encodePublish(topic, payload, { retain: publishOptions.retain }));
+        return true;
+    };
+    client.end = () => {
+        closing = true;
+        clearInterval(pingTimer);
+        clearTimeout(reconnectTimer);
+        if (socket && !socket.destroyed) {
+            if (connected) socket.end(encodePacket(DISCONNECT, 0));
+            else socket.destroy();
+        }
+    };
+    Object.defineProperty(client, 'connected', { get: () => connected });
+
+    connect();
+    return client;
+}
+
+// enough of a broker to test against: QoS 0 delivery (QoS 1 publishes are acknowledged), wildcards and retained messages
+function createMqttBroker({ port = 1883, host = '127.0.0.1' } = {}) {
+    const broker = new EventEmitter();
+    const sessions = new Set(),
+        retained = new Map();
+
+    function deliver(topic, payload, retain = false) {
+        for (const session of sessions) if ([...session.subscriptions].some((filter) => topicMatches(filter, topic))) session.socket.write(encodePublish(topic, payload, { retain }));
+    }
+
+    const server = net.createServer((socket) => {
+        const session = { socket, subscriptions: new Set(), clientId: undefined };
+        const read = createPacketReader((packet) => {
+            switch (packet.type) {
+                case CONNECT: {
+                    const protocolLength = packet.body.readUInt16BE(0),
+                        clientIdOffset = 2 + protocolLength + 4;
+                    session.clientId = packet.body.toString('utf8', clientIdOffset + 2, clientIdOffset + 2 + packet.body.readUInt16BE(clientIdOffset));
+                    sessions.add(session);
+                    socket.write(encodePacket(CONNACK, 0, Buffer.from([0, 0])));
+                    broker.emit('client', session.clientId);
+                    break;
+                }
+                case SUBSCRIBE: {
+                    const id = packet.body.readUInt16BE(0),
+                        granted = [],
+                        filters = [];
+                    for (let offset = 2; offset < packet.body.length;) {
+                        const length = packet.body.readUInt16BE(offset),
+                            filter = packet.body.toString('utf8', offset + 2, offset + 2 + length);
+                        offset += 2 + length + 1;
+                        session.subscriptions.add(filter);
+                        filters.push(filter);
+                        granted.push(0);
+                    }
+                    socket.write(encodePacket(SUBACK, 0, encodeId(id), Buffer.from(granted)));
+                    for (const [topic, payload] of retained) if (filters.some((filter) => topicMatches(filter, topic))) socket.write(encodePublish(topic, payload, { retain: true }));
+                    break;
+                }
+                case UNSUBSCRIBE: {
+                    const id = packet.body.readUInt16BE(0);
+                    for (let offset = 2; offset < packet.body.length;) {
+                        const length = packet.body.readUInt16BE(offset);
+                        session.subscriptions.delete(packet.body.toString('utf8', offset + 2, offset + 2 + length));
+                        offset += 2 + length;
+                    }
+                    socket.write(encodePacket(UNSUBACK, 0, encodeId(id)));
+                    break;
+                }
+                case PUBLISH: {
+                    const message = decodePublish(packet);
+                    if (message.qos === 1) socket.write(encodePacket(PUBACK, 0, encodeId(message.id)));
+                    if (message.retain) {
+                        if (message.payload.length === 0) retained.delete(message.topic);
+                        else retained.set(message.topic, Buffer.from(message.payload));
+                    }
+                    deliver(message.topic, message.payload);
+                    broker.emit('publish', message.topic, message.payload);
+                    break;
+                }
+                case PINGREQ:
+                    socket.write(encodePacket(PINGRESP, 0));
+                    break;
+                case DISCONNECT:
+                    socket.end();
+                    break;
+                default:
+                    break;
+            }
+        });
+        socket.on('data', (chunk) => {
+            try {
+                read(chunk);
+            } catch {
+                socket.destroy();
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => sessions.delete(session));
+    });
+
+    broker.server = server;
+    broker.listen = () =>
+        new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.off('error', reject);
+                broker.port = server.address().port;
+                resolve(broker);
+            });
+        });
+    broker.publish = (topic, payload, { retain = false } = {}) => {
+        if (retain) retained.set(topic, Buffer.from(payload));
+        deliver(topic, Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload)));
+    };
+    broker.close = () =>
+        new Promise((resolve) => {
+            for (const session of sessions) session.socket.destroy();
+            server.close(() => resolve());
+        });
+    return broker;
+}
+
+module.exports = {
+    parseMqttUrl,
+    topicMatches,
+    createMqttClient,
+    createMqttBroker,
+};
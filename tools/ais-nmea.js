@@ -0,0 +1,473 @@
+// AIVDM/AIVDO decoding: checksum, 6-bit armoring, fragment reassembly and the common message types,
+// producing payloads with the same field names as the AIS-catcher JSON_FULL output
+
+const SIXBIT_TEXT = '@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_ !"#$%&\'()*+,-./0123456789:;<=>?';
+
+const STATUS_TEXT = [
+    'Under way using engine',
+    'At anchor',
+    'Not under command',
+    'Restricted manoeuverability',
+    'Constrained by her draught',
+    'Moored',
+    'Aground',
+    'Engaged in Fishing',
+    'Under way sailing',
+    'Reserved for HSC',
+    'Reserved for WIG',
+    'Power-driven vessel towing astern',
+    'Power-driven vessel pushing ahead or towing alongside',
+    'Reserved',
+    'AIS-SART is active',
+    'Not defined',
+];
+
+const EPFD_TEXT = ['Undefined', 'GPS', 'GLONASS', 'Combined GPS/GLONASS', 'Loran-C', 'Chayka', 'Integrated navigation system', 'Surveyed', 'Galileo'];
+
+const AID_TYPE_TEXT = [
+    'Default, Type of Aid to Navigation not specified',
+    'Reference point',
+    'RACON (radar transponder marking a navigation hazard)',
+    'Fixed structure off shore',
+    'Spare, Reserved for future use.',
+    'Light, without sectors',
+    'Light, with sectors',
+    'Leading Light Front',
+    'Leading Light Rear',
+    'Beacon, Cardinal N',
+    'Beacon, Cardinal E',
+    'Beacon, Cardinal S',
+    'Beacon, Cardinal W',
+    'Beacon, Port hand',
+    'Beacon, Starboard hand',
+    'Beacon, Preferred Channel port hand',
+    'Beacon, Preferred Channel starboard hand',
+    'Beacon, Isolated danger',
+    'Beacon, Safe water',
+    'Beacon, Special mark',
+    'Cardinal Mark N',
+    'Cardinal Mark E',
+    'Cardinal Mark S',
+    'Cardinal Mark W',
+    'Port hand Mark',
+    'Starboard hand Mark',
+    'Preferred Channel Port hand',
+    'Preferred Channel Starboard hand',
+    'Isolated danger',
+    'Safe Water',
+    'Special Mark',
+    'Light Vessel / LANBY / Rigs',
+];
+
+function shiptypeText(shiptype) {
+    if (shiptype === undefined || shiptype === 0) return 'Not available';
+    if (shiptype >= 20 && shiptype < 30) return 'Wing in ground (WIG)';
+    const special = {
+        30: 'Fishing',
+        31: 'Towing',
+        32: 'Towing: length exceeds 200m or breadth exceeds 25m',
+        33: 'Dredging or underwater ops',
+        34: 'Diving ops',
+        35: 'Military ops',
+        36: 'Sailing',
+        37: 'Pleasure Craft',
+        50: 'Pilot Vessel',
+        51: 'Search and Rescue vessel',
+        52: 'Tug',
+        53: 'Port Tender',
+        54: 'Anti-pollution equipment',
+        55: 'Law Enforcement',
+        58: 'Medical Transport',
+        59: 'Noncombatant ship according to RR Resolution No. 18',
+    };
+    if (special[shiptype]) return special[shiptype];
+    const category = { 4: 'High speed craft (HSC)', 6: 'Passenger', 7: 'Cargo', 8: 'Tanker', 9: 'Other Type' }[Math.floor(shiptype / 10)];
+    return category || 'Reserved';
+}
+
+function nmeaChecksum(body) {
+    let checksum = 0;
+    for (let i = 0; i < body.length; i++) checksum ^= body.charCodeAt(i);
+    return checksum;
+}
+
+function validateChecksum(sentence) {
+    const star = sentence.lastIndexOf('*');
+    if (star < 1 || star + 3 > sentence.length) return false;
+    return nmeaChecksum(sentence.substring(1, star)) === Number.parseInt(sentence.substring(star + 1, star + 3), 16);
+}
+
+// 6-bit armored payload to an array of bits
+function unarmor(payload, fillBits = 0) {
+    const bits = new Uint8Array(payload.length * 6);
+    for (let i = 0; i < payload.length; i++) {
+        let value = payload.charCodeAt(i) - 48;
+        if (value > 40) value -= 8;
+        if (value < 0 || value > 63) throw new Error(`invalid armoring character '${payload[i]}'`);
+        for (let b = 0; b < 6; b++) bits[i * 6 + b] = (value >> (5 - b)) & 1;
+    }
+    return fillBits > 0 ? bits.subarray(0, bits.length - fillBits) : bits;
+}
+
+function createBitReader(bits) {
+    function unsigned(start, length) {
+        let value = 0;
+        for (let i = start; i < start + length; i++) value = value * 2 + (i < bits.length ? bits[i] : 0);
+        return value;
+    }
+    function signed(start, length) {
+        const value = unsigned(start, length);
+        return value >= 2 ** (length - 1) ? value - 2 ** length : value;
+    }
+    function text(start, length) {
+        let result = '';
+        for (let i = start; i + 6 <= Math.min(start + length, bits.length); i += 6) result += SIXBIT_TEXT[unsigned(i, 6)];
+        return result.replace(/@.*$/, '').trimEnd();
+    }
+    return { length: bits.length, unsigned, signed, text, bool: (start) => unsigned(start, 1) === 1 };
+}
+
+function decodeDimensions(r, start) {
+    return {
+        to_bow: r.unsigned(start, 9),
+        to_stern: r.unsigned(start + 9, 9),
+        to_port: r.unsigned(start + 18, 6),
+        to_starboard: r.unsigned(start + 24, 6),
+    };
+}
+
+const pad = (value, width = 2) => value.toString().padStart(width, '0');
+
+const DECODERS = {
+    1: decodePositionReportA,
+    2: decodePositionReportA,
+    3: decodePositionReportA,
+    4: decodeBaseStation,
+    5: decodeStaticVoyage,
+    9: decodeSarAircraft,
+    11: decodeBaseStation,
+    18: decodePositionReportB,
+    19: decodeExtendedPositionReportB,
+    21: decodeAidToNavigation,
+    24: decodeStaticDataB,
+    27: decodeLongRangeBroadcast,
+};
+
+function decodePositionReportA(r) {
+    const status = r.unsigned(38, 4),
+        turn = r.signed(42, 8);
+    return {
+        status,
+        status_text: STATUS_TEXT[status],
+        turn_unscaled: turn,
+        turn: turn === -128 || Math.abs(turn) >= 127 ? turn : Math.round(Math.sign(turn) * (turn / 4.733) ** 2),
+        speed: r.unsigned(50, 10) / 10,
+        accuracy: r.bool(60),
+        lon: r.signed(61, 28) / 600000,
+        lat: r.signed(89, 27) / 600000,
+        course: r.unsigned(116, 12) / 10,
+        heading: r.unsigned(128, 9),
+        second: r.unsigned(137, 6),
+        maneuver: r.unsigned(143, 2),
+        raim: r.bool(148),
+        radio: r.unsigned(149, 19),
+    };
+}
+
+function decodeBaseStation(r) {
+    const year = r.unsigned(38, 14),
+        month = r.unsigned(52, 4),
+        day = r.unsigned(56, 5),
+        hour = r.unsigned(61, 5),
+        minute = r.unsigned(66, 6),
+        second = r.unsigned(72, 6),
+        epfd = r.unsigned(134, 4);
+    return {
+        year,
+        month,
+        day,
+        hour,
+        minute,
+        second,
+        timestamp: `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}Z`,
+        accuracy: r.bool(78),
+        lon: r.signed(79, 28) / 600000,
+        lat: r.signed(107, 27) / 600000,
+        epfd,
+        epfd_text: EPFD_TEXT[epfd] || 'Undefined',
+        raim: r.bool(148),
+        radio: r.unsigned(149, 19),
+    };
+}
+
+function decodeStaticVoyage(r) {
+    const shiptype = r.unsigned(232, 8),
+        epfd = r.unsigned(270, 4);
+    return {
+        ais_version: r.unsigned(38, 2),
+        imo: r.unsigned(40, 30),
+        callsign: r.text(70, 42),
+        shipname: r.text(112, 120),
+        shiptype,
+        shiptype_text: shiptypeText(shiptype),
+        ...decodeDimensions(r, 240),
+        epfd,
+        epfd_text: EPFD_TEXT[epfd] || 'Undefined',
+        month: r.unsigned(274, 4),
+        day: r.unsigned(278, 5),
+        hour: r.unsigned(283, 5),
+        minute: r.unsigned(288, 6),
+        draught: r.unsigned(294, 8) / 10,
+        destination: r.text(302, 120),
+        dte: r.bool(422),
+    };
+}
+
+function decodeSarAircraft(r) {
+    return {
+        alt: r.unsigned(38, 12),
+        speed: r.unsigned(50, 10),
+        accuracy: r.bool(60),
+        lon: r.signed(61, 28) / 600000,
+        lat: r.signed(89, 27) / 600000,
+        course: r.unsigned(116, 12) / 10,
+        second: r.unsigned(128, 6),
+        dte: r.bool(142),
+        assigned: r.bool(146),
+        raim: r.bool(147),
+        radio: r.unsigned(148, 20),
+    };
+}
+
+function decodePositionReportB(r) {
+    return {
+        speed: r.unsigned(46, 10) / 10,
+        accuracy: r.bool(56),
+        lon: r.signed(57, 28) / 600000,
+        lat: r.signed(85, 27) / 600000,
+        course: r.unsigned(112, 12) / 10,
+        heading: r.unsigned(124, 9),
+        second: r.unsigned(133, 6),
+        cs: r.bool(141),
+        display: r.bool(142),
+        dsc: r.bool(143),
+        band: r.bool(144),
+        msg22: r.bool(145),
+        assigned: r.bool(146),
+        raim: r.bool(147),
+        radio: r.unsigned(148, 20),
+    };
+}
+
+function decodeExtendedPositionReportB(r) {
+    const shiptype = r.unsigned(263, 8),
+        epfd = r.unsigned(301, 4);
+    return {
+        speed: r.unsigned(46, 10) / 10,
+        accuracy: r.bool(56),
+        lon: r.signed(57, 28) / 600000,
+        lat: r.signed(85, 27) / 600000,
+        course: r.unsigned(112, 12) / 10,
+        heading: r.unsigned(124, 9),
+        second: r.unsigned(133, 6),
+        shipname: r.text(143, 120),
+        shiptype,
+        shiptype_text: shiptypeText(shiptype),
+        ...decodeDimensions(r, 271),
+        epfd,
+        epfd_text: EPFD_TEXT[epfd] || 'Undefined',
+        raim: r.bool(305),
+        dte: r.bool(306),
+        assigned: r.bool(307),
+    };
+}
+
+function decodeAidToNavigation(r) {
+    const aidType = r.unsigned(38, 5),
+        epfd = r.unsigned(249, 4);
+    const extension = r.length > 272 ? r.text(272, Math.floor((r.length - 272) / 6) * 6) : '';
+    return {
+        aid_type: aidType,
+        aid_type_text: AID_TYPE_TEXT[aidType],
+        name: r.text(43, 120) + extension,
+        accuracy: r.bool(163),
+        lon: r.signed(164, 28) / 600000,
+        lat: r.signed(192, 27) / 600000,
+        ...decodeDimensions(r, 219),
+        epfd,
+        epfd_text: EPFD_TEXT[epfd] || 'Undefined',
+        second: r.unsigned(253, 6),
+        off_position: r.bool(259),
+        raim: r.bool(268),
+        virtual_aid: r.bool(269),
+        assigned: r.bool(270),
+    };
+}
+
+function decodeStaticDataB(r, mmsi) {
+    const partno = r.unsigned(38, 2);
+    if (partno === 0) return { partno, shipname: r.text(40, 120) };
+    const shiptype = r.unsigned(40, 8);
+    const result = {
+        partno,
+        shiptype,
+        shiptype_text: shiptypeText(shiptype),
+        vendorid: r.text(48, 18),
+        model: r.unsigned(66, 4),
+        serial: r.unsigned(70, 20),
+        callsign: r.text(90, 42),
+    };
+    // auxiliary craft (98XXXYYYY) carry the mothership MMSI in place of the dimensions
+    if (Math.floor(mmsi / 10000000) === 98) result.mothership_mmsi = r.unsigned(132, 30);
+    else Object.assign(result, decodeDimensions(r, 132));
+    return result;
+}
+
+function decodeLongRangeBroadcast(r) {
+    const status = r.unsigned(40, 4);
+    return {
+        accuracy: r.bool(38),
+        raim: r.bool(39),
+        status,
+        status_text: STATUS_TEXT[status],
+        lon: r.signed(44, 18) / 600,
+        lat: r.signed(62, 17) / 600,
+        speed: r.unsigned(79, 6),
+        course: r.unsigned(85, 9),
+        gnss: r.bool(94),
+    };
+}
+
+function decodePayload(payload, fillBits = 0) {
+    const r = createBitReader(unarmor(payload, fillBits));
+    if (r.length < 38) throw new Error(`payload too short (${r.length} bits)`);
+    const type = r.unsigned(0, 6),
+        mmsi = r.unsigned(8, 30);
+    const message = { type, repeat: r.unsigned(6, 2), mmsi };
+    const decoder = DECODERS[type];
+    if (decoder) Object.assign(message, decoder(r, mmsi));
+    return message;
+}
+
+function formatRxTime(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+}
+
+// leading receive time: NMEA 4.x tag block (\c:unixtime*hh\, not used when its checksum fails), ISO 8601 or
+// YYYYMMDDHHMMSS prefix
+function extractRxTime(line) {
+    const tag = line.match(/^\\([^\\]*)\\/);
+    if (tag) {
+        if (!validateChecksum(line.substring(0, tag[0].length - 1))) return undefined;
+        const c = tag[1].match(/(?:^|,)c:(\d+)/);
+        if (c) {
+            const value = Number(c[1]);
+            return formatRxTime(new Date(value > 1e11 ? value : value * 1000));
+        }
+        return undefined;
+    }
+    const prefix = line.match(/^(\S+)\s+[!$]/);
+    if (prefix) {
+        if (/^\d{14}$/.test(prefix[1])) return prefix[1];
+        const date = new Date(prefix[1]);
+        if (!Number.isNaN(date.getTime())) return formatRxTime(date);
+    }
+    return undefined;
+}
+
+function createNmeaDecoder({ maxPending = 256 } = {}) {
+    const pending = new Map();
+    const counters = { sentences: 0, messages: 0, checksumErrors: 0, formatErrors: 0, fragmentsDropped: 0, unsupported: 0 };
+
+    function decodeLine(line, rxtime) {
+        const start = line.search(/[!$][A-Z]{2}VD[MO],/);
+        if (start < 0) return undefined;
+        const sentence = line.substring(start).trim();
+        counters.sentences++;
+        if (!validateChecksum(sentence)) {
+            counters.checksumErrors++;
+            return undefined;
+        }
+        const fields = sentence.substring(1, sentence.lastIndexOf('*')).split(',');
+        if (fields.length < 7) {
+            counters.formatErrors++;
+            return undefined;
+        }
+        const [talker, total, number, sequence, channel, payload, fill] = fields;
+        const fragmentCount = Number.parseInt(total),
+            fragmentNumber = Number.parseInt(number);
+        if (!(fragmentCount >= 1 && fragmentNumber >= 1 && fragmentNumber <= fragmentCount)) {
+            counters.formatErrors++;
+            return undefined;
+        }
+        rxtime = rxtime || extractRxTime(line);
+
+        let sentences = [sentence],
+            armored = payload,
+            fillBits = Number.parseInt(fill) || 0;
+        if (fragmentCount > 1) {
+            const key = `${sequence}:${channel}`;
+            let entry = pending.get(key);
+            if (fragmentNumber === 1) {
+                if (entry) counters.fragmentsDropped += entry.parts.filter(Boolean).length;
+                entry = { total: fragmentCount, parts: [], sentences: [] };
+                pending.delete(key);
+                pending.set(key, entry);
+                if (pending.size > maxPending) {
+                    const [oldestKey, oldest] = pending.entries().next().value;
+                    counters.fragmentsDropped += oldest.parts.filter(Boolean).length;
+                    pending.delete(oldestKey);
+                }
+            } else if (!entry || entry.total !== fragmentCount || !entry.parts[fragmentNumber - 2]) {
+                counters.fragmentsDropped++;
+                return undefined;
+            }
+            entry.parts[fragmentNumber - 1] = payload;
+            entry.sentences[fragmentNumber - 1] = sentence;
+            if (fragmentNumber < fragmentCount) return undefined;
+            pending.delete(key);
+            armored = entry.parts.join('');
+            sentences = entry.sentences;
+        }
+
+        try {
+            const message = decodePayload(armored, fillBits);
+            if (!DECODERS[message.type]) counters.unsupported++;
+            counters.messages++;
+            return {
+                class: 'AIS',
+                device: 'ais-nmea',
+                rxtime,
+                channel: channel || undefined,
+                nmea: sentences,
+                ...(talker.endsWith('VDO') ? { own: true } : {}),
+                ...message,
+            };
+        } catch {
+            counters.formatErrors++;
+            return undefined;
+        }
+    }
+
+    return { decodeLine, counters, reset: () => pending.clear() };
+}
+
+// decode every sentence of a JSON_FULL message's nmea array as if it came off the wire
+function decodeNmeaArray(decoder, nmea, rxtime) {
+    let message;
+    for (const sentence of nmea || []) message = decoder.decodeLine(sentence, rxtime) || message;
+    return message;
+}
+
+module.exports = {
+    STATUS_TEXT,
+    EPFD_TEXT,
+    AID_TYPE_TEXT,
+    shiptypeText,
+    nmeaChecksum,
+    validateChecksum,
+    decodePayload,
+    formatRxTime,
+    createNmeaDecoder,
+    decodeNmeaArray,
+};
@@ -0,0 +1,296 @@
+// Command line and config file options: typed definitions that drive parsing, validation and the --help text
+//
+// A definition is { name, type, value, description, default, ... } where type is one of boolean, string, number,
+// integer, list, mmsis, enum (with values) or file (must exist), optionally narrowed by min, max, above (exclusive
+// minimum), values (for lists too), optional (value used when given without =), multiple (repeatable, values are
+// collected) and check(value) or parse(text) for anything else. Options are --name=value on the command line and
+// name: value in a config file, where the top level holds defaults and sites.<name> the overrides for --site=name.
+
+const fs = require('fs');
+const path = require('path');
+
+const camelCase = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// option names the value in errors, for values from elsewhere than the command line (e.g. a query parameter)
+function parseValue(definition, text, option = `--${definition.name}`) {
+    if (definition.parse) return definition.parse(text);
+    switch (definition.type) {
+        case 'boolean': {
+            if (text === undefined || /^(true|yes|on|1)$/i.test(text)) return true;
+            if (/^(false|no|off|0)$/i.test(text)) return false;
+            throw new Error(`${option} takes no value, or true/false (got '${text}')`);
+        }
+        case 'number':
+        case 'integer': {
+            const value = text.trim() === '' ? Number.NaN : Number(text);
+            if (!Number.isFinite(value)) throw new Error(`${option}: '${text}' is not a number`);
+            if (definition.type === 'integer' && !Number.isInteger(value)) throw new Error(`${option}: '${text}' is not a whole number`);
+            if (definition.min !== undefined && value < definition.min) throw new Error(`${option}: ${value} is below the minimum of ${definition.min}`);
+            if (definition.above !== undefined && value <= definition.above) throw new Error(`${option}: ${value} must be greater than ${definition.above}`);
+            if (definition.max !== undefined && value > definition.max) throw new Error(`${option}: ${value} is above the maximum of ${definition.max}`);
+            return value;
+        }
+        case 'list':
+        case 'mmsis': {
+            const items = text
+                .split(',')
+                .map((item) => item.trim())
+                .filter((item) => item !== '');
+            if (items.length === 0) throw new Error(`${option} needs at least one value`);
+            if (definition.type === 'list') {
+                const unknown = definition.values ? items.filter((item) => !definition.values.includes(item)) : [];
+                if (unknown.length > 0) throw new Error(`${option}: unknown value${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} (one of ${definition.values.join(', ')})`);
+                return items;
+            }
+            const invalid = items.filter((item) => !/^\d{1,9}$/.test(item));
+            if (invalid.length > 0) throw new Error(`${option}: ${invalid.join(', ')} ${invalid.length > 1 ? 'are not MMSIs' : 'is not an MMSI'}`);
+            return items.map(Number);
+        }
+        case 'enum':
+            if (!definition.values.includes(text)) throw new Error(`${option} must be one of ${definition.values.join(', ')} (got '${text}')`);
+            return text;
+        case 'file':
+            if (!text) throw new Error(`${option} needs a file name`);
+            if (!fs.existsSync(text)) throw new Error(`${option}: ${text} not found`);
+            return text;
+        default:
+            if (text === '') throw new Error(`${option} needs a value`);
+            return text;
+    }
+}
+
+// the value a definition takes from the command line text after --name (undefined when there was no =)
+function parseArgument(definition, text) {
+    if (text === undefined && definition.type !== 'boolean') {
+        if (definition.optional !== undefined) return definition.optional;
+        throw new Error(`--${definition.name} needs a value (--${definition.name}=${definition.value || 'value'})`);
+    }
+    const value = parseValue(definition, text);
+    if (definition.check) definition.check(value);
+    return value;
+}
+
+function closest(name, definitions) {
+    const bare = (text) => text.replaceAll('-', '');
+    const candidates = definitions.filter((definition) => !definition.hidden && (bare(definition.name) === bare(name) || definition.name.startsWith(name) || name.startsWith(definition.name)));
+    return candidates.length > 0 ? ` (did you mean --${candidates[0].name}?)` : '';
+}
+
+// returns { values: { camelCaseName: value }, inputs: [positional arguments], given: Set of names on the command line }
+function parseArguments(argv, definitions) {
+    const byName = new Map(definitions.map((definition) => [definition.name, definition]));
+    const values = {},
+        inputs = [],
+        given = new Set();
+    for (const arg of argv) {
+        if (arg === '-h') {
+            values.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--') || arg === '--') {
+            if (arg !== '--') inputs.push(arg);
+            continue;
+        }
+        const equals = arg.indexOf('='),
+            name = arg.slice(2, equals === -1 ? undefined : equals),
+            text = equals === -1 ? undefined : arg.slice(equals + 1);
+        const definition = byName.get(name);
+        if (!definition) throw new Error(`unknown option --${name}${closest(name, definitions)}`);
+        assign(values, definition, parseArgument(definition, text));
+        given.add(definition.name);
+    }
+    return { values, inputs, given };
+}
+
+function assign(values, definition, value) {
+    const key = camelCase(definition.name);
+    if (!definition.multiple) values[key] = value;
+    else values[key] = [...(values[key] || []), ...[value].flat()];
+}
+
+// config values are written as they would be on the command line, or as YAML/JSON numbers, booleans and lists
+function configValues(section, definitions, { source, baseDirectory }) {
+    const byName = new Map(definitions.map((definition) => [definition.name, definition]));
+    const values = {},
+        inputs = [];
+    for (const [name, raw] of Object.entries(section)) {
+        if (name === 'sites') continue;
+        if (name === 'input') {
+            inputs.push(...(Array.isArray(raw) ? raw : [raw]).map((input) => path.resolve(baseDirectory, String(input))));
+            continue;
+        }
+        const definition = byName.get(name);
+        if (!definition) throw new Error(`${source}: unknown option '${name}'${closest(name, definitions)}`);
+        const items = definition.multiple && Array.isArray(raw) && definition.type !== 'list' && definition.type !== 'mmsis' ? raw : [raw];
+        for (const item of items) {
+            let text = Array.isArray(item) ? item.join(',') : item === null ? undefined : String(item);
+            if (definition.type === 'file' || definition.path) text = text && path.resolve(baseDirectory, text);
+            try {
+                assign(values, definition, parseArgument(definition, text));
+            } catch (e) {
+                throw new Error(`${source}: ${e.message}`);
+            }
+        }
+    }
+    return { values, inputs };
+}
+
+// the items of a flow list at its own level, so [[1, 2], [3, 4]] nests
+function splitFlow(text) {
+    const items = [];
+    let depth = 0,
+        quote,
+        start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === quote) quote = undefined;
+        } else if (c === '"' || c === "'") quote = c;
+        else if (c === '[') depth++;
+        else if (c === ']') depth--;
+        else if (c === ',' && depth === 0) {
+            items.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    items.push(text.slice(start));
+    return items;
+}
+
+// a line without its # comment, which starts at the line or after a space and not inside quotes
+function stripComment(line) {
+    let quote;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quote) {
+            if (c === '\\' && quote === '"') i++;
+            else if (c === quote) quote = undefined;
+        } else if (c === '"' || c === "'") quote = c;
+        else if (c === '#' && (i === 0 || /\s/.test(line[i - 1]))) return line.slice(0, i);
+    }
+    return line;
+}
+
+// YAML: the block subset a config file needs - nested mappings, lists of scalars or mappings, [a, [b, c]] flow lists, quoted strings and comments
+function parseYaml(text, source = 'yaml') {
+    const lines = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        const stripped = stripComment(line);
+        if (stripped.trim() !== '') lines.push({ indent: stripped.search(/\S/), content: stripped.trim(), number: index + 1 });
+    });
+    let position = 0;
+    const fail = (line, message) => {
+        throw new Error(`${source} line ${line.number}: ${message}`);
+    };
+    function scalar(value, line) {
+        if (value === '' || value === '~' || value === 'null') return null;
+        if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+        if (value.startsWith('[')) {
+            if (!value.endsWith(']')) fail(line, 'unterminated [ list');
+            const inner = value.slice(1, -1).trim();
+            return inner === '' ? [] : splitFlow(inner).map((item) => scalar(item.trim(), line));
+        }
+        if (value === 'true' || value === 'false') return value === 'true';
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+        return value;
+    }
+    function block(indent) {
+        const first = lines[position];
+        if (first.content.startsWith('- ') || first.content === '-') {
+            const list = [];
+            while (position < lines.length && lines[position].indent === indent && lines[position].content.startsWith('-')) {
+                const line = lines[position],
+                    item = line.content.slice(1).trimStart();
+                // '- key: value' starts a mapping whose keys line up with the first
+                if (/^[^'"[][^:]*:(\s|$)/.test(item)) {
+                    const column = indent + line.content.length - item.length;
+                    lines[position] = { ...line, indent: column, content: item };
+                    list.push(block(column));
+                } else {
+                    position++;
+                    list.push(scalar(item.trim(), line));
+                }
+            }
+            return list;
+        }
+        const mapping = {};
+        while (position < lines.length && lines[position].indent === indent) {
+            const line = lines[position++];
+            const match = line.content.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+            if (!match) fail(line, `expected 'key: value', got '${line.content}'`);
+            const key = match[1].replace(/^(['"])(.*)\1$/, '$2');
+            if (match[2] !== undefined && match[2] !== '') mapping[key] = scalar(match[2], line);
+            else if (position < lines.length && lines[position].indent > indent) mapping[key] = block(lines[position].indent);
+            else mapping[key] = null;
+        }
+        if (position < lines.length && lines[position].indent > indent) fail(lines[position], 'unexpected indentation');
+        return mapping;
+    }
+    if (lines.length === 0) return {};
+    const result = block(lines[0].indent);
+    if (position < lines.length) fail(lines[position], 'unexpected indentation');
+    return result;
+}
+
+function loadConfig(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    try {
+        const config = /\.ya?ml$/i.test(file) ? parseYaml(text, file) : JSON.parse(text);
+        if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error('expected a mapping of option names to values');
+        return config;
+    } catch (e) {
+        throw new Error(`config ${file}: ${e.message}`);
+    }
+}
+
+// command line over the config's site section over its top level over the definitions' defaults
+function resolveOptions(argv, definitions, { defaultConfigs = [] } = {}) {
+    const cli = parseArguments(argv, definitions);
+    const configFile = cli.values.config || defaultConfigs.find((file) => fs.existsSync(file));
+    let fromConfig = { values: {}, inputs: [] },
+        fromSite = { values: {}, inputs: [] };
+    if (configFile) {
+        const config = loadConfig(configFile),
+            context = { source: `config ${configFile}`, baseDirectory: path.dirname(path.resolve(configFile)) };
+        fromConfig = configValues(config, definitions, context);
+        const site = cli.values.site || fromConfig.values.site;
+        if (site !== undefined) {
+            const sites = config.sites || {};
+            if (!sites[site]) throw new Error(`config ${configFile}: no site '${site}'${Object.keys(sites).length > 0 ? ` (sites: ${Object.keys(sites).join(', ')})` : ''}`);
+            fromSite = configValues(sites[site], definitions, { ...context, source: `config ${configFile} site ${site}` });
+        }
+    } else if (cli.values.site !== undefined) throw new Error('--site needs a config file (--config=file)');
+    const defaults = {};
+    for (const definition of definitions) if (definition.default !== undefined) defaults[camelCase(definition.name)] = definition.default;
+    return {
+        options: { ...defaults, ...fromConfig.values, ...fromSite.values, ...cli.values },
+        inputs: cli.inputs.length > 0 ? cli.inputs : fromSite.inputs.length > 0 ? fromSite.inputs : fromConfig.inputs,
+        given: cli.given,
+        configFile,
+    };
+}
+
+function formatHelp(definitions, { usage = [], examples = [] } = {}) {
+    const visible = definitions.filter((definition) => !definition.hidden);
+    const left = (definition) => `--${definition.name}${definition.type === 'boolean' ? '' : definition.optional !== undefined ? `[=${definition.value}]` : `=${definition.value || 'value'}`}`;
+    const width = Math.max(...visible.map((definition) => left(definition).length).filter((length) => length <= 28)) + 2;
+    const lines = [...usage.map((line, index) => `${index === 0 ? 'Usage: ' : '       '}${line}`), 'Options:'];
+    for (const definition of visible) {
+        const defaultText = definition.defaultText ?? (definition.default !== undefined && definition.type !== 'boolean' ? String(definition.default) : undefined);
+        const description = `${definition.description}${defaultText !== undefined ? ` (default: ${defaultText})` : ''}`;
+        const option = left(definition);
+        if (option.length < width) lines.push(`  ${option.padEnd(width)}${description}`);
+        else lines.push(`  ${option}`, `  ${''.padEnd(width)}${description}`);
+    }
+    if (examples.length > 0) lines.push('', 'Examples:', ...examples.map((example) => `  ${example}`));
+    return lines.join('\n');
+}
+
+module.exports = {
+    parseValue,
+    parseArguments,
+    parseYaml,
+    loadConfig,
+    resolveOptions,
+    formatHelp,
+};
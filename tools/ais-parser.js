@@ -3,488 +3,591 @@
 const fs = require('fs');
 const readline = require('readline');
 const path = require('path');
-const http = require('http');
-const { spawn } = require('child_process');
-
-const MY_LAT = 51.50092998192453,
-    MY_LON = -0.20671121337722095,
-    MAX_REASONABLE_DISTANCE = 100; // nm
-
-function calculateBearing(lat1, lon1, lat2, lon2) {
-    const dLon = toRad(lon2 - lon1);
-    const y = Math.sin(dLon) * Math.cos(toRad(lat2)),
-        x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
-    return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360; // Convert to degrees and normalize to 0-360
-}
-
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const dLat = toRad(lat2 - lat1),
-        dLon = toRad(lon2 - lon1);
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2),
-        c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return (6371 * c) / 1.852;
-}
-
-function toRad(deg) {
-    return deg * (Math.PI / 180);
-}
-
-function getHour(timestamp) {
-    return Number.parseInt(timestamp.substring(8, 10));
-}
-
-function getDate(timestamp) {
-    return timestamp.substring(0, 8);
-}
-
-function calculateDistribution(distances) {
-    if (distances.length === 0) return undefined;
-    const sorted = distances.sort((a, b) => a - b),
-        min = sorted[0],
-        max = sorted[sorted.length - 1],
-        range = max - min;
-    const binSize = range / 10,
-        bins = Array(10).fill(0),
-        binRanges = [];
-    for (let i = 0; i < 10; i++) binRanges.push({ min: min + i * binSize, max: min + (i + 1) * binSize });
-    distances.forEach((dist) => bins[Math.min(Math.floor((dist - min) / binSize), 9)]++);
-    return { bins, binRanges, min, max, count: distances.length };
-}
-
-function calculateBeamWidth(bearings, distances) {
-    if (bearings.length === 0) return undefined;
-    const combined = bearings.map((b, i) => ({ bearing: b, distance: distances[i] }));
-    const sortedBearings = [...bearings].sort((a, b) => a - b);
-    const totalCount = sortedBearings.length;
-
-    function findPercentileRange(percentile) {
-        const startIdx = Math.floor(((1 - percentile) / 2) * totalCount),
-            endIdx = Math.ceil(((1 + percentile) / 2) * totalCount) - 1;
-        let minBearing = sortedBearings[startIdx],
-            maxBearing = sortedBearings[endIdx];
-        if (maxBearing - minBearing > 180) {
-            let bestRange = maxBearing - minBearing,
-                bestMin = minBearing,
-                bestMax = maxBearing;
-            for (let offset = 0; offset < 360; offset += 10) {
-                const adjusted = sortedBearings.map((b) => (b + offset) % 360).sort((a, b) => a - b),
-                    adjMin = adjusted[startIdx],
-                    adjMax = adjusted[endIdx],
-                    range = adjMax - adjMin;
-                if (range < bestRange) {
-                    bestRange = range;
-                    bestMin = (adjMin - offset + 360) % 360;
-                    bestMax = (adjMax - offset + 360) % 360;
-                }
+const os = require('os');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { loadStations, selectStations, createStationResolver } = require('./ais-stations.js');
+const { createNmeaDecoder, decodeNmeaArray, formatRxTime } = require('./ais-nmea.js');
+const { calculateBearing, calculateDistance, getCompassDirection, parseBbox, insideBbox } = require('./ais-geo.js');
+const { createTrackStore, buildVoyages, trackPoint, vesselName, toGeoJSON, toGPX } = require('./ais-tracks.js');
+const { startMapServer } = require('./ais-map.js');
+const { createCoverage, calculateCoverage, coverageToGeoJSON, loadCoverage, diffCoverage } = require('./ais-coverage.js');
+const { BUCKETS, validateTimezone, parseTimestamp, formatTime, bucketKey, parseTimeArg, parseDaytime, createDaytime, pathTimeSpan, createTimeWindow } = require('./ais-time.js');
+const { MAP_POINTS, createTopHeap, createReservoir, createPositionStats } = require('./ais-stats.js');
+const { startLive } = require('./ais-live.js');
+const { resolveOptions, formatHelp, parseValue } = require('./ais-options.js');
+const { QUALITY_FLAGS, QUALITY_DROP_DEFAULT, QUALITY_DEFAULTS, createQuality } = require('./ais-quality.js');
+const { createSignalStats } = require('./ais-signal.js');
+const { createTrafficStats } = require('./ais-traffic.js');
+const { DENSITY_CELLS, DENSITY_SIZES, createDensityGrid, writeDensity } = require('./ais-density.js');
+const { parseCompareRanges, comparePeriods } = require('./ais-compare.js');
+const { openInput } = require('./ais-xz.js');
+const { defaultCacheDirectory, cacheFingerprint, createCache } = require('./ais-cache.js');
+const { REPORT_FORMATS, buildReport, writeReport } = require('./ais-report.js');
+
+const INPUT_FORMATS = ['auto', 'json', 'nmea'];
+
+const DEFAULT_CONFIGS = ['ais-parser.yaml', 'ais-parser.yml', 'ais-parser.json'].map((name) => path.join(__dirname, name));
+
+const USAGE = ['node ais-parser.js <file or directory>... [options]', 'node ais-parser.js --live=mqtt://host[:port][/topic] [options]'];
+
+// in --help order, see ais-options.js for the fields
+const OPTIONS = [
+    { name: 'help', type: 'boolean', description: 'Show this help (also -h)' },
+    { name: 'config', type: 'file', value: 'file', description: 'Options file (YAML or JSON): option names as keys, input: paths, and sites: {name: {...}} for --site', defaultText: 'ais-parser.yaml or .json beside this script' },
+    { name: 'site', type: 'string', value: 'name', description: 'Apply the named site section of the config file over its top level' },
+    { name: 'debug', type: 'boolean', description: 'Show debug information' },
+    { name: 'display', type: 'integer', value: 'port', min: 1, max: 65535, optional: 9001, description: 'Start map server, with filter controls and an /api over the inputs (default port: 9001)' },
+    { name: 'tiles', type: 'string', value: 'URL', description: 'Raster tile URL template for the map, e.g. http://tiles.local/{z}/{x}/{y}.png' },
+    { name: 'coastline', type: 'file', value: 'file.geojson', description: 'Local GeoJSON coastline/land polygons drawn as the map background' },
+    { name: 'min-distance', type: 'number', value: 'nm', min: 0, default: 0, description: 'Only analyze signals beyond this distance' },
+    { name: 'max-distance', type: 'number', value: 'nm', min: 0, default: 0, defaultText: '0, no limit', description: 'Only analyze signals before this distance' },
+    { name: 'map-points', type: 'integer', value: 'N', min: 1, default: MAP_POINTS, description: 'Positions per station sampled for the map' },
+    { name: 'exclude', type: 'mmsis', value: 'mmsi1,mmsi2,...', multiple: true, description: 'Exclude specific MMSIs' },
+    { name: 'exclude-file', type: 'file', value: 'file', multiple: true, description: 'Exclude the MMSIs listed in a file (comma or line separated, # comments)' },
+    { name: 'quality', type: 'boolean', description: `Report data quality flags per MMSI: ${QUALITY_FLAGS.join(', ')} (with --jobs above 1 the position checks start over in each file)` },
+    { name: 'quality-drop', type: 'list', value: 'flag,...', values: QUALITY_FLAGS, optional: QUALITY_DROP_DEFAULT, description: 'Leave messages with these quality flags (all but reserved-mmsi when none given) out of the statistics' },
+    { name: 'max-speed', type: 'number', value: 'kn', above: 0, default: QUALITY_DEFAULTS.maxSpeed, description: 'Quality check: fastest plausible speed between consecutive fixes' },
+    { name: 'jump-distance', type: 'number', value: 'nm', above: 0, default: QUALITY_DEFAULTS.jumpDistance, description: 'Quality check: an implausible move further than this is a position jump' },
+    { name: 'stations', type: 'file', value: 'file', description: 'Station config', defaultText: 'ais-stations.json beside this script' },
+    { name: 'station', type: 'list', value: 'name[,name...]', description: 'Only analyze the named station(s)' },
+    { name: 'lat', type: 'number', value: 'deg', min: -90, max: 90, description: 'Analyze from an explicit station position instead of the config (with --lon)' },
+    { name: 'lon', type: 'number', value: 'deg', min: -180, max: 180, description: 'Longitude of the explicit station position (with --lat)' },
+    { name: 'height', type: 'number', value: 'm', min: 0, description: 'Station antenna height above sea level' },
+    { name: 'radius', type: 'number', value: 'nm', above: 0, description: 'Station plausibility radius, positions beyond are discarded' },
+    {
+        name: 'jobs',
+        value: 'N|auto',
+        default: 1,
+        defaultText: '1, auto: one per CPU',
+        description: 'Process files in N worker threads',
+        parse: (text) => {
+            const jobs = text === 'auto' ? os.availableParallelism() : Number(text);
+            if (!(Number.isInteger(jobs) && jobs >= 1)) throw new Error(`--jobs must be a number of worker threads or auto (got '${text}')`);
+            return jobs;
+        },
+    },
+    { name: 'output', type: 'enum', value: 'text|json|csv|html', values: REPORT_FORMATS, default: 'text', description: 'Also write a machine-readable report (json with a schema version, csv one file per table)' },
+    { name: 'out', type: 'string', value: 'file', path: true, description: 'Report file', defaultText: 'ais-report.json or .html, ais-report.<table>.csv' },
+    { name: 'no-cache', type: 'boolean', description: 'Decode every file instead of reusing per-file results from earlier runs' },
+    { name: 'rebuild-cache', type: 'boolean', description: 'Discard the cached per-file results for these options and build them again' },
+    { name: 'cache', type: 'string', value: 'path', path: true, description: 'Cache directory, where starting a new cache removes those of other options or versions unused for a week', defaultText: defaultCacheDirectory() },
+    { name: 'input-format', type: 'enum', value: 'FORMAT', values: INPUT_FORMATS, default: 'auto', description: 'auto, json (decoded AIS-catcher payloads) or nmea (decode !AIVDM sentences)' },
+    { name: 'vessel', type: 'mmsis', value: 'mmsi1,mmsi2,...', description: 'Report track, voyages and stops for specific vessels' },
+    { name: 'vessels', type: 'boolean', description: 'Report a summary of every vessel heard' },
+    { name: 'voyage-gap', type: 'number', value: 'minutes', above: 0, default: 60, description: 'Split a track into voyages on gaps longer than this' },
+    { name: 'track-export', type: 'list', value: 'geojson,gpx', values: ['geojson', 'gpx'], description: 'Export tracks of the reported vessels, one file per vessel' },
+    { name: 'track-dir', type: 'string', value: 'path', path: true, default: '.', defaultText: 'current directory', description: 'Directory for exported tracks' },
+    { name: 'coverage', type: 'boolean', description: 'Report range reached per bearing sector (count, MMSIs, P50/P90/P99/max)' },
+    {
+        name: 'sector',
+        type: 'number',
+        value: 'degrees',
+        above: 0,
+        default: 15,
+        description: 'Sector size for the coverage profile',
+        check: (value) => {
+            if (360 % value !== 0) throw new Error('--sector must be a number of degrees that divides 360');
+        },
+    },
+    { name: 'coverage-export', type: 'string', value: 'file', path: true, description: 'Save the coverage profile as GeoJSON polygons (one file per station)' },
+    { name: 'coverage-diff', type: 'file', value: 'file', description: 'Compare the coverage profile against a previously exported one' },
+    { name: 'signal', type: 'boolean', description: 'Report signal power against distance with a path-loss fit, per sector, channel A/B balance and PPM drift per day' },
+    { name: 'traffic', type: 'boolean', description: 'Report the traffic mix: messages per type, source and ship category, distinct and new vessels per period and hour' },
+    { name: 'density', type: 'enum', value: 'latlon|hex', values: DENSITY_CELLS, optional: 'latlon', description: 'Report the busiest cells of a position density grid of lat/lon squares or hexagons (the map always has one)' },
+    { name: 'density-size', type: 'number', value: 'size', above: 0, description: 'Density cell size, degrees for latlon and nm across for hex', defaultText: `${DENSITY_SIZES.latlon}° or ${DENSITY_SIZES.hex} nm` },
+    { name: 'density-export', type: 'string', value: 'file', path: true, multiple: true, description: 'Save the density grid as GeoJSON, KML or CSV by extension (one file per station), repeatable' },
+    { name: 'from', type: 'string', value: 'time', description: 'Only analyze messages from this time: ISO date/time, YYYYMMDD, today, yesterday or relative (-7d, -12h)' },
+    { name: 'to', type: 'string', value: 'time', description: 'Only analyze messages up to this time, a date alone includes that whole day; files dated outside the period are skipped' },
+    {
+        name: 'compare',
+        type: 'string',
+        value: 'A:B',
+        optional: true,
+        description: 'Compare two periods of the inputs, each from..to or a date (e.g. 20250501..20250515:20250515..), or given alone the two inputs: rates, distances, bearings and beam width with significance tests',
+    },
+    { name: 'bucket', type: 'enum', value: 'hour|day|week|month', values: BUCKETS, default: 'day', description: 'Period of each row in the statistics table' },
+    { name: 'daytime', value: 'H-H|sun', parse: parseDaytime, default: parseDaytime('8-20'), defaultText: '8-20', description: 'Day/night split by hours or sunrise/sunset at the station' },
+    { name: 'timezone', value: 'ZONE', parse: validateTimezone, default: 'local', description: 'Timezone for reporting and --from/--to: local, utc, +01:00 or Europe/London' },
+    { name: 'input-timezone', value: 'ZONE', parse: validateTimezone, default: 'local', description: 'Timezone of the collector timestamps' },
+    { name: 'live', type: 'string', value: 'mqtt://host/topic', description: 'Subscribe to a live feed (default topic ais/data) for statistics over the last 10 min, 1 h and 24 h' },
+    { name: 'live-broker', type: 'boolean', description: 'Run a test MQTT broker in process on the --live host and port' },
+    { name: 'refresh', type: 'number', value: 'seconds', above: 0, default: 10, description: 'How often the live summary and map are refreshed' },
+    { name: 'apikey', type: 'string', hidden: true, description: 'No longer used' },
+];
+
+const EXAMPLES = [
+    './ais-parser.js data.json --display',
+    './ais-parser.js data.json --display --coastline=coastline.geojson --min-distance=5',
+    './ais-parser.js data.json --exclude=2320752,235054667',
+    './ais-parser.js /opt/storage/collector/messages --exclude-file=ais-parser.exclude --station=home --jobs=4',
+    './ais-parser.js /opt/storage/collector/messages/2025/05 /opt/storage/collector/messages/2025/06',
+    './ais-parser.js --config=ais-parser.yaml --site=home',
+    './ais-parser.js data.json --lat=51.5 --lon=-0.2 --radius=60',
+    './ais-parser.js capture.nmea --input-format=nmea',
+    './ais-parser.js data.json --vessel=235055756 --track-export=geojson,gpx',
+    './ais-parser.js new-antenna/ --coverage --coverage-diff=old-antenna.geojson',
+    './ais-parser.js /opt/storage/collector/messages --compare=20250501..20250515:20250515..20250601',
+    './ais-parser.js old-antenna/ new-antenna/ --compare',
+    './ais-parser.js /opt/storage/collector/messages --from=-7d --bucket=hour --daytime=sun --timezone=utc',
+    './ais-parser.js /opt/storage/collector/messages --output=html --out=reports/$(date +%Y%m%d).html',
+    './ais-parser.js --live=mqtt://localhost:1883/ais/data --display',
+];
+
+// MMSIs separated by commas, spaces or lines, with # comments
+function readExcludeFile(file) {
+    return fs
+        .readFileSync(file, 'utf8')
+        .replace(/#.*$/gm, '')
+        .split(/[\s,]+/)
+        .filter((item) => item !== '')
+        .map((item) => {
+            if (!/^\d{1,9}$/.test(item)) throw new Error(`--exclude-file ${file}: ${item} is not an MMSI`);
+            return Number(item);
+        });
+}
+
+// everything is accumulated as it streams past, see ais-stats.js for the resolution of each statistic;
+// the distribution, beam width and map points only count positions within --min-distance/--max-distance
+function createAnalysis(station, { sectorSize = 15, minDistance = 0, maxDistance = 0, mapPoints = MAP_POINTS, signal = false, traffic = false, density } = {}) {
+    return {
+        station,
+        stats: {},
+        count: 0,
+        bearingCounts: {},
+        range: { minDistance, maxDistance },
+        filtered: createPositionStats(),
+        positions: createReservoir(mapPoints),
+        debugCount: 0,
+        debugDistances: createTopHeap(10, (d) => d.distance),
+        coverage: createCoverage(sectorSize),
+        signal: signal ? createSignalStats(sectorSize) : undefined,
+        traffic: traffic ? createTrafficStats() : undefined,
+        density: density ? createDensityGrid({ ...density, refLat: station.lat }) : undefined,
+    };
+}
+
+function analysisState(analysis) {
+    return {
+        stats: analysis.stats,
+        count: analysis.count,
+        bearingCounts: analysis.bearingCounts,
+        filtered: analysis.filtered.state(),
+        positions: analysis.positions.state(),
+        debugCount: analysis.debugCount,
+        debugDistances: analysis.debugDistances.state(),
+        coverage: analysis.coverage.state(),
+        signal: analysis.signal ? analysis.signal.state() : undefined,
+        traffic: analysis.traffic ? analysis.traffic.state() : undefined,
+        density: analysis.density ? analysis.density.state() : undefined,
+    };
+}
+
+function mergeAnalysis(analysis, state) {
+    for (const [date, other] of Object.entries(state.stats)) {
+        const stats = analysis.stats[date];
+        if (!stats) analysis.stats[date] = other;
+        else {
+            stats.dayCount += other.dayCount;
+            stats.nightCount += other.nightCount;
+            stats.totalCount += other.totalCount;
+            if (other.maxDistance > stats.maxDistance) {
+                stats.maxDistance = other.maxDistance;
+                stats.maxDistanceMMSI = other.maxDistanceMMSI;
             }
-            minBearing = bestMin;
-            maxBearing = bestMax;
         }
-        const beamWidth = maxBearing > minBearing ? maxBearing - minBearing : 360 - minBearing + maxBearing;
-        const centerBearing = maxBearing > minBearing ? (minBearing + maxBearing) / 2 : ((minBearing + maxBearing + 360) / 2) % 360;
-        return { minBearing, maxBearing, beamWidth, centerBearing, percentile };
     }
+    analysis.count += state.count;
+    for (const [sector, count] of Object.entries(state.bearingCounts)) analysis.bearingCounts[sector] = (analysis.bearingCounts[sector] || 0) + count;
+    analysis.filtered.merge(state.filtered);
+    analysis.positions.merge(state.positions);
+    analysis.debugCount += state.debugCount;
+    analysis.debugDistances.merge(state.debugDistances);
+    analysis.coverage.merge(state.coverage);
+    if (analysis.signal && state.signal) analysis.signal.merge(state.signal);
+    if (analysis.traffic && state.traffic) analysis.traffic.merge(state.traffic);
+    if (analysis.density && state.density) analysis.density.merge(state.density);
+}
 
-    const sortedByDistance = combined.sort((a, b) => b.distance - a.distance),
-        top5PercentCount = Math.max(1, Math.floor(totalCount * 0.05)),
-        top5Percent = sortedByDistance.slice(0, top5PercentCount);
-    const maxDistBearings = top5Percent.map((item) => item.bearing),
-        maxDistMin = Math.min(...maxDistBearings),
-        maxDistMax = Math.max(...maxDistBearings);
-    const meanX = bearings.reduce((sum, b) => sum + Math.cos((b * Math.PI) / 180), 0) / totalCount,
-        meanY = bearings.reduce((sum, b) => sum + Math.sin((b * Math.PI) / 180), 0) / totalCount,
-        meanBearing = ((Math.atan2(meanY, meanX) * 180) / Math.PI + 360) % 360;
+// options are plain data so a worker thread can build the same context from its workerData
+function createContext(options) {
+    const { stations, selectedStations, rootPath, analysisOptions, trackOptions, excludeMMSIs = [], timezone = 'local', daytime = parseDaytime('8-20'), from, to } = options;
+    return {
+        options,
+        resolveStation: createStationResolver(stations, rootPath),
+        analyses: new Map(selectedStations.map((station) => [station.name, createAnalysis(station, analysisOptions)])),
+        tracks: trackOptions ? createTrackStore({ mmsis: trackOptions.mmsis ? new Set(trackOptions.mmsis) : undefined }) : undefined,
+        quality: options.qualityOptions ? createQuality(options.qualityOptions) : undefined,
+        debugMode: options.debugMode,
+        excludeMMSIs: new Set(excludeMMSIs),
+        mmsis: options.mmsis ? new Set(options.mmsis) : undefined,
+        bbox: options.bbox,
+        inputFormat: options.inputFormat,
+        timezone,
+        inputTimezone: options.inputTimezone,
+        bucket: options.bucket,
+        daytime,
+        timeWindow: createTimeWindow(from, to),
+        isDaytime: createDaytime(daytime, timezone),
+    };
+}
 
+function contextState(context) {
     return {
-        totalCount,
-        meanBearing,
-        concentration: Math.sqrt(meanX * meanX + meanY * meanY), // 0 to 1, higher = more concentrated
-        percentile68: findPercentileRange(0.68), // ±1 std dev
-        percentile95: findPercentileRange(0.95), // ±2 std dev
-        percentile99: findPercentileRange(0.99), // ±3 std dev
-        maxDistance: {
-            count: top5PercentCount,
-            minBearing: maxDistMin,
-            maxBearing: maxDistMax,
-            spread: maxDistMax - maxDistMin,
-            bearings: maxDistBearings.sort((a, b) => a - b),
-            avgDistance: top5Percent.reduce((sum, item) => sum + item.distance, 0) / top5PercentCount,
-        },
+        analyses: [...context.analyses].map(([name, analysis]) => [name, analysisState(analysis)]),
+        tracks: context.tracks ? context.tracks.state() : undefined,
+        quality: context.quality ? context.quality.state() : undefined,
+        nmea: context.nmeaDecoder ? context.nmeaDecoder.counters : undefined,
     };
 }
 
-async function processFile(filePath, allDistances = [], bearingCounts = {}, allBearings = [], debugMode = false, debugDistances = [], allPositions = [], excludeMMSIs = new Set()) {
-    let fileStream;
-    if (filePath.endsWith('.xz')) {
-        const xz = spawn('xz', ['-dc', filePath]);
-        xz.stderr.on('data', (data) => console.error(`xz error: ${data}`));
-        xz.on('error', (err) => {
-            console.error(`Failed to spawn xz: ${err.message}`);
-            throw err;
-        });
-        fileStream = xz.stdout;
-    } else fileStream = fs.createReadStream(filePath);
+function mergeContext(context, state) {
+    for (const [name, analysis] of state.analyses) mergeAnalysis(context.analyses.get(name), analysis);
+    if (context.tracks && state.tracks) context.tracks.merge(state.tracks);
+    if (context.quality && state.quality) context.quality.merge(state.quality);
+    if (state.nmea) {
+        const counters = (context.nmeaDecoder || (context.nmeaDecoder = createNmeaDecoder())).counters;
+        for (const [key, value] of Object.entries(state.nmea)) counters[key] = (counters[key] || 0) + value;
+    }
+}
+
+// JSON envelopes ({topic, payload, timestamp}), bare AIS-catcher JSON_FULL messages or raw !AIVDM/!AIVDO sentences;
+// collector timestamps are in the input timezone, AIS-catcher rxtime and NMEA tag block times are UTC
+function parseLine(line, { inputFormat, nmeaDecoder, fallbackTime, inputTimezone }) {
+    const withTime = (message, timestamp, timezone) => {
+        const time = parseTimestamp(timestamp, timezone);
+        return Number.isFinite(time) ? { ...message, timestamp, time } : { ...message, timestamp: formatRxTime(new Date(fallbackTime)), time: fallbackTime };
+    };
+    if (line.trimStart().startsWith('{')) {
+        const data = JSON.parse(line);
+        let envelope, payload;
+        if (data.topic !== undefined) {
+            if (data.topic !== 'ais/data' || !data.payload) return undefined;
+            envelope = data;
+            payload = data.payload;
+        } else if (data.class === 'AIS') payload = data;
+        else return undefined;
+        const rxtime = payload.rxtime;
+        if (inputFormat === 'nmea' || (inputFormat === 'auto' && payload.type === undefined && Array.isArray(payload.nmea))) {
+            const decoded = decodeNmeaArray(nmeaDecoder, payload.nmea, rxtime);
+            if (!decoded) return undefined;
+            payload = { ...decoded, signalpower: payload.signalpower, ppm: payload.ppm };
+        }
+        return envelope && envelope.timestamp ? withTime({ envelope, payload }, envelope.timestamp, inputTimezone) : withTime({ envelope, payload }, rxtime, 'utc');
+    }
+    if (inputFormat === 'json') return undefined;
+    const payload = nmeaDecoder.decodeLine(line);
+    return payload ? withTime({ payload }, payload.rxtime, 'utc') : undefined;
+}
+
+function isInputFile(name, inputFormat) {
+    const base = name.endsWith('.xz') ? name.slice(0, -3) : name;
+    if (base.endsWith('.json')) return true;
+    return inputFormat !== 'json' && ['.nmea', '.txt', '.log'].some((extension) => base.endsWith(extension));
+}
+
+// the station a message is attributed to and the position's range and bearing from it; undefined when the message is
+// excluded, outside the time window, carries no position or the position is not plausible for the station
+function locateMessage(message, context, { filePath, line, counts = {} } = {}) {
+    const { resolveStation, analyses, tracks, quality, debugMode = false, excludeMMSIs = new Set(), mmsis, bbox } = context;
+    const timeWindow = context.timeWindow || createTimeWindow();
+    const { payload, timestamp, time, envelope } = message;
+
+    if (excludeMMSIs.has(payload.mmsi)) {
+        counts.excluded = (counts.excluded || 0) + 1;
+        return undefined;
+    }
+    if (mmsis && !mmsis.has(payload.mmsi)) return undefined;
+
+    if (tracks && [5, 19, 21, 24].includes(payload.type)) tracks.addStatic(payload.mmsi, payload);
+
+    if (!timeWindow.contains(time)) {
+        counts.outside = (counts.outside || 0) + 1;
+        return undefined;
+    }
+
+    if (quality && quality.drops(quality.check(payload, time))) return undefined;
+
+    const analysis = analyses.get(resolveStation({ filePath, payload, envelope }).name);
+    if (analysis && analysis.traffic) {
+        const { bucket = 'day', timezone = 'local' } = context;
+        analysis.traffic.add(payload, bucketKey(time, bucket, timezone), bucketKey(time, 'hour', timezone));
+    }
+    if (payload.lat === undefined || payload.lon === undefined) return undefined;
+    if (!analysis) return undefined; // Station not selected
+    const { station } = analysis;
+
+    if (Math.abs(payload.lat) > 90 || Math.abs(payload.lon) > 180) {
+        if (debugMode) console.error(`Invalid coordinates: lat=${payload.lat}, lon=${payload.lon}, MMSI=${payload.mmsi}`);
+        return undefined; // Skip this message
+    }
+    if (bbox && !insideBbox(payload.lat, payload.lon, bbox)) return undefined;
+
+    const distance = calculateDistance(station.lat, station.lon, payload.lat, payload.lon),
+        bearing = calculateBearing(station.lat, station.lon, payload.lat, payload.lon);
+    if (distance > station.maxDistance) {
+        if (debugMode && line !== undefined) {
+            analysis.debugCount++;
+            analysis.debugDistances.push({ distance, bearing, mmsi: payload.mmsi, lat: payload.lat, lon: payload.lon, timestamp, raw: line });
+        }
+        return undefined; // Skip this message
+    }
+
+    return { analysis, payload, time, timestamp, distance, bearing };
+}
+
+function accumulateMessage({ analysis, payload, time, distance, bearing }, context) {
+    const { tracks, timezone = 'local', bucket = 'day' } = context;
+    const isDaytime = context.isDaytime || createDaytime(parseDaytime('8-20'), timezone);
+    const { station, stats, range } = analysis;
+
+    const date = bucketKey(time, bucket, timezone);
+    analysis.count++;
+    if (distance >= range.minDistance && (range.maxDistance <= 0 || distance <= range.maxDistance)) {
+        analysis.filtered.add(distance, bearing);
+        analysis.positions.add({ lat: payload.lat, lon: payload.lon, bearing, distance, mmsi: payload.mmsi });
+        if (analysis.density) analysis.density.add(payload.lat, payload.lon, payload.mmsi, distance);
+    }
+    if (tracks) tracks.addPosition(payload.mmsi, trackPoint(payload, time, { distance, bearing, station: station.name }));
+    const bearingSector = Math.floor(bearing / 15) * 15;
+    analysis.bearingCounts[bearingSector] = (analysis.bearingCounts[bearingSector] || 0) + 1;
+    analysis.coverage.add(bearing, distance, payload.mmsi);
+    if (analysis.signal) analysis.signal.add(payload, distance, bearing, date, bucket === 'day' ? date : bucketKey(time, 'day', timezone));
+
+    if (!stats[date])
+        stats[date] = {
+            dayCount: 0,
+            nightCount: 0,
+            totalCount: 0,
+            maxDistance: 0,
+            maxDistanceMMSI: undefined,
+        };
+    stats[date].totalCount++;
+    if (isDaytime(time, station)) stats[date].dayCount++;
+    else stats[date].nightCount++;
+
+    if (distance > stats[date].maxDistance) {
+        stats[date].maxDistance = distance;
+        stats[date].maxDistanceMMSI = payload.mmsi;
+    }
+}
+
+async function processFile(filePath, context) {
+    const { debugMode = false, inputFormat = 'auto', inputTimezone = 'local' } = context;
+    const nmeaDecoder = context.nmeaDecoder || (context.nmeaDecoder = createNmeaDecoder());
+    const lineOptions = { inputFormat, nmeaDecoder, fallbackTime: fs.statSync(filePath).mtimeMs, inputTimezone };
+    const input = openInput(filePath);
 
     const rl = readline.createInterface({
-        input: fileStream,
+        input: input.stream,
         crlfDelay: Infinity,
     });
-    const stats = {};
-    let excludedCount = 0;
-    for await (const line of rl) {
-        try {
-            const data = JSON.parse(line);
-            if (data.topic === 'ais/data' && data.payload) {
-                const payload = data.payload;
-
-                if (excludeMMSIs.has(payload.mmsi)) {
-                    excludedCount++;
-                    continue;
-                }
-
-                if (payload.lat !== undefined && payload.lon !== undefined) {
-                    if (Math.abs(payload.lat) > 90 || Math.abs(payload.lon) > 180) {
-                        if (debugMode) console.error(`Invalid coordinates: lat=${payload.lat}, lon=${payload.lon}, MMSI=${payload.mmsi}`);
-                        continue; // Skip this message
-                    }
-
-                    const distance = calculateDistance(MY_LAT, MY_LON, payload.lat, payload.lon);
-                    if (distance > MAX_REASONABLE_DISTANCE) {
-                        if (debugMode)
-                            debugDistances.push({
-                                distance,
-                                bearing: calculateBearing(MY_LAT, MY_LON, payload.lat, payload.lon),
-                                mmsi: payload.mmsi,
-                                lat: payload.lat,
-                                lon: payload.lon,
-                                timestamp: data.timestamp,
-                                raw: line,
-                            });
-                        continue; // Skip this message
-                    }
-
-                    const bearing = calculateBearing(MY_LAT, MY_LON, payload.lat, payload.lon);
-                    const date = getDate(data.timestamp),
-                        hour = getHour(data.timestamp);
-                    allPositions.push({ lat: payload.lat, lon: payload.lon, bearing, distance, mmsi: payload.mmsi });
-                    allDistances.push(distance);
-                    allBearings.push(bearing);
-                    const bearingSector = Math.floor(bearing / 15) * 15;
-                    bearingCounts[bearingSector] = (bearingCounts[bearingSector] || 0) + 1;
-
-                    if (!stats[date])
-                        stats[date] = {
-                            dayCount: 0, // 8am-8pm
-                            nightCount: 0, // 8pm-8am
-                            totalCount: 0,
-                            maxDistance: 0,
-                            maxDistanceMMSI: undefined,
-                        };
-                    stats[date].totalCount++;
-                    if (hour >= 8 && hour < 20) stats[date].dayCount++;
-                    else stats[date].nightCount++;
-
-                    if (distance > stats[date].maxDistance) {
-                        stats[date].maxDistance = distance;
-                        stats[date].maxDistanceMMSI = payload.mmsi;
-                    }
+    const counts = { excluded: 0, outside: 0 };
+    try {
+        for await (const line of rl) {
+            try {
+                const message = parseLine(line, lineOptions);
+                if (message) {
+                    const located = locateMessage(message, context, { filePath, line, counts });
+                    if (located) accumulateMessage(located, context);
                 }
+            } catch (e) {
+                console.error(`Error parsing line: ${e.message}`);
             }
-        } catch (e) {
-            console.error(`Error parsing line: ${e.message}`);
         }
+    } finally {
+        if (counts.excluded > 0) console.log(`Excluded ${counts.excluded} messages from specified MMSIs`);
+        if (counts.outside > 0 && debugMode) console.log(`Skipped ${counts.outside} messages outside the time window`);
     }
+    await input.finished;
+}
 
-    if (excludedCount > 0) console.log(`Excluded ${excludedCount} messages from specified MMSIs`);
-
-    return stats;
+// whole files and directories are skipped when the date in their path, or a file's last write, puts them outside the time window
+function outsideTimeWindow(relativePath, stat, { timeWindow, inputTimezone = 'local' }) {
+    if (!timeWindow || !timeWindow.active) return false;
+    if (stat.isFile() && timeWindow.from !== undefined && stat.mtimeMs < timeWindow.from) return true;
+    const span = pathTimeSpan(relativePath, inputTimezone);
+    return span !== undefined && !timeWindow.overlaps(span.start, span.end);
 }
 
-async function processDirectory(dirPath, allDistances = [], bearingCounts = {}, allBearings = [], debugMode = false, debugDistances = [], allPositions = [], excludeMMSIs = new Set()) {
-    let allStats = {};
-    async function processDir(dir) {
-        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+// input files in processing order with their sizes for the progress line
+function listInputFiles(inputPath, context) {
+    const inputStat = fs.statSync(inputPath);
+    if (!inputStat.isDirectory()) return [{ path: inputPath, root: path.dirname(inputPath), name: path.basename(inputPath), size: inputStat.size, mtime: inputStat.mtimeMs }];
+    const files = [];
+    let skippedCount = 0;
+    function listDir(dir) {
+        // by name, which is time order for the collector's YYYY/MM/DD/YYYYMMDD-HH files
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))) {
             const fullPath = path.join(dir, entry.name);
-            if (entry.isDirectory()) await processDir(fullPath);
-            else if (entry.isFile() && (entry.name.endsWith('.json') || entry.name.endsWith('.json.xz'))) {
-                console.log(`Processing ${path.relative(dirPath, fullPath)}...`);
-                const fileStats = await processFile(fullPath, allDistances, bearingCounts, allBearings, debugMode, debugDistances, allPositions, excludeMMSIs);
-                if (fileStats)
-                    for (const date in fileStats) {
-                        if (!allStats[date]) allStats[date] = fileStats[date];
-                        else {
-                            allStats[date].dayCount += fileStats[date].dayCount;
-                            allStats[date].nightCount += fileStats[date].nightCount;
-                            allStats[date].totalCount += fileStats[date].totalCount;
-                            if (fileStats[date].maxDistance > allStats[date].maxDistance) {
-                                allStats[date].maxDistance = fileStats[date].maxDistance;
-                                allStats[date].maxDistanceMMSI = fileStats[date].maxDistanceMMSI;
-                            }
-                        }
-                    }
+            if (!entry.isDirectory() && !(entry.isFile() && isInputFile(entry.name, context.inputFormat))) continue;
+            const stat = fs.statSync(fullPath);
+            if (outsideTimeWindow(path.relative(inputPath, fullPath), stat, context)) {
+                skippedCount++;
+                continue;
             }
+            if (entry.isDirectory()) listDir(fullPath);
+            else files.push({ path: fullPath, root: path.dirname(path.resolve(inputPath)), name: path.relative(inputPath, fullPath), size: stat.size, mtime: stat.mtimeMs });
         }
     }
-    await processDir(dirPath);
-    return { stats: allStats, distances: allDistances, bearings: bearingCounts, allBearings: allBearings, positions: allPositions };
-}
-
-function startMapServer(port, mapData) {
-    const server = http.createServer((req, res) => {
-        if (req.url === '/') {
-            res.writeHead(200, { 'Content-Type': 'text/html' });
-            res.end(`<!DOCTYPE html>
-<html>
-<head>
-<script>
-const centerLat = ${MY_LAT}, centerLon = ${MY_LON};
-const positions = ${JSON.stringify(mapData.positions)}, beamStats = ${JSON.stringify(mapData.beamStats)};
-const minDistance = ${mapData.minDistance || 0};
-
-let map;
-
-function initMap() {
-    map = new google.maps.Map(document.getElementById('map'), {
-        center: { lat: centerLat, lng: centerLon },
-        zoom: 10,
-        mapTypeControl: true,
-        mapTypeControlOptions: { mapTypeIds: ['roadmap', 'satellite'] },
-        mapId: 'ais_map' // Required for AdvancedMarkerElement
-    });
-    
-    // Center marker using AdvancedMarkerElement
-    new google.maps.marker.AdvancedMarkerElement({
-        map,
-        position: { lat: centerLat, lng: centerLon },
-        title: 'Station',
-        content: buildContent('Station', '#FF0000')
-    });
-    
-    // Draw minimum distance circle if specified
-    if (minDistance > 0) {
-        new google.maps.Circle({
-            map,
-            center: { lat: centerLat, lng: centerLon },
-            radius: minDistance * 1852, // Convert nm to meters
-            fillColor: '#FF0000',
-            fillOpacity: 0.05,
-            strokeColor: '#FF0000',
-            strokeOpacity: 0.3,
-            strokeWeight: 1
-        });
-        new google.maps.marker.AdvancedMarkerElement({
-            map,
-            position: computeOffset(centerLat, centerLon, minDistance * 1852, 90),
-            content: buildTextLabel(minDistance + ' nm')
-        });
+    listDir(inputPath);
+    if (skippedCount > 0) console.log(`Skipped ${skippedCount} files or directories outside the time window`);
+    return files;
+}
+
+// every input's files, each once
+function collectInputFiles(inputs, context) {
+    const files = new Map();
+    for (const input of inputs) for (const file of listInputFiles(input, context)) if (!files.has(path.resolve(file.path))) files.set(path.resolve(file.path), file);
+    return [...files.values()];
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+// one line rewritten in place on a terminal, otherwise a line per file as it starts; quiet leaves only the errors
+function createProgress(files, quiet = false) {
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0),
+        tty = process.stderr.isTTY,
+        failures = [];
+    let filesDone = 0,
+        filesCached = 0,
+        bytesDone = 0;
+    const status = () => `${filesDone}/${files.length} files, ${formatBytes(bytesDone)} of ${formatBytes(totalBytes)}${totalBytes > 0 ? ` (${((bytesDone / totalBytes) * 100).toFixed(0)}%)` : ''}`;
+    const clear = () => tty && process.stderr.write('\r\u001B[K');
+    return {
+        failures,
+        start(file) {
+            if (quiet) return;
+            if (tty) process.stderr.write(`\r\u001B[KProcessing ${status()}: ${file.name}`);
+            else console.log(`Processing ${file.name}... [${status()}]`);
+        },
+        done(file, error, cached = false) {
+            filesDone++;
+            if (cached) filesCached++;
+            bytesDone += file.size;
+            if (error) {
+                failures.push({ file, error });
+                clear();
+                console.error(`Error: ${file.name}: ${error}`);
+            }
+            if (tty && !quiet) process.stderr.write(`\r\u001B[KProcessing ${status()}`);
+        },
+        finish() {
+            clear();
+            if (files.length > 1 && !quiet) console.log(`Processed ${status()}${filesCached > 0 ? `, ${filesCached} from the cache` : ''}`);
+            if (failures.length > 0) {
+                console.error(`\n${failures.length} of ${files.length} files could not be read completely (messages read before the error are included):`);
+                for (const { file, error } of failures) console.error(`  ${file.name}: ${error}`);
+            }
+        },
+    };
+}
+
+// each file accumulates into a context of its own, so its state can be cached before it is merged;
+// station directories are matched from the input directory the file was found in down; previous is the state of the
+// files before, whose last fixes the quality checks go on from
+async function processFileState(file, options, previous) {
+    const context = createContext({ ...options, rootPath: file.root });
+    if (context.quality && previous) context.quality.carry(previous);
+    let error;
+    try {
+        await processFile(file.path, context);
+    } catch (e) {
+        error = e.message;
     }
-    
-    // Plot all positions as small dots
-    positions.forEach(pos => {
-        new google.maps.Circle({
-            map,
-            center: { lat: pos.lat, lng: pos.lon },
-            radius: 50,
-            fillColor: '#0000FF',
-            fillOpacity: 0.3,
-            strokeWeight: 0
-        });
-    });
-    
-    // Draw beam width lines
-    if (beamStats) {
-        const maxDist = Math.max(...positions.map(p => p.distance)) * 1.1 * 1852; // nm to meters + 10%
-        // 68% beam
-        drawBeamLine(map, centerLat, centerLon, beamStats.percentile68.minBearing, maxDist, '#00FF00', '68%');
-        drawBeamLine(map, centerLat, centerLon, beamStats.percentile68.maxBearing, maxDist, '#00FF00', '68%');
-        // 95% beam
-        drawBeamLine(map, centerLat, centerLon, beamStats.percentile95.minBearing, maxDist, '#FFFF00', '95%');
-        drawBeamLine(map, centerLat, centerLon, beamStats.percentile95.maxBearing, maxDist, '#FFFF00', '95%');
-    }
-    
-    // Display filter info
-    if (minDistance > 0) {
-        const info = document.createElement('div');
-        info.style.position = 'absolute';
-        info.style.top = '10px';
-        info.style.left = '10px';
-        info.style.background = 'white';
-        info.style.padding = '5px';
-        info.style.fontSize = '12px';
-        info.textContent = 'Min distance: ' + minDistance + ' nm';
-        document.body.appendChild(info);
-    }
-}
-
-function buildContent(label, color) {
-    const content = document.createElement('div');
-    content.style.width = '10px';
-    content.style.height = '10px';
-    content.style.backgroundColor = color;
-    content.style.border = '2px solid white';
-    content.style.borderRadius = '50%';
-    return content;
-}
-
-function buildTextLabel(text) {
-    const content = document.createElement('div');
-    content.style.backgroundColor = 'white';
-    content.style.padding = '2px 4px';
-    content.style.fontSize = '11px';
-    content.style.border = '1px solid #ccc';
-    content.textContent = text;
-    return content;
-}
-
-function computeOffset(lat, lon, distance, bearing) {
-    const brng = bearing * Math.PI / 180;
-    const lat1 = lat * Math.PI / 180, lon1 = lon * Math.PI / 180;
-    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(distance / 6371000) + Math.cos(lat1) * Math.sin(distance / 6371000) * Math.cos(brng)), lon2 = lon1 + Math.atan2(Math.sin(brng) * Math.sin(distance / 6371000) * Math.cos(lat1), Math.cos(distance / 6371000) - Math.sin(lat1) * Math.sin(lat2));
-    return { lat: lat2 * 180 / Math.PI, lng: lon2 * 180 / Math.PI };
-}
-
-function drawBeamLine(map, lat, lng, bearing, distance, color, label) {
-    const line = new google.maps.Polyline({
-        map,
-        path: [ { lat, lng }, computeOffset(lat, lng, distance, bearing) ],
-        geodesic: true,
-        strokeColor: color,
-        strokeOpacity: 0.8,
-        strokeWeight: 2
-    });
+    return { state: contextState(context), error };
 }
 
-window.onload = function() {
-    const script = document.createElement('script');
-    script.src = 'https://maps.googleapis.com/maps/api/js?key=${mapData.apiKey}&libraries=geometry,marker&callback=initMap&loading=async';
-    script.async = true;
-    script.defer = true;
-    document.head.appendChild(script);
-};
-</script>
-<style>
-html, body { height: 100%; margin: 0; padding: 0; }
-#map { height: 100%; }
-</style>
-</head>
-<body>
-<div id="map"></div>
-</body>
-</html>`);
-        } else {
-            res.writeHead(404);
-            res.end('Not found');
+// a cached state holds every message in the file, so it only stands in when the time window excludes none of them
+function isCacheable(file, { timeWindow, inputTimezone = 'local' }) {
+    if (!timeWindow || !timeWindow.active) return true;
+    const span = pathTimeSpan(file.name, inputTimezone);
+    return span !== undefined && (timeWindow.from === undefined || span.start >= timeWindow.from) && (timeWindow.to === undefined || span.end <= timeWindow.to);
+}
+
+async function processFilesInWorkers(files, context, jobs, progress, completed) {
+    const queue = [...files];
+    await Promise.all(
+        Array.from(
+            { length: Math.min(jobs, files.length) },
+            () =>
+                new Promise((resolve, reject) => {
+                    const worker = new Worker(__filename, { workerData: context.options });
+                    let current;
+                    const next = () => {
+                        current = queue.shift();
+                        if (current) {
+                            progress.start(current);
+                            worker.postMessage({ type: 'file', file: current });
+                        } else worker.terminate().then(resolve);
+                    };
+                    worker.on('message', (message) => {
+                        completed(current, message);
+                        next();
+                    });
+                    worker.on('error', (err) => reject(new Error(`worker failed${current ? ` on ${current.name}` : ''}: ${err.message}`)));
+                    next();
+                })
+        )
+    );
+}
+
+async function processFiles(files, context, { jobs = 1, cache, quiet = false } = {}) {
+    const progress = createProgress(files, quiet);
+    const fromCache = (file) => {
+        const state = cache && isCacheable(file, context) ? cache.get(file) : undefined;
+        if (state) {
+            mergeContext(context, state);
+            progress.done(file, undefined, true);
         }
-    });
-    server.listen(port, () => console.log(`\nMap server running at http://localhost:${port}/ -- open this URL to view the AIS data on Google Maps`));
+        return Boolean(state);
+    };
+    const completed = (file, { state, error }) => {
+        if (cache && !error && isCacheable(file, context))
+            try {
+                cache.set(file, state);
+            } catch (e) {
+                console.error(`Warning: cache not written for ${file.name}: ${e.message}`);
+            }
+        mergeContext(context, state);
+        progress.done(file, error);
+    };
+    const pending = jobs > 1 ? files.filter((file) => !fromCache(file)) : files;
+    if (pending.length > 1 && jobs > 1) await processFilesInWorkers(pending, context, jobs, progress, completed);
+    else
+        // in order, cached files too, so the quality checks go on from the files before
+        for (const file of pending)
+            if (jobs > 1 || !fromCache(file)) {
+                progress.start(file);
+                completed(file, await processFileState(file, context.options, jobs === 1 && context.quality ? context.quality.state() : undefined));
+            }
+    progress.finish();
+    return progress.failures;
 }
 
-function getCompassDirection(bearing) {
-    return ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'][Math.round(bearing / 22.5) % 16];
+// worker thread: files arrive one at a time and each one's state goes back as it completes
+function runWorker() {
+    parentPort.on('message', async (message) => {
+        if (message.type === 'file') parentPort.postMessage(await processFileState(message.file, workerData));
+    });
 }
 
-async function main() {
-    const args = process.argv.slice(2);
-
-    const debugMode = args.includes('--debug');
-
-    let displayPort;
-    const displayArg = args.find((arg) => arg.startsWith('--display'));
-    if (displayArg) {
-        if (displayArg === '--display') displayPort = 9001;
-        else if (displayArg.includes('=')) displayPort = Number.parseInt(displayArg.split('=')[1]);
-    }
-
-    let apiKey;
-    const apiKeyArg = args.find((arg) => arg.startsWith('--apikey='));
-    if (apiKeyArg) apiKey = apiKeyArg.split('=')[1];
-
-    let minDistance = 0;
-    const minDistArg = args.find((arg) => arg.startsWith('--min-distance='));
-    if (minDistArg) minDistance = Number.parseFloat(minDistArg.split('=')[1]);
-
-    let maxDistance = 0;
-    const maxDistArg = args.find((arg) => arg.startsWith('--max-distance='));
-    if (maxDistArg) maxDistance = Number.parseFloat(maxDistArg.split('=')[1]);
-
-    let excludeMMSIs = new Set();
-    const excludeArg = args.find((arg) => arg.startsWith('--exclude='));
-    if (excludeArg) {
-        const mmsiList = excludeArg
-            .split('=')[1]
-            .split(',')
-            .map((m) => Number.parseInt(m));
-        excludeMMSIs = new Set(mmsiList);
-        console.log(`Excluding MMSIs: ${Array.from(excludeMMSIs).join(', ')}`);
-    }
-
-    const filteredArgs = args.filter((arg) => arg !== '--debug' && !arg.startsWith('--display') && !arg.startsWith('--min-distance') && !arg.startsWith('--exclude') && !arg.startsWith('--apikey'));
-
-    if (filteredArgs.length === 0) {
-        console.log('Usage: node ais-parser.js <file.json or directory> [options]');
-        console.log('Options:');
-        console.log('  --debug                    Show debug information');
-        console.log('  --display[=port]           Start map server (default port: 9001)');
-        console.log('  --apikey=KEY               Google Maps API key (required for --display)');
-        console.log('  --min-distance=nm          Only analyze signals beyond this distance');
-        console.log('  --max-distance=nm          Only analyze signals before this distance');
-        console.log('  --exclude=mmsi1,mmsi2,...  Exclude specific MMSIs');
-        console.log('\nExamples:');
-        console.log('  ./ais-parser.js data.json --display --apikey=YOUR_KEY');
-        console.log('  ./ais-parser.js data.json --display --apikey=YOUR_KEY --min-distance=5');
-        console.log('  ./ais-parser.js data.json --exclude=2320752,235054667');
-        process.exit(1);
-    }
+function reportAnalysis(analysis, { debugMode, minDistance, maxDistance, bucket = 'day', daytime, timezone = 'local', timeWindow }) {
+    const { station, stats, filtered } = analysis;
+    let bearingCounts = analysis.bearingCounts;
 
-    if (displayPort && !apiKey) {
-        console.error('Error: --apikey is required when using --display');
-        console.error('Usage: ./ais-parser.js data.json --display --apikey=YOUR_GOOGLE_MAPS_KEY');
-        process.exit(1);
-    }
+    if (minDistance > 0) console.log(`\nApplying minimum distance filter: ${minDistance} nm`);
+    if (maxDistance > 0) console.log(`\nApplying maximum distance filter: ${maxDistance} nm`);
+    console.log(`Filtered from ${analysis.count} to ${filtered.count()} positions`);
 
-    const inputPath = filteredArgs[0];
-    let stats = {},
-        allDistances = [],
-        bearingCounts = {},
-        allBearings = [],
-        debugDistances = [],
-        allPositions = [];
-
-    if (fs.statSync(inputPath).isDirectory()) {
-        const result = await processDirectory(inputPath, allDistances, bearingCounts, allBearings, debugMode, debugDistances, allPositions, excludeMMSIs);
-        stats = result.stats;
-        allDistances = result.distances;
-        bearingCounts = result.bearings;
-        allBearings = result.allBearings;
-        allPositions = result.positions;
-    } else stats = await processFile(inputPath, allDistances, bearingCounts, allBearings, debugMode, debugDistances, allPositions, excludeMMSIs);
-
-    let filteredDistances = allDistances,
-        filteredBearings = allBearings,
-        filteredPositions = allPositions;
-
-    if (minDistance > 0) {
-        console.log(`\nApplying minimum distance filter: ${minDistance} nm`);
-        const indices = filteredDistances.map((d, i) => (d >= minDistance ? i : -1)).filter((i) => i >= 0);
-        filteredDistances = indices.map((i) => filteredDistances[i]);
-        filteredBearings = indices.map((i) => filteredBearings[i]);
-        filteredPositions = indices.map((i) => filteredPositions[i]);
-    }
-    if (maxDistance > 0) {
-        console.log(`\nApplying maximum distance filter: ${maxDistance} nm`);
-        const indices = filteredDistances.map((d, i) => (d <= maxDistance ? i : -1)).filter((i) => i >= 0);
-        filteredDistances = indices.map((i) => filteredDistances[i]);
-        filteredBearings = indices.map((i) => filteredBearings[i]);
-        filteredPositions = indices.map((i) => filteredPositions[i]);
-    }
-
-    console.log(`Filtered from ${allDistances.length} to ${filteredDistances.length} positions`);
-
-    if (debugMode && debugDistances.length > 0) {
+    if (debugMode && analysis.debugCount > 0) {
         console.log('\n=== DEBUG: Filtered Messages ===');
-        console.log(`Filtered ${debugDistances.length} messages with distance > ${MAX_REASONABLE_DISTANCE} nm\n`);
-        debugDistances.sort((a, b) => b.distance - a.distance);
-        for (let i = 0; i < Math.min(10, debugDistances.length); i++) {
+        console.log(`Filtered ${analysis.debugCount} messages with distance > ${station.maxDistance} nm\n`);
+        const debugDistances = analysis.debugDistances.sorted();
+        for (let i = 0; i < debugDistances.length; i++) {
             const d = debugDistances[i];
             console.log(`\n--- Message ${i + 1} ---`);
             console.log(`Distance: ${d.distance.toFixed(2)} nm`);
@@ -497,19 +600,27 @@ async function main() {
         console.log('\n=== END DEBUG ===\n');
     }
 
-    console.log('\nAIS Message Statistics:');
+    console.log(`\nAIS Message Statistics (station: ${station.name}):`);
     console.log('=======================');
-    console.log(`Your location: ${MY_LAT}, ${MY_LON}\n`);
+    console.log(`Station location: ${station.lat}, ${station.lon} (antenna ${station.height} m, radio horizon ${station.horizon.toFixed(1)} nm, plausible within ${station.maxDistance} nm)`);
+
+    console.log(
+        `Times in ${timezone === 'local' ? `local time (${Intl.DateTimeFormat().resolvedOptions().timeZone})` : timezone}${timeWindow && timeWindow.active ? `, from ${timeWindow.from === undefined ? 'start' : formatTime(timeWindow.from, timezone)} to ${timeWindow.to === undefined ? 'end' : formatTime(timeWindow.to, timezone)}` : ''}\n`
+    );
 
     // Sort dates
     const sortedDates = Object.keys(stats).sort();
 
-    console.log('Date       | Day (8am-8pm) | Night (8pm-8am) | Total | Max Distance (nm) | MMSI');
-    console.log('-----------|---------------|-----------------|-------|-------------------|----------');
+    const label = { hour: 'Hour', day: 'Date', week: 'Week', month: 'Month' }[bucket],
+        width = bucket === 'hour' ? 16 : 10,
+        dayLabel = `Day (${daytime.label})`,
+        nightLabel = `Night (${daytime.mode === 'sun' ? 'sunset-sunrise' : `${daytime.label.split('-').reverse().join('-')}`})`;
+    console.log(`${label.padEnd(width)} | ${dayLabel.padStart(13)} | ${nightLabel.padStart(15)} | Total | Max Distance (nm) | MMSI`);
+    console.log(`${'-'.repeat(width)}-|-${'-'.repeat(Math.max(13, dayLabel.length))}-|-${'-'.repeat(Math.max(15, nightLabel.length))}-|-------|-------------------|----------`);
 
     for (const date of sortedDates)
         console.log(
-            `${date.substring(0, 4)}-${date.substring(4, 6)}-${date.substring(6, 8)} | ${stats[date].dayCount.toString().padStart(13)} | ${stats[date].nightCount.toString().padStart(15)} | ${stats[date].totalCount.toString().padStart(5)} | ${stats[date].maxDistance.toFixed(2).padStart(17)} | ${stats[date].maxDistanceMMSI || 'N/A'}`
+            `${date.padEnd(width)} | ${stats[date].dayCount.toString().padStart(Math.max(13, dayLabel.length))} | ${stats[date].nightCount.toString().padStart(Math.max(15, nightLabel.length))} | ${stats[date].totalCount.toString().padStart(5)} | ${stats[date].maxDistance.toFixed(2).padStart(17)} | ${stats[date].maxDistanceMMSI || 'N/A'}`
         );
 
     // Summary
@@ -527,12 +638,12 @@ async function main() {
 
     console.log('\nSummary:');
     console.log(`Total messages: ${totalMessages}`);
-    console.log(`Day messages (8am-8pm): ${totalDay}`);
-    console.log(`Night messages (8pm-8am): ${totalNight}`);
+    console.log(`Day messages (${daytime.label}): ${totalDay}`);
+    console.log(`Night messages: ${totalNight}`);
     console.log(`Overall max distance: ${overallMaxDistance.toFixed(2)} nm (MMSI: ${overallMaxMMSI})`);
 
     // Distance distribution - use filtered data
-    const distribution = calculateDistribution(filteredDistances);
+    const distribution = filtered.distribution();
     if (distribution) {
         console.log('\nDistance Distribution (in 10ths):');
         console.log('=================================');
@@ -550,11 +661,7 @@ async function main() {
     }
 
     // Bearing distribution - recalculate with filtered data
-    if (minDistance > 0 && filteredBearings.length > 0) {
-        const filteredBearingCounts = {};
-        filteredBearings.map((bearing) => Math.floor(bearing / 15) * 15).forEach((bearingSector) => (filteredBearingCounts[bearingSector] = (filteredBearingCounts[bearingSector] || 0) + 1));
-        bearingCounts = filteredBearingCounts;
-    }
+    if (minDistance > 0 && filtered.count() > 0) bearingCounts = filtered.bearingCounts(15);
 
     // Bearing distribution
     console.log('\nBearing Distribution (15° sectors):');
@@ -566,23 +673,18 @@ async function main() {
         .sort((a, b) => a - b)
         .filter((b) => bearingCounts[b] > 0);
 
-    if (bearings.length > 0) {
-        const totalBearingCount = bearings.reduce((sum, b) => sum + bearingCounts[b], 0);
+    const totalBearingCount = bearings.reduce((sum, b) => sum + bearingCounts[b], 0);
+    const bearingRows = bearings.map((bearing) => ({ start: bearing, end: bearing + 15, direction: getCompassDirection(bearing + 7.5), count: bearingCounts[bearing], percentage: (bearingCounts[bearing] / totalBearingCount) * 100 }));
+    if (bearingRows.length > 0) {
         console.log('Bearing Range | Direction | Count  | Percentage');
         console.log('--------------|-----------|--------|------------');
-        bearings.forEach((bearing) => {
-            const count = bearingCounts[bearing];
-            const percentage = ((count / totalBearingCount) * 100).toFixed(1);
-            const endBearing = bearing + 15,
-                midBearing = bearing + 7.5;
-            const direction = getCompassDirection(midBearing);
-            console.log(`${bearing.toString().padStart(3)}° - ${endBearing.toString().padStart(3)}° | ${direction.padEnd(9)} | ${count.toString().padStart(6)} | ${percentage.padStart(10)}%`);
-        });
+        for (const { start, end, direction, count, percentage } of bearingRows)
+            console.log(`${start.toString().padStart(3)}° - ${end.toString().padStart(3)}° | ${direction.padEnd(9)} | ${count.toString().padStart(6)} | ${percentage.toFixed(1).padStart(10)}%`);
         console.log(`\nTotal messages: ${totalBearingCount}`);
     }
 
     // Beam width analysis - use filtered data
-    const beamStats = calculateBeamWidth(filteredBearings, filteredDistances);
+    const beamStats = filtered.beamWidth();
     if (beamStats) {
         console.log('\nBeam Width Analysis:');
         console.log('====================');
@@ -607,15 +709,714 @@ async function main() {
         if (beamStats.maxDistance.bearings.length <= 20) console.log(`  Individual bearings: ${beamStats.maxDistance.bearings.map((b) => b.toFixed(1) + '°').join(', ')}`);
     }
 
-    // Start map server if requested
-    if (displayPort)
-        startMapServer(displayPort, {
-            positions: filteredPositions,
-            beamStats,
-            minDistance,
-            apiKey,
+    return {
+        station,
+        count: analysis.count,
+        table: sortedDates.map((date) => ({ period: date, ...stats[date] })),
+        totalMessages,
+        totalDay,
+        totalNight,
+        overallMaxDistance,
+        overallMaxMMSI,
+        distribution,
+        bearings: bearingRows,
+        beamStats,
+        positions: analysis.positions.values(),
+        positionCount: filtered.count(),
+        positionMaxDistance: filtered.count() > 0 ? filtered.distances.max : 0,
+        periods: sortedDates.length,
+    };
+}
+
+function reportQuality({ checked, dropped, flags }, detailed) {
+    console.log('\nData Quality:');
+    console.log('=============');
+    console.log('Flag             | Messages | MMSIs  | Most flagged MMSIs');
+    console.log('-----------------|----------|--------|-------------------');
+    for (const [flag, { count, mmsis }] of Object.entries(flags)) {
+        const top = Object.entries(mmsis)
+            .sort((a, b) => b[1].count - a[1].count)
+            .slice(0, 3)
+            .map(([mmsi, entry]) => `${mmsi} (${entry.count})`);
+        console.log(`${flag.padEnd(16)} | ${count.toString().padStart(8)} | ${Object.keys(mmsis).length.toString().padStart(6)} | ${top.join(', ')}`);
+    }
+    if (detailed)
+        for (const [flag, { mmsis }] of Object.entries(flags))
+            for (const [mmsi, entry] of Object.entries(mmsis)
+                .sort((a, b) => b[1].count - a[1].count)
+                .slice(0, 10))
+                console.log(`  ${flag} ${mmsi}: ${entry.count} message${entry.count === 1 ? '' : 's'}, e.g. ${entry.examples.join('; ')}`);
+    console.log(`\nChecked ${checked} messages${dropped > 0 ? `, dropped ${dropped} flagged messages from the statistics` : ''}`);
+}
+
+function reportComparison(results, bucket = 'day') {
+    console.log('\nStation Comparison:');
+    console.log('===================');
+    console.log(
+        `Station              | Messages | ${`${bucket[0].toUpperCase()}${bucket.slice(1)}s`.padStart(6)} | ${`Msgs/${bucket[0].toUpperCase()}${bucket.slice(1)}`.padStart(10)} | Day    | Night  | Max Dist (nm) | Horizon (nm) | Mean Bearing | 95% Beam`
+    );
+    console.log('---------------------|----------|--------|------------|--------|--------|---------------|--------------|--------------|---------');
+    for (const { station, totalMessages, totalDay, totalNight, overallMaxDistance, beamStats, periods } of results) {
+        const perPeriod = periods > 0 ? (totalMessages / periods).toFixed(0) : '-';
+        const meanBearing = beamStats ? `${beamStats.meanBearing.toFixed(1)}° ${getCompassDirection(beamStats.meanBearing)}` : '-',
+            beam95 = beamStats ? `${beamStats.percentile95.beamWidth.toFixed(1)}°` : '-';
+        console.log(
+            `${station.name.padEnd(20)} | ${totalMessages.toString().padStart(8)} | ${periods.toString().padStart(6)} | ${perPeriod.padStart(10)} | ${totalDay.toString().padStart(6)} | ${totalNight.toString().padStart(6)} | ${overallMaxDistance.toFixed(2).padStart(13)} | ${station.horizon.toFixed(1).padStart(12)} | ${meanBearing.padStart(12)} | ${beam95.padStart(8)}`
+        );
+    }
+    const combined = results.reduce((sum, r) => sum + r.totalMessages, 0);
+    if (combined > 0) console.log(`\nCombined: ${combined} messages, share: ${results.map((r) => `${r.station.name} ${((r.totalMessages / combined) * 100).toFixed(1)}%`).join(', ')}`);
+}
+
+function reportCoverage(station, profile) {
+    const sectorSize = profile[0].end - profile[0].start;
+    console.log(`\nCoverage Profile (${sectorSize}° sectors, station: ${station.name}):`);
+    console.log('=====================================');
+    console.log('Bearing Range | Direction | Count  | MMSIs | P50 (nm) | P90 (nm) | P99 (nm) | Max (nm)');
+    console.log('--------------|-----------|--------|-------|----------|----------|----------|---------');
+    for (const sector of profile)
+        console.log(
+            `${sector.start.toString().padStart(3)}° - ${sector.end.toString().padStart(3)}° | ${getCompassDirection((sector.start + sector.end) / 2).padEnd(9)} | ${sector.count.toString().padStart(6)} | ${sector.mmsis.toString().padStart(5)} | ${sector.p50.toFixed(2).padStart(8)} | ${sector.p90.toFixed(2).padStart(8)} | ${sector.p99.toFixed(2).padStart(8)} | ${sector.max.toFixed(2).padStart(8)}`
+        );
+}
+
+function reportSignal(station, { pathLoss, bands, sectors, channels, ppm, ppmDrift, ignored }) {
+    const dB = (value) => (value === undefined ? '-' : value.toFixed(1));
+    console.log(`\nSignal Analysis (station: ${station.name}):`);
+    console.log('================');
+    if (ignored > 0) console.log(`${ignored} positions without a signal power reading`);
+    if (pathLoss) console.log(`Path loss fit: power = ${pathLoss.reference.toFixed(1)} dB - 10 x ${pathLoss.exponent.toFixed(2)} x log10(distance nm), r² ${pathLoss.r2.toFixed(3)} over ${pathLoss.count} positions`);
+    if (bands.length > 0) {
+        console.log('\nDistance (nm)  | Count  | Median (dB) | P10 (dB) | P90 (dB) | Fitted (dB)');
+        console.log('---------------|--------|-------------|----------|----------|------------');
+        for (const band of bands)
+            console.log(
+                `${`${band.from} - ${band.to ?? ''}`.padEnd(14)} | ${band.count.toString().padStart(6)} | ${dB(band.median).padStart(11)} | ${dB(band.p10).padStart(8)} | ${dB(band.p90).padStart(8)} | ${dB(band.fitted).padStart(11)}`
+            );
+    }
+    if (sectors.length > 0) {
+        console.log('\nBearing Range | Direction | Count  | Median (dB) | P90 (dB)');
+        console.log('--------------|-----------|--------|-------------|---------');
+        for (const sector of sectors)
+            console.log(
+                `${sector.start.toString().padStart(3)}° - ${sector.end.toString().padStart(3)}° | ${sector.direction.padEnd(9)} | ${sector.count.toString().padStart(6)} | ${dB(sector.median).padStart(11)} | ${dB(sector.p90).padStart(8)}`
+            );
+    }
+    if (channels.length > 0) {
+        console.log('\nPeriod           | Channel A | Channel B | A Share | A Mean (dB) | B Mean (dB)');
+        console.log('-----------------|-----------|-----------|---------|-------------|------------');
+        for (const { period, A, B } of channels)
+            console.log(`${period.padEnd(16)} | ${A.count.toString().padStart(9)} | ${B.count.toString().padStart(9)} | ${`${A.share.toFixed(1)}%`.padStart(7)} | ${dB(A.mean).padStart(11)} | ${dB(B.mean).padStart(11)}`);
+    }
+    if (ppm.length > 0) {
+        console.log('\nDay        | Count  | Mean PPM | Min PPM  | Max PPM  | Change');
+        console.log('-----------|--------|----------|----------|----------|-------');
+        for (const row of ppm)
+            console.log(
+                `${row.day.padEnd(10)} | ${row.count.toString().padStart(6)} | ${row.mean.toFixed(2).padStart(8)} | ${row.min.toFixed(2).padStart(8)} | ${row.max.toFixed(2).padStart(8)} | ${row.change === undefined ? '' : `${row.change >= 0 ? '+' : ''}${row.change.toFixed(2)}`}`
+            );
+        if (ppmDrift !== undefined) console.log(`PPM drift: ${ppmDrift >= 0 ? '+' : ''}${ppmDrift.toFixed(3)} ppm/day`);
+    }
+}
+
+function reportTraffic(station, { total, mmsis, types, sources, categories, periods, hours }) {
+    const percent = (value) => `${value.toFixed(1)}%`.padStart(7);
+    console.log(`\nTraffic Mix (station: ${station.name}):`);
+    console.log('===========');
+    console.log(`${total} messages from ${mmsis} MMSIs`);
+    console.log('\nType | Description                            | Messages | Share');
+    console.log('-----|----------------------------------------|----------|--------');
+    for (const row of types) console.log(`${row.type.toString().padStart(4)} | ${row.description.padEnd(38)} | ${row.messages.toString().padStart(8)} | ${percent(row.percentage)}`);
+    console.log('\nSource             | Messages | Share   | MMSIs');
+    console.log('-------------------|----------|---------|------');
+    for (const row of sources) console.log(`${row.source.padEnd(18)} | ${row.messages.toString().padStart(8)} | ${percent(row.percentage)} | ${row.mmsis.toString().padStart(5)}`);
+    console.log('\nShip Category                                      | Vessels | Messages | Share');
+    console.log('---------------------------------------------------|---------|----------|--------');
+    for (const row of categories) console.log(`${row.category.padEnd(50)} | ${row.vessels.toString().padStart(7)} | ${row.messages.toString().padStart(8)} | ${percent(row.percentage)}`);
+    console.log('\nPeriod           | Messages | MMSIs  | New    | Returning');
+    console.log('-----------------|----------|--------|--------|----------');
+    for (const row of periods) console.log(`${row.period.padEnd(16)} | ${row.messages.toString().padStart(8)} | ${row.mmsis.toString().padStart(6)} | ${row.new.toString().padStart(6)} | ${row.returning.toString().padStart(9)}`);
+    console.log('\nHour  | Hours  | Mean Messages | Mean MMSIs | Max MMSIs');
+    console.log('------|--------|---------------|------------|----------');
+    for (const row of hours)
+        console.log(
+            `${`${row.hour.toString().padStart(2, '0')}:00`.padEnd(5)} | ${row.hours.toString().padStart(6)} | ${row.meanMessages.toFixed(1).padStart(13)} | ${row.meanMmsis.toFixed(1).padStart(10)} | ${row.maxMmsis.toString().padStart(9)}`
+        );
+}
+
+function reportDensity(station, { cell, size, total, cells }) {
+    console.log(`\nPosition Density (station: ${station.name}, ${cell === 'hex' ? `hexagons ${size} nm across` : `${size}° lat/lon cells`}):`);
+    console.log('==================');
+    console.log(`${total} positions in ${cells.length} cells${cells.length > 0 ? `, ${((cells.slice(0, Math.ceil(cells.length / 10)).reduce((sum, entry) => sum + entry.count, 0) / total) * 100).toFixed(0)}% in the busiest tenth` : ''}`);
+    if (cells.length === 0) return;
+    console.log('\nLat        | Lon         | Positions | MMSIs  | Max Distance (nm)');
+    console.log('-----------|-------------|-----------|--------|------------------');
+    for (const { lat, lon, count, mmsis, maxDistance } of cells.slice(0, 10))
+        console.log(`${lat.toFixed(5).padStart(10)} | ${lon.toFixed(5).padStart(11)} | ${count.toString().padStart(9)} | ${mmsis.toString().padStart(6)} | ${maxDistance.toFixed(2).padStart(17)}`);
+}
+
+function reportCoverageDiff(baseline, profile) {
+    const diff = diffCoverage(baseline.sectors, profile);
+    const signed = (value, digits = 2) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+    console.log(`\nCoverage Change (baseline: ${baseline.station}${baseline.from ? ` ${baseline.from} - ${baseline.to}` : ''}):`);
+    console.log('==================');
+    console.log('Bearing Range | Direction | Count (before/after) | P90 (nm) before -> after | Δ P90  | Max (nm) before -> after | Δ Max');
+    console.log('--------------|-----------|---------------------|--------------------------|--------|--------------------------|-------');
+    for (const sector of diff)
+        console.log(
+            `${sector.start.toString().padStart(3)}° - ${sector.end.toString().padStart(3)}° | ${getCompassDirection((sector.start + sector.end) / 2).padEnd(9)} | ${`${sector.before.count}/${sector.after.count}`.padStart(19)} | ${`${sector.before.p90.toFixed(2)} -> ${sector.after.p90.toFixed(2)}`.padStart(24)} | ${signed(sector.p90).padStart(6)} | ${`${sector.before.max.toFixed(2)} -> ${sector.after.max.toFixed(2)}`.padStart(24)} | ${signed(sector.max).padStart(6)}`
+        );
+    const improved = diff.filter((sector) => sector.p90 > 0).length,
+        degraded = diff.filter((sector) => sector.p90 < 0).length;
+    console.log(`\nP90 range improved in ${improved} sectors, reduced in ${degraded} sectors`);
+}
+
+function reportPeriodComparison(station, periods, comparison, bucket = 'day') {
+    const { before, after, tests } = comparison;
+    const perBucket = `${bucket[0].toUpperCase()}${bucket.slice(1)}`;
+    const signed = (value, digits = 2, unit = '') => (value === undefined ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(digits)}${unit}`);
+    const fixed = (value, digits = 2, unit = '') => (value === undefined ? '-' : `${value.toFixed(digits)}${unit}`);
+    console.log(`\nPeriod Comparison (station: ${station.name}):`);
+    console.log('==================');
+    console.log(`A: ${periods[0].label}\nB: ${periods[1].label}\n`);
+    console.log('                      |          A |          B | Change');
+    console.log('----------------------|------------|------------|-----------');
+    const row = (label, a, b, change) => console.log(`${label.padEnd(21)} | ${a.padStart(10)} | ${b.padStart(10)} | ${change}`);
+    const metric = (label, get, digits, unit = '') => {
+        const [a, b] = [before, after].map(get);
+        row(label, fixed(a, digits, unit), fixed(b, digits, unit), a === undefined || b === undefined ? '-' : signed(b - a, digits, unit));
+    };
+    metric('Messages', (period) => period.messages, 0);
+    row(`Msgs/${perBucket}`, before.rate.toFixed(0), after.rate.toFixed(0), comparison.rateChange === undefined ? '-' : signed(comparison.rateChange * 100, 1, '%'));
+    metric('Positions (of msgs)', (period) => period.positionShare && period.positionShare * 100, 1, '%');
+    for (const p of ['p50', 'p90', 'p99', 'max']) metric(`${p === 'max' ? 'Max' : p.toUpperCase()} distance (nm)`, (period) => period.distance && period.distance[p], 2);
+    row('Mean bearing', fixed(before.beam && before.beam.meanBearing, 1, '°'), fixed(after.beam && after.beam.meanBearing, 1, '°'), signed(comparison.meanBearingShift, 1, '°'));
+    metric('Concentration', (period) => period.beam && period.beam.concentration, 3);
+    for (const width of [68, 95, 99]) metric(`${width}% beam`, (period) => period.beam && period.beam[`width${width}`], 1, '°');
+
+    if (comparison.sectors.length > 0) {
+        console.log('\nBearing Range | Direction | A share | B share | Change');
+        console.log('--------------|-----------|---------|---------|--------');
+        for (const { start, end, share, change } of comparison.sectors)
+            console.log(
+                `${start.toString().padStart(3)}° - ${end.toString().padStart(3)}° | ${getCompassDirection((start + end) / 2).padEnd(9)} | ${`${(share[0] * 100).toFixed(1)}%`.padStart(7)} | ${`${(share[1] * 100).toFixed(1)}%`.padStart(7)} | ${signed(change * 100, 1, '%').padStart(7)}`
+            );
+    }
+
+    console.log('');
+    for (const [name, test] of [
+        ['Distances', tests.distances],
+        ['Bearings', tests.bearings],
+    ])
+        console.log(
+            test
+                ? `${name}: ${test.test} ${test.statistic.toFixed(3)}, p ${test.p < 0.001 ? '< 0.001' : `= ${test.p.toFixed(3)}`}, ${test.significant ? `a significant change at the ${comparison.significance * 100}% level` : 'no significant change'}`
+                : `${name}: no positions in ${before.positions === 0 ? 'A' : 'B'} to test`
+        );
+}
+
+function reportVessels(tracks, voyageOptions, timezone) {
+    const rows = tracks.mmsis().map((mmsi) => {
+        const vessel = tracks.getTrack(mmsi),
+            voyages = buildVoyages(vessel, voyageOptions);
+        const speeds = voyages.filter((v) => v.maxSog !== undefined);
+        return {
+            vessel,
+            voyages,
+            distance: voyages.reduce((sum, v) => sum + v.distance, 0),
+            avgSog: speeds.length > 0 ? speeds.reduce((sum, v) => sum + v.avgSog * v.count, 0) / speeds.reduce((sum, v) => sum + v.count, 0) : undefined,
+            maxSog: speeds.length > 0 ? Math.max(...speeds.map((v) => v.maxSog)) : undefined,
+            maxRange: voyages.reduce((max, v) => Math.max(max, v.maxRange), 0),
+        };
+    });
+    console.log(`\nVessels (${rows.length}):`);
+    console.log('==========');
+    console.log('MMSI      | Name                 | Type                 | Msgs   | First Seen       | Last Seen        | Voyages | Dist (nm) | Avg SOG | Max SOG | Max Range (nm)');
+    console.log('----------|----------------------|----------------------|--------|------------------|------------------|---------|-----------|---------|---------|---------------');
+    for (const { vessel, voyages, distance, avgSog, maxSog, maxRange } of rows) {
+        if (vessel.points.length === 0) continue;
+        const first = vessel.points[0].time,
+            last = vessel.points[vessel.points.length - 1].time;
+        console.log(
+            `${vessel.mmsi.toString().padEnd(9)} | ${vesselName(vessel).substring(0, 20).padEnd(20)} | ${(vessel.static.shiptype_text || '').substring(0, 20).padEnd(20)} | ${vessel.points.length.toString().padStart(6)} | ${formatTime(first, timezone)} | ${formatTime(last, timezone)} | ${voyages.length.toString().padStart(7)} | ${distance.toFixed(1).padStart(9)} | ${(avgSog === undefined ? '-' : avgSog.toFixed(1)).padStart(7)} | ${(maxSog === undefined ? '-' : maxSog.toFixed(1)).padStart(7)} | ${maxRange.toFixed(2).padStart(14)}`
+        );
+    }
+}
+
+function reportVessel(vessel, voyageOptions, timezone) {
+    const info = vessel.static;
+    console.log(`\nVessel ${vessel.mmsi}${info.shipname ? ` - ${info.shipname}` : ''}:`);
+    console.log('==================');
+    if (info.callsign || info.imo) console.log(`Callsign: ${info.callsign || '-'}, IMO: ${info.imo || '-'}`);
+    if (info.shiptype_text) console.log(`Type: ${info.shiptype_text} (${info.shiptype})`);
+    if (info.to_bow !== undefined) console.log(`Dimensions: ${info.to_bow + info.to_stern} m x ${info.to_port + info.to_starboard} m`);
+    if (info.destination) console.log(`Destination: ${info.destination}${info.eta ? ` (ETA ${info.eta})` : ''}${info.draught ? `, draught ${info.draught} m` : ''}`);
+    if (vessel.points.length === 0) {
+        console.log('No positions received');
+        return;
+    }
+    const voyages = buildVoyages(vessel, voyageOptions);
+    console.log(`Positions: ${vessel.points.length}, voyages: ${voyages.length} (split on gaps > ${voyageOptions.gapMinutes} min)`);
+    voyages.forEach((voyage, index) => {
+        console.log(
+            `\nVoyage ${index + 1}: ${formatTime(voyage.start, timezone)} - ${formatTime(voyage.end, timezone)} (${voyage.duration.toFixed(0)} min, ${voyage.count} positions${voyage.stations.length > 0 ? `, heard by ${voyage.stations.join(', ')}` : ''})`
+        );
+        console.log(`  From: ${voyage.from.lat.toFixed(5)}, ${voyage.from.lon.toFixed(5)}  To: ${voyage.to.lat.toFixed(5)}, ${voyage.to.lon.toFixed(5)}`);
+        console.log(`  Distance travelled: ${voyage.distance.toFixed(2)} nm${voyage.madeGood === undefined ? '' : `, made good ${voyage.madeGood.toFixed(1)} kn`}`);
+        if (voyage.avgSog !== undefined) console.log(`  SOG: average ${voyage.avgSog.toFixed(1)} kn, max ${voyage.maxSog.toFixed(1)} kn`);
+        console.log(`  Max range from station: ${voyage.maxRange.toFixed(2)} nm`);
+        if (voyage.stops.length > 0) {
+            console.log(`  Stops (${voyage.stops.length}):`);
+            for (const stop of voyage.stops) console.log(`    ${formatTime(stop.start, timezone)} - ${formatTime(stop.end, timezone)} (${stop.duration.toFixed(0)} min) at ${stop.lat.toFixed(5)}, ${stop.lon.toFixed(5)}`);
+        }
+    });
+}
+
+function exportTracks(tracks, mmsis, formats, directory, voyageOptions) {
+    fs.mkdirSync(directory, { recursive: true });
+    for (const mmsi of mmsis) {
+        const vessel = tracks.getTrack(mmsi);
+        if (!vessel || vessel.points.length === 0) continue;
+        const voyages = buildVoyages(vessel, voyageOptions);
+        for (const format of formats) {
+            const file = path.join(directory, `${mmsi}.${format}`);
+            fs.writeFileSync(file, format === 'gpx' ? toGPX(vessel, voyages) : JSON.stringify(toGeoJSON(vessel, voyages), undefined, 2));
+            console.log(`Wrote ${file}`);
+        }
+    }
+}
+
+// map server /api queries, see createArchiveApi
+const API_PARAMETERS = [
+    { name: 'from', type: 'string' },
+    { name: 'to', type: 'string' },
+    {
+        name: 'bbox',
+        type: 'string',
+        parse: (text) => {
+            try {
+                return parseBbox(text);
+            } catch (e) {
+                throw new Error(`bbox: ${e.message}`);
+            }
+        },
+    },
+    { name: 'minDistance', type: 'number', min: 0 },
+    { name: 'mmsi', type: 'mmsis' },
+    { name: 'station', type: 'string' },
+];
+const API_RESULTS = 8; // queries answered from memory
+const API_RESULT_AGE = 300000; // ms, before the same query reads the archive again for new files
+
+// statistics, map sample, beam width and coverage of one station, without the report
+function summariseAnalysis(analysis) {
+    const { station, stats, filtered } = analysis;
+    const periods = Object.keys(stats)
+        .sort()
+        .map((period) => ({ period, ...stats[period] }));
+    const furthest = periods.reduce((best, period) => (period.maxDistance > best.maxDistance ? period : best), { maxDistance: 0 });
+    return {
+        station,
+        messages: analysis.count,
+        day: periods.reduce((sum, period) => sum + period.dayCount, 0),
+        night: periods.reduce((sum, period) => sum + period.nightCount, 0),
+        maxDistance: furthest.maxDistance,
+        maxDistanceMMSI: furthest.maxDistanceMMSI,
+        positionCount: filtered.count(),
+        positionMaxDistance: filtered.count() > 0 ? filtered.distances.max : 0,
+        positions: analysis.positions.values(),
+        beamStats: filtered.beamWidth(),
+        coverage: coverageToGeoJSON(station, calculateCoverage(analysis.coverage)),
+        density: analysis.density ? analysis.density.summary() : undefined,
+        periods,
+    };
+}
+
+// the map server's /api over the inputs: every query reads them again (new files included) with its own time window,
+// minimum distance, MMSIs and bounding box, one query at a time; from, to and minDistance default to the command line's,
+// and the cache stands in while nothing but the time window differs from it
+function createArchiveApi(inputs, contextOptions, { jobs, cache, voyageOptions }) {
+    const { timezone, analysisOptions } = contextOptions;
+    const results = new Map();
+    let queue = Promise.resolve();
+
+    const serialise = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    function parseQuery(params) {
+        const query = {};
+        for (const definition of API_PARAMETERS) {
+            const text = params.get(definition.name);
+            if (text !== null && text.trim() !== '') query[definition.name] = parseValue(definition, text.trim(), definition.name);
+        }
+        for (const [name, end] of [
+            ['from', false],
+            ['to', true],
+        ])
+            if (query[name] !== undefined)
+                try {
+                    query[name] = parseTimeArg(query[name], { timezone, end });
+                } catch (e) {
+                    throw new Error(`${name}: ${e.message}`);
+                }
+        query.from ??= contextOptions.from;
+        query.to ??= contextOptions.to;
+        query.minDistance ??= analysisOptions.minDistance;
+        if (query.from !== undefined && query.to !== undefined && query.from >= query.to) throw new Error('from must be before to');
+        if (query.station !== undefined && !contextOptions.selectedStations.some((station) => station.name === query.station)) throw new Error(`station: ${query.station} is not one of the stations shown`);
+        return query;
+    }
+
+    const describe = ({ from, to, minDistance, bbox, mmsi, station }) => ({ from: from === undefined ? undefined : formatTime(from, timezone), to: to === undefined ? undefined : formatTime(to, timezone), minDistance, bbox, mmsi, station });
+
+    const queryContext = ({ from, to, minDistance, bbox, mmsi }, trackOptions) => createContext({ ...contextOptions, analysisOptions: { ...analysisOptions, minDistance }, trackOptions, debugMode: false, from, to, bbox, mmsis: mmsi });
+
+    // the last API_RESULTS answers, kept for API_RESULT_AGE
+    const remember = (key, compute) =>
+        serialise(async () => {
+            let result = results.get(key);
+            if (!result || Date.now() - result.time > API_RESULT_AGE) result = { time: Date.now(), value: await compute() };
+            results.delete(key);
+            results.set(key, result);
+            if (results.size > API_RESULTS) results.delete(results.keys().next().value);
+            return result.value;
+        });
+
+    // per station, of the query's station or all
+    async function analyse(query) {
+        const { station, ...filters } = query;
+        const result = await remember(JSON.stringify(filters), async () => {
+            const context = queryContext(filters);
+            const files = collectInputFiles(inputs, context);
+            const cacheable = !filters.bbox && !filters.mmsi && filters.minDistance === analysisOptions.minDistance;
+            await processFiles(files, context, { jobs, cache: cacheable ? cache : undefined, quiet: true });
+            return { files: files.length, stations: [...context.analyses.values()].map(summariseAnalysis) };
+        });
+        return { query: describe(query), files: result.files, stations: result.stations.filter((entry) => station === undefined || entry.station.name === station) };
+    }
+
+    // voyages and stops as GeoJSON, undefined when the vessel has no positions
+    function track(mmsi, query) {
+        const filters = { ...query, station: undefined }; // a track is the same from any station
+        return remember(JSON.stringify({ track: mmsi, ...filters }), async () => {
+            const context = queryContext({ ...filters, mmsi: [mmsi] }, { mmsis: [mmsi] });
+            await processFiles(collectInputFiles(inputs, context), context, { jobs, quiet: true });
+            const vessel = context.tracks.getTrack(mmsi);
+            return vessel && vessel.points.length > 0 ? toGeoJSON(vessel, buildVoyages(vessel, voyageOptions)) : undefined;
         });
+    }
+
+    return {
+        defaults: describe({ from: contextOptions.from, to: contextOptions.to, minDistance: analysisOptions.minDistance }),
+        parseQuery,
+        analyse,
+        track,
+    };
+}
+
+async function main() {
+    let options, inputs, configFile;
+    try {
+        ({ options, inputs, configFile } = resolveOptions(process.argv.slice(2), OPTIONS, { defaultConfigs: DEFAULT_CONFIGS }));
+    } catch (e) {
+        console.error(`Error: ${e.message}\nRun with --help for the list of options`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(formatHelp(OPTIONS, { usage: USAGE, examples: EXAMPLES }));
+        return;
+    }
+    if (inputs.length === 0 && !options.live) {
+        console.error(formatHelp(OPTIONS, { usage: USAGE, examples: EXAMPLES }));
+        process.exit(2);
+    }
+    if (configFile) console.log(`Using options from ${configFile}${options.site ? `, site ${options.site}` : ''}`);
+
+    const usageError = (message) => {
+        console.error(`Error: ${message}`);
+        process.exit(2);
+    };
+    if (options.live && inputs.length > 0) usageError(`--live reads the MQTT feed, not input files (got ${inputs.join(', ')})`);
+    if (options.maxDistance > 0 && options.minDistance >= options.maxDistance) usageError('--min-distance must be below --max-distance');
+    if ((options.lat === undefined) !== (options.lon === undefined)) usageError('both --lat and --lon are required for an explicit station');
+    if (options.trackExport && !options.vessel && !options.vessels) usageError('--track-export requires --vessel=MMSI or --vessels');
+    if (options.out && options.output === 'text') usageError('--out needs --output=json, csv or html');
+    if (options.noCache && options.rebuildCache) usageError('--no-cache and --rebuild-cache cannot be used together');
+    if (options.apikey) console.error('Warning: --apikey is no longer used, the map display is self-contained');
+
+    const { debug: debugMode, display: displayPort, minDistance, maxDistance, jobs, mapPoints, inputFormat } = options;
+    const mapOptions = { tiles: options.tiles, coastline: options.coastline };
+
+    const reportOptions = { format: options.output, out: options.out };
+    const cacheOptions = { enabled: !options.noCache, rebuild: options.rebuildCache, directory: options.cache || defaultCacheDirectory() };
+
+    const excludeMMSIs = new Set(options.exclude || []);
+    try {
+        for (const file of options.excludeFile || []) for (const mmsi of readExcludeFile(file)) excludeMMSIs.add(mmsi);
+    } catch (e) {
+        usageError(e.message);
+    }
+    if (excludeMMSIs.size > 0) console.log(`Excluding MMSIs: ${Array.from(excludeMMSIs).join(', ')}`);
+
+    const vesselMMSIs = options.vessel ? new Set(options.vessel) : undefined;
+    const vesselsReport = options.vessels;
+    const voyageOptions = { gapMinutes: options.voyageGap };
+    const trackFormats = options.trackExport || [];
+    const trackDirectory = options.trackDir;
+
+    const coverageOptions = { report: options.coverage, sectorSize: options.sector, export: options.coverageExport };
+    if (options.coverageDiff)
+        try {
+            coverageOptions.baseline = loadCoverage(options.coverageDiff);
+        } catch (e) {
+            usageError(e.message);
+        }
+
+    // the map draws the grid as a heatmap, so it is kept whenever there is a map
+    const densityCell = options.density || (options.densityExport || displayPort ? 'latlon' : undefined);
+    const densityOptions = { report: Boolean(options.density), export: options.densityExport, grid: densityCell ? { cell: densityCell, size: options.densitySize ?? DENSITY_SIZES[densityCell] } : undefined };
+
+    const timeOptions = { timezone: options.timezone, inputTimezone: options.inputTimezone, bucket: options.bucket, daytime: options.daytime };
+    try {
+        const timeArg = (name, text, end) => {
+            try {
+                return text === undefined ? undefined : parseTimeArg(text, { timezone: timeOptions.timezone, end });
+            } catch (e) {
+                throw new Error(`--${name}: ${e.message}`);
+            }
+        };
+        const from = timeArg('from', options.from, false),
+            to = timeArg('to', options.to, true);
+        if (from !== undefined && to !== undefined && from >= to) throw new Error('--from must be before --to');
+        timeOptions.timeWindow = createTimeWindow(from, to);
+    } catch (e) {
+        usageError(e.message);
+    }
+    const { timezone } = timeOptions;
+
+    // two periods of the same inputs, or the same period of two inputs
+    let comparePeriodsOptions;
+    if (options.compare !== undefined) {
+        if (options.live) usageError('--compare reads archives, not --live');
+        for (const name of ['display', 'vessel', 'vessels']) if (options[name]) usageError(`--compare reports the periods side by side, without --${name}`);
+        if (options.output !== 'text') usageError('--compare reports the periods side by side, without --output');
+        const describe = ({ from, to }) => `${from === undefined ? 'start' : formatTime(from, timezone)} to ${to === undefined ? 'end' : formatTime(to, timezone)}`;
+        if (options.compare === true) {
+            if (inputs.length !== 2) usageError(`--compare without periods compares two inputs (got ${inputs.length})`);
+            const { from, to, active } = timeOptions.timeWindow;
+            comparePeriodsOptions = inputs.map((input) => ({ label: `${input}${active ? `, ${describe({ from, to })}` : ''}`, inputs: [input], from, to }));
+        } else {
+            if (options.from !== undefined || options.to !== undefined) usageError('--compare sets the periods, without --from or --to');
+            try {
+                comparePeriodsOptions = parseCompareRanges(options.compare, { timezone }).map((range) => ({ label: describe(range), inputs, ...range }));
+            } catch (e) {
+                usageError(`--compare: ${e.message}`);
+            }
+        }
+    }
+
+    const liveOptions = { url: options.live, broker: options.liveBroker, refresh: options.refresh };
+
+    const stationOptions = { config: options.stations, station: options.station?.join(','), lat: options.lat, lon: options.lon, height: options.height, maxDistance: options.radius };
+
+    let stations, selectedStations;
+    try {
+        stations = stationOptions.lat === undefined && stationOptions.lon === undefined ? loadStations(stationOptions.config) : [];
+        selectedStations = selectStations(stations, stationOptions);
+        if (stations.length === 0) stations = selectedStations;
+    } catch (e) {
+        usageError(e.message);
+    }
+
+    const contextOptions = {
+        stations,
+        selectedStations,
+        analysisOptions: { ...coverageOptions, minDistance, maxDistance, mapPoints, signal: options.signal, traffic: options.traffic, density: densityOptions.grid },
+        trackOptions: vesselMMSIs || vesselsReport ? { mmsis: vesselMMSIs ? [...vesselMMSIs] : undefined } : undefined,
+        debugMode,
+        excludeMMSIs: [...excludeMMSIs],
+        inputFormat,
+        timezone,
+        inputTimezone: timeOptions.inputTimezone,
+        bucket: timeOptions.bucket,
+        daytime: timeOptions.daytime,
+        from: timeOptions.timeWindow.from,
+        to: timeOptions.timeWindow.to,
+        qualityOptions: options.quality || options.qualityDrop ? { drop: options.qualityDrop || [], maxSpeed: options.maxSpeed, jumpDistance: options.jumpDistance } : undefined,
+    };
+
+    if (liveOptions.url) {
+        const context = createContext({ ...contextOptions, trackOptions: undefined });
+        const nmeaDecoder = createNmeaDecoder();
+        try {
+            await startLive(liveOptions.url, {
+                stations: selectedStations,
+                ingest: (text, received) => {
+                    const message = parseLine(text, { inputFormat, nmeaDecoder, fallbackTime: received, inputTimezone: timeOptions.inputTimezone });
+                    return message && locateMessage(message, context);
+                },
+                refresh: liveOptions.refresh,
+                broker: liveOptions.broker,
+                displayPort,
+                mapOptions,
+                minDistance,
+                maxDistance,
+                timezone,
+                sectorSize: coverageOptions.sectorSize,
+                mapPoints,
+            });
+        } catch (e) {
+            console.error(`Error: ${e.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+
+    const missing = inputs.filter((input) => !fs.existsSync(input));
+    if (missing.length > 0) {
+        console.error(`Error: ${missing.join(', ')} not found`);
+        process.exit(1);
+    }
+
+    // tracks keep every position, far too much to cache, so the vessel reports always decode every file
+    let cache;
+    if (cacheOptions.enabled && !contextOptions.trackOptions) {
+        const { from, to, trackOptions, ...cacheKey } = contextOptions;
+        // one at a time the quality flags of a file depend on the files before, in workers they do not
+        if (cacheKey.qualityOptions) cacheKey.qualityCarried = jobs === 1;
+        try {
+            cache = createCache(cacheOptions.directory, cacheFingerprint(cacheKey), { rebuild: cacheOptions.rebuild });
+        } catch (e) {
+            console.error(`Warning: cache unavailable, decoding every file: ${e.message}`);
+        }
+    }
+
+    if (comparePeriodsOptions) {
+        const contexts = [];
+        try {
+            for (const period of comparePeriodsOptions) {
+                const periodContext = createContext({ ...contextOptions, from: period.from, to: period.to });
+                await processFiles(collectInputFiles(period.inputs, periodContext), periodContext, { jobs, cache });
+                contexts.push(periodContext);
+            }
+        } catch (e) {
+            console.error(`Error: ${e.message}`);
+            process.exit(1);
+        }
+        for (const station of selectedStations) {
+            const [before, after] = contexts.map((periodContext) => periodContext.analyses.get(station.name));
+            if (before.count === 0 && after.count === 0) console.log(`\nNo messages attributed to station ${station.name} in either period`);
+            else reportPeriodComparison(station, comparePeriodsOptions, comparePeriods(before, after, { sectorSize: coverageOptions.sectorSize }), timeOptions.bucket);
+        }
+        return;
+    }
+
+    const context = createContext(contextOptions);
+    try {
+        await processFiles(collectInputFiles(inputs, context), context, { jobs, cache });
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        process.exit(1);
+    }
+
+    if (context.nmeaDecoder && context.nmeaDecoder.counters.sentences > 0) {
+        const { sentences, messages, checksumErrors, formatErrors, fragmentsDropped, unsupported } = context.nmeaDecoder.counters;
+        console.log(`\nNMEA decoding: ${sentences} sentences, ${messages} messages (${unsupported} of unsupported types), ${checksumErrors} checksum errors, ${formatErrors} format errors, ${fragmentsDropped} fragments dropped`);
+    }
+
+    if (context.quality) reportQuality(context.quality.summary(), options.quality);
+
+    const results = [];
+    for (const analysis of context.analyses.values()) {
+        if (context.analyses.size > 1 && analysis.count === 0) {
+            console.log(`\nNo messages attributed to station ${analysis.station.name}`);
+            continue;
+        }
+        const result = reportAnalysis(analysis, { debugMode, minDistance, maxDistance, ...timeOptions });
+        result.coverage = calculateCoverage(analysis.coverage);
+        if (coverageOptions.report) reportCoverage(analysis.station, result.coverage);
+        if (analysis.signal) {
+            result.signal = analysis.signal.summary();
+            reportSignal(analysis.station, result.signal);
+        }
+        if (analysis.traffic) {
+            result.traffic = analysis.traffic.summary();
+            reportTraffic(analysis.station, result.traffic);
+        }
+        if (analysis.density) {
+            result.density = analysis.density.summary();
+            if (densityOptions.report) reportDensity(analysis.station, result.density);
+            for (const out of densityOptions.export || []) {
+                const file = context.analyses.size > 1 ? out.replace(/(\.[^./]+)?$/, `.${analysis.station.name}$1`) : out;
+                try {
+                    console.log(`Wrote density grid (${writeDensity(file, analysis.station, result.density)}) to ${file}`);
+                } catch (e) {
+                    console.error(`Error: density export: ${e.message}`);
+                }
+            }
+        }
+        if (coverageOptions.baseline) {
+            try {
+                reportCoverageDiff(coverageOptions.baseline, result.coverage);
+            } catch (e) {
+                console.error(`Error: coverage diff: ${e.message}`);
+            }
+        }
+        if (coverageOptions.export) {
+            const dates = Object.keys(analysis.stats).sort(),
+                file = context.analyses.size > 1 ? coverageOptions.export.replace(/(\.[^./]+)?$/, `.${analysis.station.name}$1`) : coverageOptions.export;
+            fs.writeFileSync(file, JSON.stringify(coverageToGeoJSON(analysis.station, result.coverage, { from: dates[0], to: dates[dates.length - 1] }), undefined, 2));
+            console.log(`Wrote coverage profile to ${file}`);
+        }
+        results.push(result);
+    }
+    if (results.length > 1) reportComparison(results, timeOptions.bucket);
+
+    if (reportOptions.format !== 'text' && results.length > 0)
+        try {
+            for (const file of writeReport(buildReport(results, { minDistance, maxDistance, ...timeOptions, quality: context.quality && context.quality.summary() }), reportOptions.format, reportOptions.out))
+                console.log(`Wrote ${reportOptions.format} report to ${file}`);
+        } catch (e) {
+            console.error(`Error: report: ${e.message}`);
+            process.exit(1);
+        }
+
+    if (context.tracks) {
+        if (vesselsReport) reportVessels(context.tracks, voyageOptions, timezone);
+        if (vesselMMSIs)
+            for (const mmsi of vesselMMSIs) {
+                const vessel = context.tracks.getTrack(mmsi);
+                if (vessel) reportVessel(vessel, voyageOptions, timezone);
+                else console.log(`\nVessel ${mmsi}: no messages received`);
+            }
+        if (trackFormats.length > 0) exportTracks(context.tracks, vesselMMSIs ? [...vesselMMSIs] : context.tracks.mmsis(), trackFormats, trackDirectory, voyageOptions);
+    }
+
+    // Start map server if requested
+    if (displayPort && results.length > 0)
+        startMapServer(
+            displayPort,
+            {
+                stations: results.map(({ station, positions, positionCount, positionMaxDistance, beamStats, coverage, density }) => ({
+                    name: station.name,
+                    lat: station.lat,
+                    lon: station.lon,
+                    positions,
+                    count: positionCount,
+                    maxDistance: positionMaxDistance,
+                    beamStats,
+                    coverage: coverageToGeoJSON(station, coverage),
+                    density,
+                })),
+                minDistance,
+            },
+            { ...mapOptions, api: createArchiveApi(inputs, contextOptions, { jobs, cache, voyageOptions }) }
+        );
 }
 
-// Run the script
-main().catch(console.error);
+// Run the script, or a file processing worker when started by --jobs
+if (isMainThread) main().catch(console.error);
+else runWorker();
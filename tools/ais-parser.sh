@@ -14,5 +14,4 @@ fi
 ./ais-parser.js /opt/storage/collector/messages \
     ${DISPLAY_ARG} \
     ${MIN_DISTANCE_ARG} \
-    --exclude=`cat ais-parser.exclude` \
-    --apikey=`cat .apikey`
+    --exclude-file=ais-parser.exclude
@@ -0,0 +1,178 @@
+// Data quality: flags messages whose MMSI, position history or timestamp cannot be right, per MMSI, for a report and
+// optionally to drop them from the statistics
+//
+//   invalid-mmsi     not a well formed MMSI, or a MID outside the ITU range 201-775
+//   reserved-mmsi    from a non-ship range: coast/base stations (00MID), groups (0MID), SAR aircraft (111MID), craft (98MID),
+//                    aids to navigation (99MID), SART/MOB/EPIRB (970/972/974) - test transmitters are usually found here
+//   impossible-speed consecutive fixes further apart than the maximum speed allows
+//   position-jump    a fix further than the jump distance from the last, faster than the maximum speed
+//   duplicate-mmsi   the MMSI keeps reporting from two places at once, each plausible on its own
+//   bad-timestamp    a base station (type 4) time with "not available" fields (0000-00-00T24:60:60Z) or far from reception
+//
+// The position history is kept per MMSI in arrival order; the state carries each MMSI's last fixes, so files processed
+// one after another in time order go on from those of the file before (carry), files in separate workers do not.
+
+const { calculateDistance } = require('./ais-geo.js');
+
+const QUALITY_FLAGS = ['invalid-mmsi', 'reserved-mmsi', 'impossible-speed', 'position-jump', 'duplicate-mmsi', 'bad-timestamp'];
+// what a bare --quality-drop leaves out: not reserved-mmsi, which every base station and AtoN raises
+const QUALITY_DROP_DEFAULT = QUALITY_FLAGS.filter((flag) => flag !== 'reserved-mmsi');
+
+const QUALITY_DEFAULTS = {
+    maxSpeed: 60, // kn, SAR aircraft are allowed ten times this
+    jumpDistance: 20, // nm
+    duplicateWindow: 10 * 60000, // both positions reported within this, ms
+    clockDrift: 5 * 60000, // base station time against reception, ms
+};
+
+const EXAMPLES = 5;
+
+function classifyMmsi(mmsi) {
+    const digits = String(mmsi).padStart(9, '0');
+    if (!/^\d{9}$/.test(digits) || Number(digits) === 0) return { kind: 'invalid', reason: `'${mmsi}' is not a 9 digit MMSI` };
+    const prefixes = [
+        ['970', 'sart', 'AIS-SART'],
+        ['972', 'mob', 'man overboard device'],
+        ['974', 'epirb', 'EPIRB'],
+        ['111', 'sar-aircraft', 'SAR aircraft', 3],
+        ['00', 'coast', 'coast/base station', 2],
+        ['0', 'group', 'group call', 1],
+        ['98', 'craft', 'craft associated with a parent ship', 2],
+        ['99', 'aton', 'aid to navigation', 2],
+        ['8', 'handheld', 'handheld VHF', 1],
+    ];
+    const prefix = prefixes.find(([start]) => digits.startsWith(start));
+    const [, kind, label, midAt] = prefix || [undefined, /^[2-7]/.test(digits) ? 'ship' : 'invalid', 'ship', 0];
+    if (kind === 'invalid') return { kind, reason: `${digits} is in no MMSI range` };
+    if (midAt === undefined) return { kind, label };
+    const mid = Number(digits.slice(midAt, midAt + 3));
+    if (mid < 201 || mid > 775) return { kind: 'invalid', mid, reason: `MID ${mid} outside 201-775 (${label})` };
+    return { kind, label, mid };
+}
+
+// "not available" is year 0, month 0, day 0, hour 24, minute 60, second 60
+function checkBaseStationTime(payload, received, clockDrift) {
+    let fields;
+    if (payload.year !== undefined) fields = [payload.year, payload.month, payload.day, payload.hour, payload.minute, payload.second];
+    else {
+        const match = typeof payload.timestamp === 'string' && payload.timestamp.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/);
+        if (!match) return `unreadable time '${payload.timestamp}'`;
+        fields = match.slice(1).map(Number);
+    }
+    const [year, month, day, hour, minute, second] = fields;
+    if (year === 0 || month === 0 || day === 0 || hour >= 24 || minute >= 60 || second >= 60) return `time not available (${payload.timestamp ?? fields.join(',')})`;
+    if (month > 12 || day > 31) return `invalid date ${year}-${month}-${day}`;
+    const reported = Date.UTC(year, month - 1, day, hour, minute, second);
+    if (received !== undefined && Math.abs(reported - received) > clockDrift) return `clock ${((reported - received) / 60000).toFixed(1)} min from reception`;
+    return undefined;
+}
+
+function createQuality(options = {}) {
+    const { maxSpeed, jumpDistance, duplicateWindow, clockDrift } = { ...QUALITY_DEFAULTS, ...options };
+    const drop = new Set(options.drop || []);
+    // per flag: messages and, per MMSI, its count and the first few details
+    const flags = Object.fromEntries(QUALITY_FLAGS.map((flag) => [flag, { count: 0, mmsis: {} }]));
+    // per MMSI up to two recent tracks: the one being followed and where a jump or a second transmitter went
+    const histories = new Map(),
+        classes = new Map();
+    let checked = 0,
+        dropped = 0;
+
+    function raise(found, flag, mmsi, detail) {
+        found.push(flag);
+        const entry = flags[flag];
+        entry.count++;
+        const perMmsi = entry.mmsis[mmsi] || (entry.mmsis[mmsi] = { count: 0, examples: [] });
+        perMmsi.count++;
+        if (perMmsi.examples.length < EXAMPLES && !perMmsi.examples.includes(detail)) perMmsi.examples.push(detail);
+    }
+
+    const impliedSpeed = (from, to, distance) => distance / ((Math.abs(to.time - from.time) + 2000) / 3600000); // kn, with slack for whole second timestamps
+
+    function checkPosition(found, payload, time, limit) {
+        const { mmsi, lat, lon } = payload;
+        if (time === undefined || Math.abs(lat) > 90 || Math.abs(lon) > 180) return;
+        const fix = { lat, lon, time };
+        const tracks = histories.get(mmsi);
+        if (!tracks) {
+            histories.set(mmsi, [fix]);
+            return;
+        }
+        const moves = tracks.map((track) => {
+            const distance = calculateDistance(track.lat, track.lon, lat, lon);
+            return { track, distance, speed: distance < 0.05 ? 0 : impliedSpeed(track, fix, distance) };
+        });
+        const plausible = moves.findIndex((move) => move.speed <= limit);
+        if (plausible === 0) tracks[0] = fix;
+        else if (plausible === 1) {
+            // back at the other place while the first is still reporting
+            if (Math.abs(time - tracks[0].time) <= duplicateWindow) raise(found, 'duplicate-mmsi', mmsi, `${moves[0].distance.toFixed(1)} nm from its other position ${((time - tracks[0].time) / 1000).toFixed(0)} s apart`);
+            tracks[1] = tracks[0];
+            tracks[0] = fix;
+        } else {
+            const { distance, speed } = moves[0];
+            if (distance > jumpDistance) raise(found, 'position-jump', mmsi, `${distance.toFixed(1)} nm in ${(Math.abs(time - tracks[0].time) / 1000).toFixed(0)} s`);
+            else raise(found, 'impossible-speed', mmsi, `${speed.toFixed(0)} kn over ${distance.toFixed(2)} nm`);
+            tracks[1] = tracks[0];
+            tracks[0] = fix;
+        }
+    }
+
+    return {
+        drop,
+        // flags for one message, in the order it was received; time is its reception time in ms
+        check(payload, time) {
+            const found = [],
+                { mmsi } = payload;
+            checked++;
+            if (!classes.has(mmsi)) classes.set(mmsi, classifyMmsi(mmsi));
+            const mmsiClass = classes.get(mmsi);
+            if (mmsiClass.kind === 'invalid') raise(found, 'invalid-mmsi', mmsi, mmsiClass.reason);
+            else if (mmsiClass.kind !== 'ship' && mmsiClass.kind !== 'handheld') raise(found, 'reserved-mmsi', mmsi, mmsiClass.label);
+            if (payload.type === 4) {
+                const problem = checkBaseStationTime(payload, time, clockDrift);
+                if (problem) raise(found, 'bad-timestamp', mmsi, problem);
+            }
+            if (payload.lat !== undefined && payload.lon !== undefined) checkPosition(found, payload, time, mmsiClass.kind === 'sar-aircraft' ? maxSpeed * 10 : maxSpeed);
+            return found;
+        },
+        // whether a message with these flags is left out of the statistics
+        drops(found) {
+            if (found.length > 0 && found.some((flag) => drop.has(flag))) {
+                dropped++;
+                return true;
+            }
+            return false;
+        },
+        summary: () => ({ checked, dropped, flags }),
+        state: () => ({ checked, dropped, flags, histories: [...histories] }),
+        // the last fixes of an earlier state (of the files before) as the start of the position history
+        carry(state) {
+            for (const [mmsi, tracks] of state.histories) histories.set(mmsi, [...tracks]);
+        },
+        merge(state) {
+            checked += state.checked;
+            dropped += state.dropped;
+            for (const [mmsi, tracks] of state.histories) {
+                const current = histories.get(mmsi);
+                if (!current || tracks[0].time >= current[0].time) histories.set(mmsi, [...tracks]);
+            }
+            for (const [flag, entry] of Object.entries(state.flags)) {
+                flags[flag].count += entry.count;
+                for (const [mmsi, other] of Object.entries(entry.mmsis)) {
+                    const perMmsi = flags[flag].mmsis[mmsi] || (flags[flag].mmsis[mmsi] = { count: 0, examples: [] });
+                    perMmsi.count += other.count;
+                    for (const example of other.examples) if (perMmsi.examples.length < EXAMPLES && !perMmsi.examples.includes(example)) perMmsi.examples.push(example);
+                }
+            }
+        },
+    };
+}
+
+module.exports = {
+    QUALITY_FLAGS,
+    QUALITY_DROP_DEFAULT,
+    QUALITY_DEFAULTS,
+    classifyMmsi,
+    createQuality,
+};
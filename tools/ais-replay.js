@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+
+// Replay: re-publishes archived messages (the collector's {topic, payload, timestamp} .json and .json.xz files, or bare
+// AIS-catcher JSON lines) to MQTT on their original topics with their original timing, optionally faster, looped and
+// filtered by time and MMSI, and sends each message's NMEA sentences over UDP as AIS-catcher's -u outputs do
+//
+// The timing follows the collector timestamps (in --input-timezone), or the payload's rxtime without an envelope; a
+// message timed before the one sent last goes at once. Files are replayed in name order, time order for the
+// collector's layout. While the broker is unreachable the replay waits, and carries on from where it stopped.
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const dgram = require('dgram');
+const readline = require('readline');
+const { resolveOptions, formatHelp } = require('./ais-options.js');
+const { createMqttClient, parseMqttUrl } = require('./ais-mqtt.js');
+const { formatRxTime } = require('./ais-nmea.js');
+const { openInput } = require('./ais-xz.js');
+const { validateTimezone, parseTimestamp, parseTimeArg, formatTime, pathTimeSpan, createTimeWindow } = require('./ais-time.js');
+
+const DEFAULT_MQTT = 'mqtt://localhost:1883';
+const DEFAULT_TOPIC = 'ais/data';
+const PROGRESS_INTERVAL = 60000; // ms
+
+const USAGE = ['node ais-replay.js <file or directory>... [--mqtt[=mqtt://host[:port][/topic]]] [--udp=host:port]... [options]'];
+
+const parseUdpTarget = (text) => {
+    const match = text.match(/^(?:\[([^\]]+)\]|([^:[\]]+)):(\d{1,5})$/);
+    if (!match || Number(match[3]) < 1 || Number(match[3]) > 65535) throw new Error(`--udp: expected host:port (got '${text}')`);
+    return { host: match[1] || match[2], port: Number(match[3]) };
+};
+
+// in --help order, see ais-options.js for the fields
+const OPTIONS = [
+    { name: 'help', type: 'boolean', description: 'Show this help (also -h)' },
+    { name: 'mqtt', type: 'string', value: 'URL', optional: DEFAULT_MQTT, description: `Publish to this broker, on each message's original topic or the URL's topic when it has one (default: ${DEFAULT_MQTT})` },
+    { name: 'udp', value: 'host:port', parse: parseUdpTarget, multiple: true, description: "Send each message's NMEA sentences to host:port over UDP, like AIS-catcher -u, repeatable" },
+    { name: 'speed', type: 'number', value: 'N', above: 0, default: 1, description: 'Replay N times faster than the messages arrived' },
+    { name: 'loop', type: 'boolean', description: 'Start again from the first message after the last' },
+    { name: 'from', type: 'string', value: 'time', description: 'Only replay messages from this time: ISO date/time, YYYYMMDD, today, yesterday or relative (-7d, -12h)' },
+    { name: 'to', type: 'string', value: 'time', description: 'Only replay messages up to this time, a date alone includes that whole day' },
+    { name: 'mmsi', type: 'mmsis', value: 'mmsi1,mmsi2,...', description: 'Only replay messages from these MMSIs' },
+    { name: 'retime', type: 'boolean', description: "Set each payload's rxtime to when it is sent, for consumers that go by the message's time" },
+    { name: 'timezone', value: 'ZONE', parse: validateTimezone, default: 'local', description: 'Timezone for --from/--to and the progress lines: local, utc, +01:00 or Europe/London' },
+    { name: 'input-timezone', value: 'ZONE', parse: validateTimezone, default: 'local', description: 'Timezone of the collector timestamps' },
+];
+
+const EXAMPLES = [
+    './ais-replay.js /opt/storage/collector/messages/2025/05/14 --mqtt',
+    './ais-replay.js /opt/storage/collector/messages --from=2025-05-14T06:00 --to=2025-05-14T12:00 --speed=10 --loop --retime',
+    './ais-replay.js archive.json.xz --mqtt=mqtt://test.local --udp=127.0.0.1:10110 --mmsi=235055756',
+    'mosquitto_sub -t ais/data | ../monitor/watcher',
+];
+
+// archive files in name order, leaving out those dated outside the time window
+function listFiles(input, timeWindow, inputTimezone) {
+    if (!fs.statSync(input).isDirectory()) return [input];
+    const files = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const full = path.join(dir, entry.name);
+            if (!entry.isDirectory() && !/\.json(\.xz)?$/.test(entry.name)) continue;
+            const span = timeWindow.active ? pathTimeSpan(path.relative(input, full), inputTimezone) : undefined;
+            if (span !== undefined && !timeWindow.overlaps(span.start, span.end)) continue;
+            if (entry.isDirectory()) walk(full);
+            else files.push(full);
+        }
+    };
+    walk(input);
+    return files;
+}
+
+// { topic, payload, time } of an archive line, undefined for anything else; time is NaN when the line has none
+function parseArchiveLine(line, inputTimezone) {
+    if (!line.trimStart().startsWith('{')) return undefined;
+    const data = JSON.parse(line);
+    if (data.topic !== undefined) {
+        const time = parseTimestamp(data.timestamp, inputTimezone);
+        return { topic: data.topic, payload: data.payload, time: Number.isFinite(time) ? time : parseTimestamp(data.payload && data.payload.rxtime, 'utc') };
+    }
+    if (data.class === 'AIS') return { topic: DEFAULT_TOPIC, payload: data, time: parseTimestamp(data.rxtime, 'utc') };
+    return undefined;
+}
+
+// maps archive times to wall clock times from the first message on, speed times faster
+function createClock(speed) {
+    let start;
+    return {
+        reset() {
+            start = undefined;
+        },
+        // time spent waiting for the broker, which the replay should not try to catch up on
+        pause(ms) {
+            if (start) start.wall += ms;
+        },
+        async wait(time) {
+            if (!Number.isFinite(time)) return;
+            if (!start) start = { wall: Date.now(), archive: time };
+            const delay = start.wall + (time - start.archive) / speed - Date.now();
+            if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+        },
+    };
+}
+
+function createUdpOutput(targets) {
+    const sockets = {};
+    const reported = new Set();
+    let pending = 0,
+        drained;
+    const socketFor = (host) => {
+        const family = net.isIPv6(host) ? 'udp6' : 'udp4';
+        return sockets[family] || (sockets[family] = dgram.createSocket(family));
+    };
+    return {
+        // AIS-catcher sends a message's sentences together, each ending in CR LF
+        send(nmea) {
+            const datagram = Buffer.from(nmea.map((sentence) => `${sentence}\r\n`).join(''));
+            for (const { host, port } of targets) {
+                pending++;
+                socketFor(host).send(datagram, port, host, (err) => {
+                    if (--pending === 0 && drained) drained();
+                    if (!err || reported.has(`${host}:${port} ${err.code}`)) return;
+                    reported.add(`${host}:${port} ${err.code}`);
+                    console.error(`UDP ${host}:${port}: ${err.message}`);
+                });
+            }
+        },
+        // once the datagrams handed over so far have gone
+        async close() {
+            if (pending > 0) await new Promise((resolve) => (drained = resolve));
+            for (const socket of Object.values(sockets)) socket.close();
+        },
+    };
+}
+
+async function main() {
+    let options, inputs;
+    try {
+        ({ options, inputs } = resolveOptions(process.argv.slice(2), OPTIONS));
+    } catch (e) {
+        console.error(`Error: ${e.message}\nRun with --help for the list of options`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(formatHelp(OPTIONS, { usage: USAGE, examples: EXAMPLES }));
+        return;
+    }
+    const usageError = (message) => {
+        console.error(`Error: ${message}`);
+        process.exit(2);
+    };
+    if (inputs.length === 0) usageError('no archive files or directories to replay');
+    for (const input of inputs) if (!fs.existsSync(input)) usageError(`${input} not found`);
+    if (!options.mqtt && !options.udp) usageError('nothing to replay to, give --mqtt and/or --udp=host:port');
+    let broker;
+    try {
+        broker = options.mqtt && parseMqttUrl(options.mqtt);
+    } catch (e) {
+        usageError(e.message);
+    }
+    let timeWindow;
+    try {
+        const timeArg = (name, text, end) => {
+            try {
+                return text === undefined ? undefined : parseTimeArg(text, { timezone: options.timezone, end });
+            } catch (e) {
+                throw new Error(`--${name}: ${e.message}`);
+            }
+        };
+        timeWindow = createTimeWindow(timeArg('from', options.from, false), timeArg('to', options.to, true));
+        if (timeWindow.from !== undefined && timeWindow.to !== undefined && timeWindow.from >= timeWindow.to) throw new Error('--from must be before --to');
+    } catch (e) {
+        usageError(e.message);
+    }
+    const files = inputs.flatMap((input) => listFiles(input, timeWindow, options.inputTimezone));
+    if (files.length === 0) usageError(`no .json or .json.xz files${timeWindow.active ? ' in the time window' : ''} in ${inputs.join(', ')}`);
+    const mmsis = options.mmsi && new Set(options.mmsi);
+
+    const client = broker && createMqttClient(broker);
+    if (client) {
+        client.on('connect', () => console.error(`MQTT: connected to ${broker.host}:${broker.port}`));
+        client.on('reconnect', (delay) => console.error(`MQTT: reconnecting to ${broker.host}:${broker.port} in ${delay / 1000}s`));
+        client.on('error', (err) => console.error(`MQTT: ${err.message}`));
+    }
+    const udp = options.udp && createUdpOutput(options.udp);
+    const clock = createClock(options.speed);
+    const counts = { published: 0, udp: 0, noNmea: 0 };
+    let archiveTime;
+
+    const summary = () => `${counts.published} messages published${udp ? `, ${counts.udp} sent over UDP${counts.noNmea > 0 ? ` (${counts.noNmea} without NMEA sentences)` : ''}` : ''}`;
+    const stop = async () => {
+        console.error(summary());
+        if (client) client.end();
+        if (udp) await udp.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    const progress = setInterval(() => archiveTime !== undefined && console.error(`At ${formatTime(archiveTime, options.timezone, true)}: ${summary()}`), PROGRESS_INTERVAL);
+
+    async function send({ topic, payload, time }) {
+        await clock.wait(time);
+        if (options.retime && payload && typeof payload === 'object' && payload.rxtime !== undefined) payload = { ...payload, rxtime: formatRxTime(new Date()) };
+        if (client) {
+            if (!client.connected) {
+                const waited = Date.now();
+                await new Promise((resolve) => client.once('connect', resolve)); // not events.once, which rejects on the errors logged while reconnecting
+                clock.pause(Date.now() - waited);
+            }
+            if (client.publish(broker.topic || topic, typeof payload === 'string' ? payload : JSON.stringify(payload))) counts.published++;
+        }
+        if (udp) {
+            if (payload && Array.isArray(payload.nmea) && payload.nmea.length > 0) {
+                udp.send(payload.nmea);
+                counts.udp++;
+            } else counts.noNmea++;
+        }
+        if (Number.isFinite(time)) archiveTime = time;
+    }
+
+    console.error(
+        `Replaying ${files.length} file${files.length === 1 ? '' : 's'} at ${options.speed}x to ${[broker && `${broker.host}:${broker.port}`, ...(options.udp || []).map(({ host, port }) => `udp ${host}:${port}`)].filter(Boolean).join(', ')}`
+    );
+    do {
+        clock.reset();
+        for (const file of files) {
+            console.error(`Replaying ${file}`);
+            const input = openInput(file);
+            for await (const line of readline.createInterface({ input: input.stream, crlfDelay: Infinity })) {
+                let message;
+                try {
+                    message = parseArchiveLine(line, options.inputTimezone);
+                } catch {
+                    continue; // not JSON
+                }
+                if (!message) continue;
+                if (timeWindow.active && !(Number.isFinite(message.time) && timeWindow.contains(message.time))) continue;
+                if (mmsis && !(message.payload && mmsis.has(message.payload.mmsi))) continue;
+                await send(message);
+            }
+            try {
+                await input.finished;
+            } catch (e) {
+                console.error(`Error: ${file}: ${e.message}`);
+            }
+        }
+        if (options.loop) console.error(`Replayed every file, starting again: ${summary()}`);
+    } while (options.loop);
+    clearInterval(progress);
+    if (udp) await udp.close();
+    if (client) client.end();
+    console.error(summary());
+}
+
+main().catch((e) => {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+});
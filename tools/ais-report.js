@@ -0,0 +1,475 @@
+// Machine-readable reports of the parser's results: JSON with a schema version, CSV with one file per table and a
+// self-contained HTML page with inline SVG charts, so reports can be archived and compared between runs
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_SCHEMA = 1;
+const REPORT_FORMATS = ['text', 'json', 'csv', 'html'];
+
+function buildReport(results, { minDistance = 0, maxDistance = 0, bucket = 'day', daytime, timezone = 'local', timeWindow, quality } = {}) {
+    return {
+        schema: REPORT_SCHEMA,
+        generated: new Date().toISOString(),
+        options: {
+            minDistance,
+            maxDistance,
+            bucket,
+            daytime: daytime ? daytime.label : undefined,
+            timezone: timezone === 'local' ? Intl.DateTimeFormat().resolvedOptions().timeZone : timezone,
+            from: timeWindow && timeWindow.from !== undefined ? new Date(timeWindow.from).toISOString() : undefined,
+            to: timeWindow && timeWindow.to !== undefined ? new Date(timeWindow.to).toISOString() : undefined,
+        },
+        stations: results.map((result) => ({
+            station: { name: result.station.name, lat: result.station.lat, lon: result.station.lon, height: result.station.height, horizon: result.station.horizon, maxDistance: result.station.maxDistance },
+            summary: {
+                attributed: result.count,
+                totalMessages: result.totalMessages,
+                dayMessages: result.totalDay,
+                nightMessages: result.totalNight,
+                maxDistance: result.overallMaxDistance,
+                maxDistanceMMSI: result.overallMaxMMSI,
+                periods: result.periods,
+                analyzedPositions: result.positionCount,
+            },
+            stats: result.table,
+            distribution: result.distribution,
+            bearings: result.bearings,
+            beamStats: result.beamStats,
+            coverage: result.coverage,
+            signal: result.signal,
+            traffic: result.traffic,
+        })),
+        quality,
+    };
+}
+
+// CSV
+
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'number' ? String(Math.round(value * 1e6) / 1e6) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function csvTable(columns, rows) {
+    return [columns.join(','), ...rows.map((row) => columns.map((column) => csvValue(row[column])).join(','))].join('\n') + '\n';
+}
+
+function csvTables(report) {
+    const tables = {};
+    tables.stations = csvTable(
+        [
+            'station',
+            'lat',
+            'lon',
+            'height',
+            'horizon',
+            'attributed',
+            'totalMessages',
+            'dayMessages',
+            'nightMessages',
+            'maxDistance',
+            'maxDistanceMMSI',
+            'periods',
+            'meanBearing',
+            'concentration',
+            'beam68',
+            'beam95',
+            'beam99',
+            'top5AvgDistance',
+        ],
+        report.stations.map(({ station, summary, beamStats }) => ({
+            station: station.name,
+            lat: station.lat,
+            lon: station.lon,
+            height: station.height,
+            horizon: station.horizon,
+            ...summary,
+            meanBearing: beamStats?.meanBearing,
+            concentration: beamStats?.concentration,
+            beam68: beamStats?.percentile68.beamWidth,
+            beam95: beamStats?.percentile95.beamWidth,
+            beam99: beamStats?.percentile99.beamWidth,
+            top5AvgDistance: beamStats?.maxDistance.avgDistance,
+        }))
+    );
+    const perStation = (name, columns, rows) =>
+        (tables[name] = csvTable(
+            ['station', ...columns],
+            report.stations.flatMap((entry) => rows(entry).map((row) => ({ station: entry.station.name, ...row })))
+        ));
+    perStation('stats', ['period', 'dayCount', 'nightCount', 'totalCount', 'maxDistance', 'maxDistanceMMSI'], (entry) => entry.stats);
+    perStation('distribution', ['min', 'max', 'count', 'percentage'], ({ distribution }) =>
+        distribution ? distribution.bins.map((count, index) => ({ ...distribution.binRanges[index], count, percentage: (count / distribution.count) * 100 })) : []
+    );
+    perStation('bearings', ['start', 'end', 'direction', 'count', 'percentage'], (entry) => entry.bearings);
+    perStation('beam', ['percentile', 'minBearing', 'maxBearing', 'beamWidth', 'centerBearing'], ({ beamStats }) => (beamStats ? [beamStats.percentile68, beamStats.percentile95, beamStats.percentile99] : []));
+    perStation('coverage', ['start', 'end', 'count', 'mmsis', 'p50', 'p90', 'p99', 'max'], (entry) => entry.coverage || []);
+    perStation('signal-distance', ['from', 'to', 'count', 'median', 'p10', 'p90', 'fitted'], ({ signal }) => (signal ? signal.bands : []));
+    perStation('signal-sectors', ['start', 'end', 'direction', 'count', 'median', 'p10', 'p90'], ({ signal }) => (signal ? signal.sectors : []));
+    perStation('channels', ['period', 'total', 'countA', 'countB', 'shareA', 'meanA', 'meanB'], ({ signal }) =>
+        signal ? signal.channels.map(({ period, total, A, B }) => ({ period, total, countA: A.count, countB: B.count, shareA: A.share, meanA: A.mean, meanB: B.mean })) : []
+    );
+    perStation('ppm', ['day', 'count', 'mean', 'min', 'max', 'change'], ({ signal }) => (signal ? signal.ppm : []));
+    perStation('traffic-types', ['type', 'description', 'messages', 'percentage'], ({ traffic }) => (traffic ? traffic.types : []));
+    perStation('traffic-sources', ['source', 'messages', 'percentage', 'mmsis'], ({ traffic }) => (traffic ? traffic.sources : []));
+    perStation('traffic-categories', ['category', 'vessels', 'messages', 'percentage'], ({ traffic }) => (traffic ? traffic.categories : []));
+    perStation('traffic-periods', ['period', 'messages', 'mmsis', 'new', 'returning'], ({ traffic }) => (traffic ? traffic.periods : []));
+    perStation('traffic-hours', ['hour', 'hours', 'meanMessages', 'meanMmsis', 'maxMmsis'], ({ traffic }) => (traffic ? traffic.hours : []));
+    if (report.quality)
+        tables.quality = csvTable(
+            ['flag', 'mmsi', 'count', 'examples'],
+            Object.entries(report.quality.flags).flatMap(([flag, { mmsis }]) => Object.entries(mmsis).map(([mmsi, entry]) => ({ flag, mmsi, count: entry.count, examples: entry.examples.join('; ') })))
+        );
+    return tables;
+}
+
+// HTML
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const fixed = (value, digits = 2) => (typeof value === 'number' ? value.toFixed(digits) : '-');
+
+function svgBars(title, bars, { width = 640, height = 220 } = {}) {
+    const margin = { top: 24, right: 8, bottom: 48, left: 48 },
+        plotWidth = width - margin.left - margin.right,
+        plotHeight = height - margin.top - margin.bottom,
+        maxValue = Math.max(1, ...bars.map((bar) => bar.value)),
+        slot = plotWidth / Math.max(1, bars.length),
+        labelEvery = Math.ceil(bars.length / 16);
+    const parts = [`<text x="${width / 2}" y="16" text-anchor="middle" class="title">${escapeHtml(title)}</text>`];
+    parts.push(`<line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${margin.left + plotWidth}" y2="${margin.top + plotHeight}" class="axis"/>`);
+    parts.push(`<text x="${margin.left - 4}" y="${margin.top + 4}" text-anchor="end">${maxValue}</text><text x="${margin.left - 4}" y="${margin.top + plotHeight}" text-anchor="end">0</text>`);
+    bars.forEach((bar, index) => {
+        const barHeight = (bar.value / maxValue) * plotHeight,
+            x = margin.left + index * slot;
+        parts.push(
+            `<rect x="${(x + slot * 0.1).toFixed(1)}" y="${(margin.top + plotHeight - barHeight).toFixed(1)}" width="${(slot * 0.8).toFixed(1)}" height="${barHeight.toFixed(1)}"><title>${escapeHtml(`${bar.label}: ${bar.value}`)}</title></rect>`
+        );
+        if (index % labelEvery === 0)
+            parts.push(`<text x="${(x + slot / 2).toFixed(1)}" y="${margin.top + plotHeight + 14}" text-anchor="end" transform="rotate(-40 ${(x + slot / 2).toFixed(1)} ${margin.top + plotHeight + 14})">${escapeHtml(bar.label)}</text>`);
+    });
+    return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${parts.join('')}</svg>`;
+}
+
+// compass rose with a wedge per bearing sector scaled by its count, the 95% beam shaded and the mean bearing drawn
+function svgPolar(title, bearings, beamStats, { size = 320 } = {}) {
+    const centre = size / 2,
+        radius = size / 2 - 28,
+        maxCount = Math.max(1, ...bearings.map((sector) => sector.count));
+    const xy = (bearing, r) => [centre + r * Math.sin((bearing * Math.PI) / 180), centre - r * Math.cos((bearing * Math.PI) / 180)].map((v) => v.toFixed(1));
+    const point = (bearing, r) => xy(bearing, r).join(',');
+    const line = (bearing, attributes) => `<line x1="${centre}" y1="${centre}" x2="${xy(bearing, radius)[0]}" y2="${xy(bearing, radius)[1]}" ${attributes}`;
+    const wedge = (start, end, r) => `M${centre},${centre} L${point(start, r)} A${r.toFixed(1)},${r.toFixed(1)} 0 ${(end - start + 360) % 360 > 180 ? 1 : 0} 1 ${point(end, r)} Z`;
+    const parts = [`<text x="${centre}" y="14" text-anchor="middle" class="title">${escapeHtml(title)}</text>`];
+    for (const fraction of [0.25, 0.5, 0.75, 1]) parts.push(`<circle cx="${centre}" cy="${centre}" r="${(radius * fraction).toFixed(1)}" class="grid"/>`);
+    ['N', 'E', 'S', 'W'].forEach((label, index) => {
+        const [x, y] = xy(index * 90, radius + 12);
+        parts.push(`${line(index * 90, 'class="grid"/>')}<text x="${x}" y="${Number(y) + 4}" text-anchor="middle">${label}</text>`);
+    });
+    if (beamStats) parts.push(`<path d="${wedge(beamStats.percentile95.minBearing, beamStats.percentile95.maxBearing, radius)}" class="beam"><title>95% beam ${fixed(beamStats.percentile95.beamWidth, 1)}°</title></path>`);
+    for (const sector of bearings)
+        parts.push(
+            `<path d="${wedge(sector.start, sector.end, Math.sqrt(sector.count / maxCount) * radius)}" class="wedge"><title>${sector.start}°-${sector.end}° ${sector.direction}: ${sector.count} (${fixed(sector.percentage, 1)}%)</title></path>`
+        );
+    if (beamStats) parts.push(`${line(beamStats.meanBearing, 'class="mean">')}<title>mean bearing ${fixed(beamStats.meanBearing, 1)}°</title></line>`);
+    return `<svg viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">${parts.join('')}</svg>`;
+}
+
+// median power per nm with the 10-90% spread and the fitted path-loss curve over it
+function svgSignal(title, { points, pathLoss }, { width = 640, height = 260 } = {}) {
+    const margin = { top: 24, right: 8, bottom: 32, left: 48 },
+        plotWidth = width - margin.left - margin.right,
+        plotHeight = height - margin.top - margin.bottom;
+    const maxDistance = Math.max(1, ...points.map((point) => point.distance)),
+        low = Math.floor(Math.min(...points.map((point) => point.p10))),
+        high = Math.ceil(Math.max(...points.map((point) => point.p90)));
+    const span = Math.max(1, high - low),
+        x = (distance) => (margin.left + (distance / maxDistance) * plotWidth).toFixed(1),
+        y = (power) => (margin.top + ((high - Math.min(high, Math.max(low, power))) / span) * plotHeight).toFixed(1);
+    const parts = [`<text x="${width / 2}" y="16" text-anchor="middle" class="title">${escapeHtml(title)}</text>`];
+    parts.push(`<line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${margin.left + plotWidth}" y2="${margin.top + plotHeight}" class="axis"/>`);
+    parts.push(`<text x="${margin.left - 4}" y="${margin.top + 4}" text-anchor="end">${high} dB</text><text x="${margin.left - 4}" y="${margin.top + plotHeight}" text-anchor="end">${low} dB</text>`);
+    parts.push(`<text x="${margin.left}" y="${height - 8}">0</text><text x="${margin.left + plotWidth}" y="${height - 8}" text-anchor="end">${fixed(maxDistance, 0)} nm</text>`);
+    for (const point of points)
+        parts.push(
+            `<line x1="${x(point.distance)}" y1="${y(point.p10)}" x2="${x(point.distance)}" y2="${y(point.p90)}" class="grid"/><circle cx="${x(point.distance)}" cy="${y(point.median)}" r="2.5" class="point"><title>${fixed(point.distance - 0.5, 0)}-${fixed(point.distance + 0.5, 0)} nm: median ${fixed(point.median, 1)} dB over ${point.count}</title></circle>`
+        );
+    if (pathLoss) {
+        const curve = [];
+        for (let step = 1; step <= 100; step++) curve.push(`${x((maxDistance * step) / 100)},${y(pathLoss.reference - 10 * pathLoss.exponent * Math.log10((maxDistance * step) / 100))}`);
+        parts.push(`<polyline points="${curve.join(' ')}" class="mean"><title>${fixed(pathLoss.reference, 1)} dB - 10 x ${fixed(pathLoss.exponent)} x log10(nm)</title></polyline>`);
+    }
+    return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${parts.join('')}</svg>`;
+}
+
+function htmlTable(columns, rows) {
+    return `<table><tr>${columns.map(([label]) => `<th>${escapeHtml(label)}</th>`).join('')}</tr>${rows.map((row) => `<tr>${columns.map(([, value]) => `<td>${escapeHtml(value(row) ?? '-')}</td>`).join('')}</tr>`).join('')}</table>`;
+}
+
+function htmlStation({ station, summary, stats, distribution, bearings, beamStats, coverage, signal, traffic }) {
+    const parts = [`<h2>${escapeHtml(station.name)}</h2>`];
+    parts.push(`<p>Location ${station.lat}, ${station.lon}, antenna ${station.height} m, radio horizon ${fixed(station.horizon, 1)} nm, plausible within ${station.maxDistance} nm</p>`);
+    parts.push(
+        `<p>${summary.totalMessages} messages (${summary.dayMessages} day, ${summary.nightMessages} night) over ${summary.periods} periods, max distance ${fixed(summary.maxDistance)} nm (MMSI ${summary.maxDistanceMMSI ?? '-'}), ${summary.analyzedPositions} positions analyzed</p>`
+    );
+    parts.push(
+        '<div class="charts">',
+        svgBars(
+            'Messages per period',
+            stats.map((row) => ({ label: row.period, value: row.totalCount }))
+        ),
+        distribution
+            ? svgBars(
+                  'Distance distribution (nm)',
+                  distribution.bins.map((count, index) => ({ label: `${fixed(distribution.binRanges[index].min)}-${fixed(distribution.binRanges[index].max)}`, value: count }))
+              )
+            : '',
+        svgPolar('Bearing distribution', bearings, beamStats),
+        '</div>'
+    );
+    parts.push(
+        htmlTable(
+            [
+                ['Period', (row) => row.period],
+                ['Day', (row) => row.dayCount],
+                ['Night', (row) => row.nightCount],
+                ['Total', (row) => row.totalCount],
+                ['Max Distance (nm)', (row) => fixed(row.maxDistance)],
+                ['MMSI', (row) => row.maxDistanceMMSI],
+            ],
+            stats
+        )
+    );
+    if (beamStats) {
+        parts.push(
+            `<h3>Beam width</h3><p>Mean bearing ${fixed(beamStats.meanBearing, 1)}°, concentration ${fixed(beamStats.concentration, 3)}; top 5% furthest (${beamStats.maxDistance.count}) average ${fixed(beamStats.maxDistance.avgDistance)} nm</p>`
+        );
+        parts.push(
+            htmlTable(
+                [
+                    ['Signals', (row) => `${Math.round(row.percentile * 100)}%`],
+                    ['Beam Width', (row) => `${fixed(row.beamWidth, 1)}°`],
+                    ['Range', (row) => `${fixed(row.minBearing, 1)}° - ${fixed(row.maxBearing, 1)}°`],
+                    ['Center', (row) => `${fixed(row.centerBearing, 1)}°`],
+                ],
+                [beamStats.percentile68, beamStats.percentile95, beamStats.percentile99]
+            )
+        );
+    }
+    if (coverage) {
+        parts.push('<h3>Coverage</h3>');
+        parts.push(
+            htmlTable(
+                [
+                    ['Bearing', (row) => `${row.start}° - ${row.end}°`],
+                    ['Count', (row) => row.count],
+                    ['MMSIs', (row) => row.mmsis],
+                    ['P50 (nm)', (row) => fixed(row.p50)],
+                    ['P90 (nm)', (row) => fixed(row.p90)],
+                    ['P99 (nm)', (row) => fixed(row.p99)],
+                    ['Max (nm)', (row) => fixed(row.max)],
+                ],
+                coverage
+            )
+        );
+    }
+    if (signal) parts.push(htmlSignal(signal));
+    if (traffic) parts.push(htmlTraffic(traffic));
+    return parts.join('\n');
+}
+
+function htmlTraffic({ total, mmsis, types, sources, categories, periods, hours }) {
+    const parts = [`<h3>Traffic mix</h3><p>${total} messages from ${mmsis} MMSIs</p>`];
+    parts.push(
+        '<div class="charts">',
+        svgBars(
+            'Distinct MMSIs per period',
+            periods.map((row) => ({ label: row.period, value: row.mmsis }))
+        ),
+        svgBars(
+            'Mean distinct MMSIs by hour',
+            hours.map((row) => ({ label: `${String(row.hour).padStart(2, '0')}:00`, value: Math.round(row.meanMmsis * 10) / 10 }))
+        ),
+        '</div>'
+    );
+    parts.push(
+        htmlTable(
+            [
+                ['Type', (row) => row.type],
+                ['Description', (row) => row.description],
+                ['Messages', (row) => row.messages],
+                ['Share', (row) => `${fixed(row.percentage, 1)}%`],
+            ],
+            types
+        ),
+        htmlTable(
+            [
+                ['Source', (row) => row.source],
+                ['Messages', (row) => row.messages],
+                ['Share', (row) => `${fixed(row.percentage, 1)}%`],
+                ['MMSIs', (row) => row.mmsis],
+            ],
+            sources
+        ),
+        htmlTable(
+            [
+                ['Ship Category', (row) => row.category],
+                ['Vessels', (row) => row.vessels],
+                ['Messages', (row) => row.messages],
+                ['Share', (row) => `${fixed(row.percentage, 1)}%`],
+            ],
+            categories
+        ),
+        htmlTable(
+            [
+                ['Period', (row) => row.period],
+                ['Messages', (row) => row.messages],
+                ['MMSIs', (row) => row.mmsis],
+                ['New', (row) => row.new],
+                ['Returning', (row) => row.returning],
+            ],
+            periods
+        )
+    );
+    return parts.join('\n');
+}
+
+function htmlSignal({ pathLoss, points, bands, sectors, channels, ppm, ppmDrift }) {
+    const parts = ['<h3>Signal</h3>'];
+    if (pathLoss) parts.push(`<p>Path loss fit: ${fixed(pathLoss.reference, 1)} dB at 1 nm, exponent ${fixed(pathLoss.exponent)}, r² ${fixed(pathLoss.r2, 3)} over ${pathLoss.count} positions</p>`);
+    if (points.length > 0) parts.push('<div class="charts">', svgSignal('Signal power by distance', { points, pathLoss }), '</div>');
+    const dB = (value) => fixed(value, 1);
+    parts.push(
+        htmlTable(
+            [
+                ['Distance (nm)', (row) => `${row.from} - ${row.to ?? ''}`],
+                ['Count', (row) => row.count],
+                ['Median (dB)', (row) => dB(row.median)],
+                ['P10 (dB)', (row) => dB(row.p10)],
+                ['P90 (dB)', (row) => dB(row.p90)],
+                ['Fitted (dB)', (row) => dB(row.fitted)],
+            ],
+            bands
+        ),
+        htmlTable(
+            [
+                ['Bearing', (row) => `${row.start}° - ${row.end}°`],
+                ['Direction', (row) => row.direction],
+                ['Count', (row) => row.count],
+                ['Median (dB)', (row) => dB(row.median)],
+                ['P90 (dB)', (row) => dB(row.p90)],
+            ],
+            sectors
+        )
+    );
+    if (channels.length > 0)
+        parts.push(
+            htmlTable(
+                [
+                    ['Period', (row) => row.period],
+                    ['Channel A', (row) => row.A.count],
+                    ['Channel B', (row) => row.B.count],
+                    ['A Share', (row) => `${fixed(row.A.share, 1)}%`],
+                    ['A Mean (dB)', (row) => dB(row.A.mean)],
+                    ['B Mean (dB)', (row) => dB(row.B.mean)],
+                ],
+                channels
+            )
+        );
+    if (ppm.length > 0) {
+        parts.push(
+            htmlTable(
+                [
+                    ['Day', (row) => row.day],
+                    ['Count', (row) => row.count],
+                    ['Mean PPM', (row) => fixed(row.mean)],
+                    ['Min PPM', (row) => fixed(row.min)],
+                    ['Max PPM', (row) => fixed(row.max)],
+                    ['Change', (row) => fixed(row.change)],
+                ],
+                ppm
+            )
+        );
+        if (ppmDrift !== undefined) parts.push(`<p>PPM drift ${fixed(ppmDrift, 3)} ppm/day</p>`);
+    }
+    return parts.join('\n');
+}
+
+function htmlQuality({ checked, dropped, flags }) {
+    const rows = Object.entries(flags).map(([flag, { count, mmsis }]) => ({
+        flag,
+        count,
+        mmsis: Object.keys(mmsis).length,
+        top: Object.entries(mmsis)
+            .sort((a, b) => b[1].count - a[1].count)
+            .slice(0, 3)
+            .map(([mmsi, entry]) => `${mmsi} (${entry.count}: ${entry.examples[0]})`)
+            .join(', '),
+    }));
+    return `<h2>Data quality</h2><p>${checked} messages checked${dropped > 0 ? `, ${dropped} flagged messages dropped from the statistics` : ''}</p>${htmlTable(
+        [
+            ['Flag', (row) => row.flag],
+            ['Messages', (row) => row.count],
+            ['MMSIs', (row) => row.mmsis],
+            ['Most flagged', (row) => row.top],
+        ],
+        rows
+    )}`;
+}
+
+function htmlReport(report) {
+    const { options } = report;
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>AIS report ${escapeHtml(report.generated)}</title>
+<style>
+body { font-family: sans-serif; margin: 16px; color: #222; }
+table { border-collapse: collapse; margin: 8px 0 16px; font-size: 13px; }
+th, td { border: 1px solid #ccc; padding: 2px 8px; text-align: right; }
+th { background: #eee; }
+.charts { display: flex; flex-wrap: wrap; gap: 16px; align-items: flex-start; }
+svg { font-size: 10px; }
+svg .title { font-size: 12px; font-weight: bold; }
+svg rect, svg .wedge { fill: #3b7dd8; fill-opacity: 0.8; }
+svg .axis, svg .grid { stroke: #999; fill: none; }
+svg .beam { fill: #f0a030; fill-opacity: 0.25; }
+svg .mean { stroke: #d03030; stroke-width: 2; fill: none; }
+svg .point { fill: #3b7dd8; }
+</style>
+</head>
+<body>
+<h1>AIS report</h1>
+<p>Generated ${escapeHtml(report.generated)} (schema ${report.schema}): ${escapeHtml(options.bucket)} periods in ${escapeHtml(options.timezone)}${options.from || options.to ? `, from ${escapeHtml(options.from || 'start')} to ${escapeHtml(options.to || 'end')}` : ''}${options.minDistance > 0 ? `, beyond ${options.minDistance} nm` : ''}${options.maxDistance > 0 ? `, within ${options.maxDistance} nm` : ''}</p>
+${report.stations.map((entry) => htmlStation(entry)).join('\n')}
+${report.quality ? htmlQuality(report.quality) : ''}
+</body>
+</html>
+`;
+}
+
+function writeFile(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+// returns the files written; csv writes one file per table beside the given name
+function writeReport(report, format, out) {
+    if (format === 'json') return [writeFile(out || 'ais-report.json', JSON.stringify(report, undefined, 2))];
+    if (format === 'html') return [writeFile(out || 'ais-report.html', htmlReport(report))];
+    if (format === 'csv') {
+        const base = (out || 'ais-report.csv').replace(/\.csv$/i, '');
+        return Object.entries(csvTables(report)).map(([name, content]) => writeFile(`${base}.${name}.csv`, content));
+    }
+    throw new Error(`unknown report format ${format}`);
+}
+
+module.exports = {
+    REPORT_SCHEMA,
+    REPORT_FORMATS,
+    buildReport,
+    writeReport,
+};
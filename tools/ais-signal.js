@@ -0,0 +1,170 @@
+// Receiver performance from AIS-catcher metadata: signal power against distance with a fitted path-loss curve,
+// median signal per bearing sector, channel A/B balance per period and PPM (frequency offset) drift per day
+//
+// Signal power is in dB as reported (dBFS for most devices) and 1024 marks a value the device did not provide. The
+// path-loss fit is a least squares line of power against log10(distance): power = A - 10 n log10(distance / 1 nm),
+// where A is the power at 1 nm and n the path-loss exponent (2 in free space, higher over a horizon or through clutter).
+// Medians come from 0.1 dB histograms.
+
+const { createHistogram } = require('./ais-stats.js');
+const { getCompassDirection } = require('./ais-geo.js');
+
+const NOT_AVAILABLE = 1024;
+const POWER_RESOLUTION = 0.1; // dB
+const POWER_CEILING = 50; // dB, histograms count upwards from zero so they hold the power below this
+const MIN_FIT_DISTANCE = 0.1; // nm, log10 of anything closer dominates the fit
+const DISTANCE_BANDS = [0, 1, 2, 5, 10, 15, 20, 25, 30, 40, 50, 75, 100, 150, 200];
+
+const available = (value) => typeof value === 'number' && Number.isFinite(value) && value !== NOT_AVAILABLE;
+
+function createPowerHistogram() {
+    const histogram = createHistogram(POWER_RESOLUTION);
+    return {
+        add: (power) => histogram.add(POWER_CEILING - power),
+        percentile: (p) => POWER_CEILING - histogram.percentile(100 - p),
+        count: () => histogram.count,
+        state: () => histogram.state(),
+        merge: (state) => histogram.merge(state),
+    };
+}
+
+function powerSummary(power) {
+    return { count: power.count(), median: power.percentile(50), p10: power.percentile(10), p90: power.percentile(90) };
+}
+
+function createSignalStats(sectorSize = 15) {
+    const fit = { n: 0, sx: 0, sy: 0, sxx: 0, sxy: 0, syy: 0 };
+    const byDistance = new Map(), // whole nm -> power histogram
+        sectors = Array.from({ length: 360 / sectorSize }, () => createPowerHistogram()),
+        channels = {}, // period -> channel -> { count, sum }
+        ppm = {}; // day -> { count, sum, min, max }
+    let ignored = 0;
+
+    return {
+        sectorSize,
+        // period is the statistics bucket, day the calendar day for the PPM series
+        add({ signalpower, ppm: offset, channel }, distance, bearing, period, day) {
+            if (available(signalpower)) {
+                const bin = Math.floor(distance);
+                if (!byDistance.has(bin)) byDistance.set(bin, createPowerHistogram());
+                byDistance.get(bin).add(signalpower);
+                sectors[Math.floor((((bearing % 360) + 360) % 360) / sectorSize)].add(signalpower);
+                if (distance >= MIN_FIT_DISTANCE) {
+                    const x = Math.log10(distance);
+                    fit.n++;
+                    fit.sx += x;
+                    fit.sy += signalpower;
+                    fit.sxx += x * x;
+                    fit.sxy += x * signalpower;
+                    fit.syy += signalpower * signalpower;
+                }
+            } else ignored++;
+            if (channel !== undefined) {
+                const perChannel = channels[period] || (channels[period] = {});
+                const entry = perChannel[channel] || (perChannel[channel] = { count: 0, sum: 0, powered: 0 });
+                entry.count++;
+                if (available(signalpower)) {
+                    entry.sum += signalpower;
+                    entry.powered++;
+                }
+            }
+            if (available(offset)) {
+                const entry = ppm[day] || (ppm[day] = { count: 0, sum: 0, min: Infinity, max: -Infinity });
+                entry.count++;
+                entry.sum += offset;
+                entry.min = Math.min(entry.min, offset);
+                entry.max = Math.max(entry.max, offset);
+            }
+        },
+        state: () => ({ fit, byDistance: [...byDistance].map(([bin, power]) => [bin, power.state()]), sectors: sectors.map((power) => power.state()), channels, ppm, ignored }),
+        merge(state) {
+            for (const key of Object.keys(fit)) fit[key] += state.fit[key];
+            for (const [bin, power] of state.byDistance) {
+                if (!byDistance.has(bin)) byDistance.set(bin, createPowerHistogram());
+                byDistance.get(bin).merge(power);
+            }
+            state.sectors.forEach((power, index) => sectors[index].merge(power));
+            for (const [period, perChannel] of Object.entries(state.channels))
+                for (const [channel, other] of Object.entries(perChannel)) {
+                    const perPeriod = channels[period] || (channels[period] = {});
+                    const entry = perPeriod[channel] || (perPeriod[channel] = { count: 0, sum: 0, powered: 0 });
+                    entry.count += other.count;
+                    entry.sum += other.sum;
+                    entry.powered += other.powered;
+                }
+            for (const [day, other] of Object.entries(state.ppm)) {
+                const entry = ppm[day] || (ppm[day] = { count: 0, sum: 0, min: Infinity, max: -Infinity });
+                entry.count += other.count;
+                entry.sum += other.sum;
+                entry.min = Math.min(entry.min, other.min);
+                entry.max = Math.max(entry.max, other.max);
+            }
+            ignored += state.ignored;
+        },
+        // banded distances are merged from the whole nm bins
+        summary() {
+            const pathLoss = fitPathLoss(fit);
+            const bands = [];
+            for (let index = 0; index < DISTANCE_BANDS.length; index++) {
+                const from = DISTANCE_BANDS[index],
+                    to = DISTANCE_BANDS[index + 1], // open ended past the last
+                    power = createPowerHistogram();
+                for (const [bin, histogram] of byDistance) if (bin >= from && (to === undefined || bin < to)) power.merge(histogram.state());
+                const middle = Math.max(to === undefined ? from * 1.25 : (from + to) / 2, MIN_FIT_DISTANCE);
+                if (power.count() > 0) bands.push({ from, to, ...powerSummary(power), fitted: pathLoss ? predictPower(pathLoss, middle) : undefined });
+            }
+            const points = [...byDistance].sort((a, b) => a[0] - b[0]).map(([bin, power]) => ({ distance: bin + 0.5, ...powerSummary(power) }));
+            const sectorRows = sectors.map((power, index) => ({ start: index * sectorSize, end: (index + 1) * sectorSize, direction: getCompassDirection((index + 0.5) * sectorSize), ...powerSummary(power) })).filter((row) => row.count > 0);
+            const channelRows = Object.keys(channels)
+                .sort()
+                .map((period) => {
+                    const perChannel = channels[period],
+                        total = Object.values(perChannel).reduce((sum, entry) => sum + entry.count, 0);
+                    const channelSummary = (name) =>
+                        perChannel[name]
+                            ? { count: perChannel[name].count, share: (perChannel[name].count / total) * 100, mean: perChannel[name].powered > 0 ? perChannel[name].sum / perChannel[name].powered : undefined }
+                            : { count: 0, share: 0 };
+                    return { period, total, A: channelSummary('A'), B: channelSummary('B') };
+                });
+            const ppmRows = Object.keys(ppm)
+                .sort()
+                .map((day, index, days) => {
+                    const { count, sum, min, max } = ppm[day],
+                        mean = sum / count,
+                        previous = index > 0 ? ppm[days[index - 1]].sum / ppm[days[index - 1]].count : undefined;
+                    return { day, count, mean, min, max, change: previous === undefined ? undefined : mean - previous };
+                });
+            return { pathLoss, bands, points, sectors: sectorRows, channels: channelRows, ppm: ppmRows, ppmDrift: ppmTrend(ppmRows), ignored };
+        },
+    };
+}
+
+function fitPathLoss({ n, sx, sy, sxx, sxy, syy }) {
+    const denominator = n * sxx - sx * sx;
+    if (n < 3 || denominator <= 0) return undefined;
+    const slope = (n * sxy - sx * sy) / denominator,
+        intercept = (sy - slope * sx) / n;
+    const total = n * syy - sy * sy;
+    return { reference: intercept, exponent: -slope / 10, r2: total > 0 ? ((n * sxy - sx * sy) * (n * sxy - sx * sy)) / (denominator * total) : 0, count: n };
+}
+
+const predictPower = ({ reference, exponent }, distance) => reference - 10 * exponent * Math.log10(distance);
+
+// least squares slope of the daily means, ppm per day
+function ppmTrend(rows) {
+    if (rows.length < 2) return undefined;
+    const xs = rows.map((row) => Date.parse(`${row.day.slice(0, 10)}T00:00:00Z`) / 86400000),
+        ys = rows.map((row) => row.mean);
+    if (xs.some((x) => !Number.isFinite(x))) return undefined;
+    const n = rows.length,
+        mx = xs.reduce((a, b) => a + b, 0) / n,
+        my = ys.reduce((a, b) => a + b, 0) / n;
+    const sxx = xs.reduce((sum, x) => sum + (x - mx) * (x - mx), 0);
+    return sxx > 0 ? xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0) / sxx : undefined;
+}
+
+module.exports = {
+    NOT_AVAILABLE,
+    createSignalStats,
+    predictPower,
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_CONFIG = path.join(__dirname, 'ais-stations.json');
+const DEFAULT_STATION = {
+    name: 'default',
+    lat: 51.50092998192453,
+    lon: -0.20671121337722095,
+    height: 10, // m
+    maxDistance: 100, // nm
+};
+
+function radioHorizon(height, targetHeight = 10) {
+    // nm, standard atmosphere (4/3 earth radius), both antennas above sea level in metres
+    return 2.23 * (Math.sqrt(Math.max(height || 0, 0)) + Math.sqrt(Math.max(targetHeight || 0, 0)));
+}
+
+function normaliseStation(station, index = 0) {
+    const name = station.name || `station${index + 1}`;
+    const lat = Number(station.lat),
+        lon = Number(station.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) throw new Error(`station '${name}': invalid position lat=${station.lat}, lon=${station.lon}`);
+    const height = station.height === undefined ? DEFAULT_STATION.height : Number(station.height),
+        maxDistance = station.maxDistance === undefined ? DEFAULT_STATION.maxDistance : Number(station.maxDistance);
+    if (!Number.isFinite(height) || height < 0) throw new Error(`station '${name}': invalid height ${station.height}`);
+    if (!Number.isFinite(maxDistance) || maxDistance <= 0) throw new Error(`station '${name}': invalid maxDistance ${station.maxDistance}`);
+    const toList = (value, fallback) => (value === undefined ? fallback : Array.isArray(value) ? value : [value]).map(String);
+    return {
+        name,
+        lat,
+        lon,
+        height,
+        maxDistance,
+        horizon: radioHorizon(height),
+        directories: toList(station.directories, [name]),
+        devices: toList(station.devices, []),
+        hosts: toList(station.hosts, []),
+        default: Boolean(station.default),
+    };
+}
+
+function loadStations(configPath) {
+    const file = configPath || DEFAULT_CONFIG;
+    if (!fs.existsSync(file)) {
+        if (configPath) throw new Error(`station config ${configPath} not found`);
+        return [normaliseStation(DEFAULT_STATION)];
+    }
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const list = Array.isArray(config) ? config : config.stations;
+    if (!Array.isArray(list) || list.length === 0) throw new Error(`station config ${file}: no stations defined`);
+    const stations = list.map((station, index) => normaliseStation(station, index));
+    const names = new Set();
+    for (const station of stations) {
+        if (names.has(station.name)) throw new Error(`station config ${file}: duplicate station '${station.name}'`);
+        names.add(station.name);
+    }
+    return stations;
+}
+
+function selectStations(stations, { station, lat, lon, height, maxDistance } = {}) {
+    if (lat !== undefined || lon !== undefined) {
+        if (lat === undefined || lon === undefined) throw new Error('both --lat and --lon are required for an explicit station');
+        return [normaliseStation({ ...DEFAULT_STATION, name: station || 'custom', lat, lon, height, maxDistance, directories: [] })];
+    }
+    let selected = stations;
+    if (station) {
+        const names = new Set(station.split(','));
+        selected = stations.filter((s) => names.has(s.name));
+        const missing = [...names].filter((name) => !selected.some((s) => s.name === name));
+        if (missing.length > 0) throw new Error(`unknown station(s): ${missing.join(', ')} (configured: ${stations.map((s) => s.name).join(', ')})`);
+    }
+    return selected.map((s) => ({ ...s, height: height ?? s.height, maxDistance: maxDistance ?? s.maxDistance, horizon: radioHorizon(height ?? s.height) }));
+}
+
+// attribution order: directory of the source file, then the device field, then the host that collected it
+function createStationResolver(stations, rootPath) {
+    const fallback = stations.find((s) => s.default) || stations[0];
+    const localHost = os.hostname();
+    const directoryCache = new Map();
+
+    function byDirectory(filePath) {
+        if (!filePath) return undefined;
+        if (directoryCache.has(filePath)) return directoryCache.get(filePath);
+        const segments = path
+            .relative(rootPath || path.dirname(filePath), filePath)
+            .split(path.sep)
+            .slice(0, -1);
+        const station = stations.find((s) => s.directories.some((dir) => segments.includes(dir)));
+        directoryCache.set(filePath, station);
+        return station;
+    }
+    function byDevice(payload) {
+        if (!payload) return undefined;
+        const ids = [payload.station, payload.device, payload.hardware].filter((id) => id !== undefined && id !== '').map(String);
+        return ids.length > 0 ? stations.find((s) => s.devices.some((device) => ids.includes(device))) : undefined;
+    }
+    function byHost(envelope) {
+        const host = (envelope && (envelope.host || envelope.hostname)) || localHost;
+        return stations.find((s) => s.hosts.includes(host));
+    }
+
+    return function resolveStation({ filePath, payload, envelope } = {}) {
+        if (stations.length === 1) return stations[0];
+        return byDirectory(filePath) || byDevice(payload) || byHost(envelope) || fallback;
+    };
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    DEFAULT_STATION,
+    radioHorizon,
+    loadStations,
+    selectStations,
+    createStationResolver,
+};
@@ -0,0 +1,310 @@
+// Distance distribution and beam width statistics over the positions attributed to a station
+//
+// Archives are aggregated with streaming accumulators so memory is fixed by their resolution rather than the number of
+// messages, the live windows keep them per minute. Compared with sorting every value (calculateDistribution/calculateBeamWidth):
+//   - distances are binned at 0.01 nm: distribution counts can move between neighbouring tenths for values within 0.01 nm
+//     of a boundary, and coverage percentiles are within 0.01 nm; min and max are exact
+//   - bearings are binned at 0.1°: beam edges, widths and centres are within 0.1°; the mean bearing and concentration are exact
+//   - the top 5% furthest signals are exact while 5% of the positions fit the heap (10,000 by default), beyond that they
+//     are the furthest 10,000 and the reported count says so
+//   - map points are a uniform random sample (20,000 per station by default)
+
+const DISTANCE_RESOLUTION = 0.01, // nm
+    BEARING_BINS = 3600, // 0.1°
+    TOP_CAPACITY = 10000,
+    MAP_POINTS = 20000;
+
+// k-th smallest (0-based) of values sorted after rotating by offset degrees, both ranks in one call
+function percentileRange(percentile, totalCount, rankedPair) {
+    const startIdx = Math.floor(((1 - percentile) / 2) * totalCount),
+        endIdx = Math.ceil(((1 + percentile) / 2) * totalCount) - 1;
+    let [minBearing, maxBearing] = rankedPair(0, startIdx, endIdx);
+    if (maxBearing - minBearing > 180) {
+        let bestRange = maxBearing - minBearing,
+            bestMin = minBearing,
+            bestMax = maxBearing;
+        for (let offset = 0; offset < 360; offset += 10) {
+            const [adjMin, adjMax] = rankedPair(offset, startIdx, endIdx),
+                range = adjMax - adjMin;
+            if (range < bestRange) {
+                bestRange = range;
+                bestMin = (adjMin - offset + 360) % 360;
+                bestMax = (adjMax - offset + 360) % 360;
+            }
+        }
+        minBearing = bestMin;
+        maxBearing = bestMax;
+    }
+    const beamWidth = maxBearing > minBearing ? maxBearing - minBearing : 360 - minBearing + maxBearing;
+    const centerBearing = maxBearing > minBearing ? (minBearing + maxBearing) / 2 : ((minBearing + maxBearing + 360) / 2) % 360;
+    return { minBearing, maxBearing, beamWidth, centerBearing, percentile };
+}
+
+// furthest signals, sorted by distance descending
+function furthestSummary(furthest) {
+    const bearings = furthest.map((item) => item.bearing);
+    const minBearing = bearings.reduce((min, b) => Math.min(min, b), Infinity),
+        maxBearing = bearings.reduce((max, b) => Math.max(max, b), -Infinity);
+    return {
+        count: furthest.length,
+        minBearing,
+        maxBearing,
+        spread: maxBearing - minBearing,
+        bearings: bearings.sort((a, b) => a - b),
+        avgDistance: furthest.reduce((sum, item) => sum + item.distance, 0) / furthest.length,
+    };
+}
+
+function beamWidthResult(totalCount, sumX, sumY, rankedPair, furthest) {
+    const meanX = sumX / totalCount,
+        meanY = sumY / totalCount,
+        meanBearing = ((Math.atan2(meanY, meanX) * 180) / Math.PI + 360) % 360;
+    return {
+        totalCount,
+        meanBearing,
+        concentration: Math.sqrt(meanX * meanX + meanY * meanY), // 0 to 1, higher = more concentrated
+        percentile68: percentileRange(0.68, totalCount, rankedPair), // ±1 std dev
+        percentile95: percentileRange(0.95, totalCount, rankedPair), // ±2 std dev
+        percentile99: percentileRange(0.99, totalCount, rankedPair), // ±3 std dev
+        maxDistance: furthestSummary(furthest),
+    };
+}
+
+function calculateDistribution(distances) {
+    if (distances.length === 0) return undefined;
+    const sorted = distances.sort((a, b) => a - b),
+        min = sorted[0],
+        max = sorted[sorted.length - 1],
+        range = max - min;
+    const binSize = range / 10,
+        bins = Array(10).fill(0),
+        binRanges = [];
+    for (let i = 0; i < 10; i++) binRanges.push({ min: min + i * binSize, max: min + (i + 1) * binSize });
+    distances.forEach((dist) => bins[Math.min(Math.floor((dist - min) / binSize), 9)]++);
+    return { bins, binRanges, min, max, count: distances.length };
+}
+
+function calculateBeamWidth(bearings, distances) {
+    if (bearings.length === 0) return undefined;
+    const sortedBearings = [...bearings].sort((a, b) => a - b);
+    const rankedPair = (offset, startIdx, endIdx) => {
+        if (offset === 0) return [sortedBearings[startIdx], sortedBearings[endIdx]];
+        const adjusted = sortedBearings.map((b) => (b + offset) % 360).sort((a, b) => a - b);
+        return [adjusted[startIdx], adjusted[endIdx]];
+    };
+    const top5PercentCount = Math.max(1, Math.floor(bearings.length * 0.05)),
+        furthest = bearings
+            .map((b, i) => ({ bearing: b, distance: distances[i] }))
+            .sort((a, b) => b.distance - a.distance)
+            .slice(0, top5PercentCount);
+    return beamWidthResult(
+        bearings.length,
+        bearings.reduce((sum, b) => sum + Math.cos((b * Math.PI) / 180), 0),
+        bearings.reduce((sum, b) => sum + Math.sin((b * Math.PI) / 180), 0),
+        rankedPair,
+        furthest
+    );
+}
+
+// counts in fixed width bins from zero, with the exact extremes kept alongside
+function createHistogram(resolution = DISTANCE_RESOLUTION) {
+    const counts = [];
+    const histogram = {
+        resolution,
+        count: 0,
+        min: Infinity,
+        max: -Infinity,
+        add(value) {
+            const bin = Math.max(0, Math.floor(value / resolution));
+            counts[bin] = (counts[bin] || 0) + 1;
+            histogram.count++;
+            if (value < histogram.min) histogram.min = value;
+            if (value > histogram.max) histogram.max = value;
+        },
+        // value of the k-th smallest (0-based): its bin's midpoint, held within the exact extremes
+        valueAt(rank) {
+            if (rank <= 0) return histogram.min;
+            if (rank >= histogram.count - 1) return histogram.max;
+            let seen = 0;
+            for (let bin = 0; bin < counts.length; bin++) {
+                seen += counts[bin] || 0;
+                if (seen > rank) return Math.min(Math.max((bin + 0.5) * resolution, histogram.min), histogram.max);
+            }
+            return histogram.max;
+        },
+        // interpolated like a percentile over the sorted values
+        percentile(p) {
+            if (histogram.count === 0) return 0;
+            const index = (p / 100) * (histogram.count - 1),
+                lower = histogram.valueAt(Math.floor(index)),
+                upper = histogram.valueAt(Math.ceil(index));
+            return lower + (upper - lower) * (index - Math.floor(index));
+        },
+        forEach(callback) {
+            counts.forEach((count, bin) => count && callback(Math.min(Math.max((bin + 0.5) * resolution, histogram.min), histogram.max), count));
+        },
+        // plain data for passing between worker threads, merged into a histogram of the same resolution
+        state: () => ({ counts, count: histogram.count, min: histogram.min, max: histogram.max }),
+        merge(state) {
+            state.counts.forEach((count, bin) => (counts[bin] = (counts[bin] || 0) + count));
+            histogram.count += state.count;
+            histogram.min = Math.min(histogram.min, state.min);
+            histogram.max = Math.max(histogram.max, state.max);
+        },
+    };
+    return histogram;
+}
+
+// keeps the largest `capacity` items by key
+function createTopHeap(capacity, key) {
+    const heap = [];
+    const less = (a, b) => key(heap[a]) < key(heap[b]);
+    const swap = (a, b) => ([heap[a], heap[b]] = [heap[b], heap[a]]);
+    function down(i) {
+        for (;;) {
+            const left = 2 * i + 1,
+                right = left + 1;
+            let smallest = i;
+            if (left < heap.length && less(left, smallest)) smallest = left;
+            if (right < heap.length && less(right, smallest)) smallest = right;
+            if (smallest === i) return;
+            swap(i, smallest);
+            i = smallest;
+        }
+    }
+    const topHeap = {
+        capacity,
+        push(item) {
+            if (heap.length < capacity) {
+                heap.push(item);
+                for (let i = heap.length - 1; i > 0 && less(i, (i - 1) >> 1); i = (i - 1) >> 1) swap(i, (i - 1) >> 1);
+            } else if (capacity > 0 && key(item) > key(heap[0])) {
+                heap[0] = item;
+                down(0);
+            }
+        },
+        size: () => heap.length,
+        sorted: () => [...heap].sort((a, b) => key(b) - key(a)),
+        state: () => heap,
+        merge: (items) => items.forEach((item) => topHeap.push(item)),
+    };
+    return topHeap;
+}
+
+// uniform random sample of a stream (algorithm R)
+function createReservoir(capacity = MAP_POINTS) {
+    let items = [],
+        seen = 0;
+    return {
+        add(item) {
+            seen++;
+            if (items.length < capacity) items.push(item);
+            else {
+                const index = Math.floor(Math.random() * seen);
+                if (index < capacity) items[index] = item;
+            }
+        },
+        seen: () => seen,
+        values: () => items,
+        state: () => ({ items, seen }),
+        // a sample of the union: each slot is filled from either side in proportion to what that side has seen
+        merge(state) {
+            const ours = [...items],
+                theirs = [...state.items];
+            let oursWeight = seen,
+                theirsWeight = state.seen;
+            const merged = [];
+            const take = (from) => from.splice(Math.floor(Math.random() * from.length), 1)[0];
+            while (merged.length < capacity && (ours.length > 0 || theirs.length > 0)) {
+                const fromOurs = theirs.length === 0 || (ours.length > 0 && Math.random() * (oursWeight + theirsWeight) < oursWeight);
+                merged.push(take(fromOurs ? ours : theirs));
+                if (fromOurs) oursWeight -= seen / Math.max(1, items.length);
+                else theirsWeight -= state.seen / Math.max(1, state.items.length);
+            }
+            items = merged;
+            seen += state.seen;
+        },
+    };
+}
+
+// distance distribution and beam width over a stream of (distance, bearing) positions
+function createPositionStats({ topCapacity = TOP_CAPACITY } = {}) {
+    const distances = createHistogram(DISTANCE_RESOLUTION),
+        bearingBins = new Uint32Array(BEARING_BINS),
+        furthest = createTopHeap(topCapacity, (item) => item.distance);
+    let sumX = 0,
+        sumY = 0;
+
+    // ranks over bins after rotating every bearing by offset degrees, the rotated value of bin i is bin (i + shift) mod 3600
+    function rankedPair(offset, startIdx, endIdx) {
+        const shift = Math.round((offset * BEARING_BINS) / 360),
+            first = (BEARING_BINS - shift) % BEARING_BINS;
+        const result = [];
+        let seen = 0;
+        for (let step = 0; step < BEARING_BINS && result.length < 2; step++) {
+            const bin = (first + step) % BEARING_BINS;
+            seen += bearingBins[bin];
+            const value = (((bin + shift) % BEARING_BINS) + 0.5) * (360 / BEARING_BINS);
+            if (result.length === 0 && seen > startIdx) result.push(value);
+            if (result.length === 1 && seen > endIdx) result.push(value);
+        }
+        return result;
+    }
+
+    return {
+        distances,
+        count: () => distances.count,
+        add(distance, bearing) {
+            distances.add(distance);
+            bearingBins[Math.floor((((bearing % 360) + 360) % 360) * (BEARING_BINS / 360)) % BEARING_BINS]++;
+            sumX += Math.cos((bearing * Math.PI) / 180);
+            sumY += Math.sin((bearing * Math.PI) / 180);
+            furthest.push({ distance, bearing });
+        },
+        distribution() {
+            if (distances.count === 0) return undefined;
+            const { min, max } = distances,
+                binSize = (max - min) / 10,
+                bins = Array(10).fill(0),
+                binRanges = [];
+            for (let i = 0; i < 10; i++) binRanges.push({ min: min + i * binSize, max: min + (i + 1) * binSize });
+            distances.forEach((value, count) => (bins[binSize > 0 ? Math.min(Math.floor((value - min) / binSize), 9) : 9] += count));
+            return { bins, binRanges, min, max, count: distances.count };
+        },
+        // counts per sector of the given size, keyed by the sector's start bearing
+        bearingCounts(sectorSize = 15) {
+            const counts = {};
+            bearingBins.forEach((count, bin) => {
+                if (count === 0) return;
+                const sector = Math.floor(bin / ((sectorSize * BEARING_BINS) / 360)) * sectorSize;
+                counts[sector] = (counts[sector] || 0) + count;
+            });
+            return counts;
+        },
+        beamWidth() {
+            const totalCount = distances.count;
+            if (totalCount === 0) return undefined;
+            const top5PercentCount = Math.max(1, Math.floor(totalCount * 0.05));
+            return beamWidthResult(totalCount, sumX, sumY, rankedPair, furthest.sorted().slice(0, top5PercentCount));
+        },
+        state: () => ({ distances: distances.state(), bearingBins, sumX, sumY, furthest: furthest.state() }),
+        merge(state) {
+            distances.merge(state.distances);
+            state.bearingBins.forEach((count, bin) => (bearingBins[bin] += count));
+            sumX += state.sumX;
+            sumY += state.sumY;
+            furthest.merge(state.furthest);
+        },
+    };
+}
+
+module.exports = {
+    DISTANCE_RESOLUTION,
+    MAP_POINTS,
+    calculateDistribution,
+    calculateBeamWidth,
+    createHistogram,
+    createTopHeap,
+    createReservoir,
+    createPositionStats,
+};
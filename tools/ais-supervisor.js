@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+// Supervisor: watches the receiver's MQTT feed and AIS-catcher's -v report output for the health checks of
+// ais-health.js, publishing the status (retained) on ais/status and serving it on /health, and restarts the device
+// service with a configured command once the feed has stalled for long enough
+//
+// Restarts back off, doubling the interval after each one that does not bring the feed back, up to RESTART_BACKOFF
+// times; a feed that stalls at an hour it is usually quiet is not a stall, once that hour's baseline is learned.
+// While the broker is unreachable the status is disconnected and nothing is restarted, the receiver may be fine.
+
+const fs = require('fs');
+const http = require('http');
+const readline = require('readline');
+const { spawn, exec } = require('child_process');
+const { resolveOptions, formatHelp } = require('./ais-options.js');
+const { createMqttClient, parseMqttUrl } = require('./ais-mqtt.js');
+const { validateTimezone } = require('./ais-time.js');
+const { HEALTH_DEFAULTS, createHealth } = require('./ais-health.js');
+
+const DEFAULT_MQTT = 'mqtt://localhost:1883/ais/data';
+const CHECK_INTERVAL = 10000; // ms, status checks
+const TAIL_INTERVAL = 2000; // ms, --report file polling
+const RESTART_TIMEOUT = 120000; // ms
+const RESTART_BACKOFF = 8;
+
+const USAGE = ['node ais-supervisor.js [--mqtt[=mqtt://host[:port][/topic]]] [options]', 'journalctl -f -o cat -u ais-device | node ais-supervisor.js --report=- [options]'];
+
+// in --help order, see ais-options.js for the fields
+const OPTIONS = [
+    { name: 'help', type: 'boolean', description: 'Show this help (also -h)' },
+    { name: 'mqtt', type: 'string', value: 'URL', default: DEFAULT_MQTT, description: "The receiver's MQTT feed" },
+    { name: 'report', type: 'string', value: 'file|-', description: "Read AIS-catcher's -v output from this file (followed as it grows) or stdin" },
+    { name: 'journal', type: 'string', value: 'unit', description: "Read AIS-catcher's -v output from the systemd journal of this unit (e.g. ais-device)" },
+    { name: 'status-topic', type: 'string', value: 'topic', default: 'ais/status', description: 'Topic the status is published on, retained' },
+    { name: 'no-publish', type: 'boolean', description: 'Do not publish the status to MQTT' },
+    { name: 'interval', type: 'integer', value: 'seconds', min: 10, default: 60, description: 'Publish the status this often, and whenever it changes' },
+    { name: 'http', type: 'integer', value: 'port', min: 1, max: 65535, optional: 9002, description: 'Serve the status on http://localhost:port/health, 503 when stalled (default port: 9002)' },
+    { name: 'stall-after', type: 'number', value: 'min', above: 0, default: HEALTH_DEFAULTS.stallAfter, description: 'Stalled after this long without a message (unless the hour is usually quiet)' },
+    { name: 'channel-after', type: 'number', value: 'min', above: 0, default: HEALTH_DEFAULTS.channelAfter, description: 'Degraded when one channel is silent this long while the others are heard' },
+    { name: 'low-ratio', type: 'number', value: 'ratio', above: 0, max: 1, default: HEALTH_DEFAULTS.lowRatio, description: "Degraded when the last hour's rate is below this share of the learned baseline" },
+    { name: 'state', type: 'string', value: 'file', description: 'Keep the learned hourly baseline in this JSON file across runs' },
+    { name: 'restart-command', type: 'string', value: 'command', description: 'Run this to restart the receiver when stalled (e.g. "systemctl restart ais-device")' },
+    { name: 'restart-after', type: 'number', value: 'min', above: 0, default: 5, description: 'Restart after the feed has been stalled this long' },
+    { name: 'restart-interval', type: 'number', value: 'min', above: 0, default: 30, description: `Minimum time between restarts, doubled after each that does not help (up to ${RESTART_BACKOFF}x)` },
+    { name: 'timezone', value: 'ZONE', parse: validateTimezone, default: 'local', description: 'Timezone of the hourly baseline: local, utc, +01:00 or Europe/London' },
+];
+
+const EXAMPLES = [
+    './ais-supervisor.js --journal=ais-device --http --state=/var/lib/ais/health.json',
+    './ais-supervisor.js --journal=ais-device --restart-command="systemctl restart ais-device" --restart-after=10',
+    'curl -s localhost:9002/health',
+    'mosquitto_sub -t ais/status',
+];
+
+function loadState(file) {
+    if (!file || !fs.existsSync(file)) return undefined;
+    try {
+        const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return Array.isArray(state.baseline) && state.baseline.length === 24 ? state.baseline : undefined;
+    } catch (e) {
+        console.error(`Warning: --state ${file}: ${e.message}, learning the baseline afresh`);
+        return undefined;
+    }
+}
+
+// lines appended to a file, from its end when started and from the start again when it is truncated or replaced
+function followFile(file, onLine) {
+    let position = fs.existsSync(file) ? fs.statSync(file).size : 0,
+        inode,
+        partial = '';
+    const poll = () => {
+        let stat;
+        try {
+            stat = fs.statSync(file);
+        } catch {
+            return;
+        }
+        if (stat.ino !== inode || stat.size < position) {
+            if (inode !== undefined) position = 0;
+            inode = stat.ino;
+        }
+        if (stat.size <= position) return;
+        const buffer = Buffer.alloc(stat.size - position);
+        const fd = fs.openSync(file, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, position);
+        } finally {
+            fs.closeSync(fd);
+        }
+        position = stat.size;
+        const lines = (partial + buffer.toString('utf8')).split('\n');
+        partial = lines.pop();
+        for (const line of lines) onLine(line);
+    };
+    poll();
+    return setInterval(poll, TAIL_INTERVAL);
+}
+
+function createRestarter({ command, after, interval }) {
+    let stalledSince,
+        lastRestart,
+        backoff = 1,
+        running = false;
+    const state = { count: 0, last: undefined, result: undefined };
+    return {
+        state,
+        check(status, time) {
+            if (status.status === 'disconnected') return; // nothing to go by until the feed is back
+            if (status.status !== 'stalled') {
+                if (stalledSince !== undefined && lastRestart >= stalledSince) console.error(`Feed back after ${state.count} restart${state.count === 1 ? '' : 's'}`);
+                stalledSince = undefined;
+                backoff = 1;
+                return;
+            }
+            if (stalledSince === undefined) stalledSince = time;
+            if (!command || running || time - stalledSince < after * 60000) return;
+            if (lastRestart !== undefined && time - lastRestart < interval * 60000 * backoff) return;
+            if (lastRestart !== undefined && lastRestart >= stalledSince) backoff = Math.min(backoff * 2, RESTART_BACKOFF);
+            lastRestart = time;
+            running = true;
+            state.count++;
+            state.last = new Date(time).toISOString();
+            console.error(`Restarting: ${command} (${status.problems.join('; ')})`);
+            exec(command, { timeout: RESTART_TIMEOUT }, (err, stdout, stderr) => {
+                running = false;
+                state.result = err ? `failed: ${(stderr || err.message).trim()}` : 'ok';
+                console.error(`Restart ${state.result}`);
+            });
+        },
+    };
+}
+
+async function main() {
+    let options, inputs;
+    try {
+        ({ options, inputs } = resolveOptions(process.argv.slice(2), OPTIONS));
+    } catch (e) {
+        console.error(`Error: ${e.message}\nRun with --help for the list of options`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(formatHelp(OPTIONS, { usage: USAGE, examples: EXAMPLES }));
+        return;
+    }
+    const usageError = (message) => {
+        console.error(`Error: ${message}`);
+        process.exit(2);
+    };
+    if (inputs.length > 0) usageError(`unexpected arguments: ${inputs.join(', ')} (use --report=file for AIS-catcher's output)`);
+    if (options.report && options.journal) usageError('--report and --journal cannot be used together');
+    if (options.report && options.report !== '-' && !fs.existsSync(options.report)) usageError(`--report ${options.report} not found`);
+
+    let input;
+    try {
+        input = parseMqttUrl(options.mqtt, 'ais/data');
+    } catch (e) {
+        usageError(e.message);
+    }
+
+    const health = createHealth({ stallAfter: options.stallAfter, channelAfter: options.channelAfter, lowRatio: options.lowRatio }, { baseline: loadState(options.state), timezone: options.timezone });
+    const restarter = createRestarter({ command: options.restartCommand, after: options.restartAfter, interval: options.restartInterval });
+    const current = () => ({ ...health.status(Date.now()), restarts: restarter.state });
+    const saveState = () => {
+        if (!options.state) return;
+        const { changed, baseline } = health.baseline();
+        if (changed)
+            try {
+                fs.writeFileSync(options.state, JSON.stringify({ saved: new Date().toISOString(), baseline }));
+            } catch (e) {
+                console.error(`Error: --state ${options.state}: ${e.message}`);
+            }
+    };
+
+    const client = createMqttClient(input);
+    health.connection(false, Date.now());
+    client.on('connect', () => {
+        health.connection(true, Date.now());
+        console.error(`MQTT: connected to ${input.host}:${input.port}`);
+    });
+    client.on('close', () => health.connection(false, Date.now()));
+    client.on('reconnect', (delay) => console.error(`MQTT: reconnecting to ${input.host}:${input.port} in ${delay / 1000}s`));
+    client.on('error', (err) => console.error(`MQTT: ${err.message}`));
+    client.on('message', (topic, payload) => {
+        const now = Date.now();
+        for (const line of payload.toString('utf8').split('\n')) {
+            if (!line.trim().startsWith('{')) continue;
+            try {
+                health.record(JSON.parse(line), now);
+            } catch {
+                // not JSON, not a message
+            }
+        }
+    });
+    client.subscribe(input.topic);
+
+    const report = (line) => health.report(line, Date.now());
+    let tail, journal;
+    if (options.report === '-') readline.createInterface({ input: process.stdin, crlfDelay: Infinity }).on('line', report);
+    else if (options.report) tail = followFile(options.report, report);
+    else if (options.journal) {
+        journal = spawn('journalctl', ['-f', '-o', 'cat', '-n', '0', '-u', options.journal], { stdio: ['ignore', 'pipe', 'inherit'] });
+        journal.on('error', (err) => console.error(`Error: journalctl: ${err.message}`));
+        readline.createInterface({ input: journal.stdout, crlfDelay: Infinity }).on('line', report);
+    }
+
+    let server;
+    if (options.http !== undefined) {
+        server = http.createServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname !== '/health') {
+                res.writeHead(404);
+                res.end('Not found');
+                return;
+            }
+            const status = current();
+            res.writeHead(status.status === 'stalled' ? 503 : 200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+            res.end(JSON.stringify(status));
+        });
+        server.on('error', (err) => {
+            console.error(`Error: --http ${options.http}: ${err.message}`);
+            process.exit(1);
+        });
+        server.listen(options.http, () => console.error(`Health at http://localhost:${options.http}/health`));
+    }
+
+    let previous,
+        lastPublish = 0;
+    const check = () => {
+        const status = current();
+        const now = Date.now();
+        restarter.check(status, now);
+        if (status.status !== previous) console.error(`${status.time} ${status.status}${status.problems.length > 0 ? `: ${status.problems.join('; ')}` : ''}`);
+        if (!options.noPublish && (status.status !== previous || now - lastPublish >= options.interval * 1000)) {
+            if (client.publish(options.statusTopic, JSON.stringify(status), { retain: true })) lastPublish = now;
+        }
+        previous = status.status;
+        saveState();
+    };
+    client.once('connect', check);
+    const checker = setInterval(check, CHECK_INTERVAL);
+
+    const stop = () => {
+        clearInterval(checker);
+        if (tail) clearInterval(tail);
+        if (journal) journal.kill();
+        if (server) server.close();
+        saveState();
+        client.end();
+        process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+main().catch((e) => {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+});
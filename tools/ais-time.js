@@ -0,0 +1,211 @@
+// Time handling: explicit timezones for collector timestamps and reporting, --from/--to parsing, bucketing and day/night
+
+const { toRad } = require('./ais-geo.js');
+
+const BUCKETS = ['hour', 'day', 'week', 'month'];
+const DAY = 86400000;
+
+const formatters = new Map();
+function getFormatter(timezone) {
+    let formatter = formatters.get(timezone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        formatters.set(timezone, formatter);
+    }
+    return formatter;
+}
+
+// 'local' (this machine), 'utc', a fixed offset such as '+01:00', or an IANA zone such as 'Europe/London'
+function validateTimezone(timezone) {
+    if (timezone === 'local' || timezone === 'utc' || /^[+-]\d{2}:?\d{2}$/.test(timezone)) return timezone;
+    try {
+        getFormatter(timezone);
+    } catch {
+        throw new Error(`unknown timezone '${timezone}'`);
+    }
+    return timezone;
+}
+
+// minutes east of UTC at the given instant; IANA zones are cached per quarter hour, which every DST rule falls on
+let offsetCache = { timezone: undefined, quarter: undefined, offset: 0 };
+function zoneOffset(ms, timezone) {
+    if (timezone === 'utc') return 0;
+    if (timezone === 'local') return -new Date(ms).getTimezoneOffset();
+    const fixed = timezone.match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (fixed) return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3]));
+    const quarter = Math.floor(ms / 900000);
+    if (offsetCache.timezone === timezone && offsetCache.quarter === quarter) return offsetCache.offset;
+    const parts = Object.fromEntries(
+        getFormatter(timezone)
+            .formatToParts(new Date(quarter * 900000))
+            .map(({ type, value }) => [type, Number(value)])
+    );
+    const offset = Math.round((Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - quarter * 900000) / 60000);
+    offsetCache = { timezone, quarter, offset };
+    return offset;
+}
+
+// wall clock fields in a timezone to an instant, second pass settles the offset either side of a DST change
+function fromWallClock(year, month, day, hour = 0, minute = 0, second = 0, timezone = 'local') {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    let ms = wall - zoneOffset(wall, timezone) * 60000;
+    ms = wall - zoneOffset(ms, timezone) * 60000;
+    return ms;
+}
+
+function toWallClock(ms, timezone = 'local') {
+    const date = new Date(ms + zoneOffset(ms, timezone) * 60000);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds(), weekday: date.getUTCDay() };
+}
+
+// collector 'YYYYMMDDHHMMSS' timestamps
+function parseTimestamp(timestamp, timezone = 'local') {
+    if (typeof timestamp !== 'string' || !/^\d{8}/.test(timestamp)) return Number.NaN;
+    const part = (start, length) => Number.parseInt(timestamp.substring(start, start + length)) || 0;
+    return fromWallClock(part(0, 4), part(4, 2), part(6, 2), part(8, 2), part(10, 2), part(12, 2), timezone);
+}
+
+const pad = (value, width = 2) => value.toString().padStart(width, '0');
+
+function formatTime(ms, timezone = 'local', withSeconds = false) {
+    const t = toWallClock(ms, timezone);
+    return `${t.year}-${pad(t.month)}-${pad(t.day)} ${pad(t.hour)}:${pad(t.minute)}${withSeconds ? `:${pad(t.second)}` : ''}`;
+}
+
+function isoWeek({ year, month, day }) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const weekday = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - weekday);
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    return { year: date.getUTCFullYear(), week: Math.ceil(((date.getTime() - yearStart) / DAY + 1) / 7) };
+}
+
+// sortable bucket labels in the reporting timezone
+function bucketKey(ms, bucket = 'day', timezone = 'local') {
+    const t = toWallClock(ms, timezone);
+    switch (bucket) {
+        case 'hour':
+            return `${t.year}-${pad(t.month)}-${pad(t.day)} ${pad(t.hour)}:00`;
+        case 'week': {
+            const { year, week } = isoWeek(t);
+            return `${year}-W${pad(week)}`;
+        }
+        case 'month':
+            return `${t.year}-${pad(t.month)}`;
+        default:
+            return `${t.year}-${pad(t.month)}-${pad(t.day)}`;
+    }
+}
+
+// ISO dates/times, YYYYMMDD[HHMMSS], 'now', 'today', 'yesterday' or relative to now: -7d, -12h, -30m, -2w
+function parseTimeArg(value, { timezone = 'local', end = false, now = Date.now() } = {}) {
+    const startOfDay = (ms) => {
+        const t = toWallClock(ms, timezone);
+        return fromWallClock(t.year, t.month, t.day, 0, 0, 0, timezone);
+    };
+    if (value === 'now') return now;
+    if (value === 'today') return startOfDay(now) + (end ? DAY : 0);
+    if (value === 'yesterday') return startOfDay(startOfDay(now) - 1) + (end ? DAY : 0);
+    const relative = value.match(/^-(\d+(?:\.\d+)?)([mhdw])$/);
+    if (relative) return now - Number(relative[1]) * { m: 60000, h: 3600000, d: DAY, w: 7 * DAY }[relative[2]];
+    const date = value.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    if (date) return fromWallClock(Number(date[1]), Number(date[2]), Number(date[3]), 0, 0, 0, timezone) + (end ? DAY : 0); // whole day inclusive as an end
+    const compact = value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?$/);
+    if (compact) return fromWallClock(Number(compact[1]), Number(compact[2]), Number(compact[3]), Number(compact[4]), Number(compact[5]), Number(compact[6] || 0), timezone);
+    const local = value.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (local) return fromWallClock(Number(local[1]), Number(local[2]), Number(local[3]), Number(local[4]), Number(local[5]), Number(local[6] || 0), timezone);
+    const parsed = Date.parse(value); // with an explicit zone: 2025-05-14T12:00Z, 2025-05-14T12:00+01:00
+    if (Number.isNaN(parsed)) throw new Error(`cannot parse time '${value}'`);
+    return parsed;
+}
+
+// 'from..to' with either end left open, or a single date, today or yesterday for that whole day
+function parseTimeRange(value, { timezone = 'local', now = Date.now() } = {}) {
+    const parts = value.split('..');
+    if (parts.length > 2 || parts.every((part) => part === '')) throw new Error(`cannot parse time range '${value}'`);
+    const from = parts[0] === '' ? undefined : parseTimeArg(parts[0], { timezone, now }),
+        to = parts.length === 1 ? parseTimeArg(parts[0], { timezone, end: true, now }) : parts[1] === '' ? undefined : parseTimeArg(parts[1], { timezone, end: true, now });
+    if (from !== undefined && to !== undefined && from >= to) throw new Error(parts.length === 1 ? `'${value}' is a moment, not a period (use from..to)` : `'${value}' ends before it starts`);
+    return { from, to };
+}
+
+// solar elevation in degrees (low precision almanac, good to a fraction of a degree)
+function solarElevation(ms, lat, lon) {
+    const d = (ms - 946728000000) / DAY; // days since J2000.0
+    const g = toRad((357.529 + 0.98560028 * d) % 360),
+        q = (280.459 + 0.98564736 * d) % 360;
+    const L = toRad(q + 1.915 * Math.sin(g) + 0.02 * Math.sin(2 * g)),
+        e = toRad(23.439 - 0.00000036 * d);
+    const ra = Math.atan2(Math.cos(e) * Math.sin(L), Math.cos(L)),
+        dec = Math.asin(Math.sin(e) * Math.sin(L));
+    const gmst = (((18.697374558 + 24.06570982441908 * d) % 24) + 24) % 24;
+    const hourAngle = toRad(gmst * 15 + lon) - ra;
+    return (Math.asin(Math.sin(toRad(lat)) * Math.sin(dec) + Math.cos(toRad(lat)) * Math.cos(dec) * Math.cos(hourAngle)) * 180) / Math.PI;
+}
+
+// 'sun' (between sunrise and sunset at the station, upper limb with refraction) or 'H-H' hours in the reporting timezone
+function parseDaytime(value) {
+    if (value === 'sun') return { mode: 'sun', label: 'sunrise-sunset' };
+    const hours = value.match(/^(\d{1,2})-(\d{1,2})$/);
+    if (!hours || Number(hours[1]) > 24 || Number(hours[2]) > 24 || Number(hours[1]) === Number(hours[2])) throw new Error(`--daytime must be 'sun' or hours such as '8-20', not '${value}'`);
+    const start = Number(hours[1]),
+        end = Number(hours[2]);
+    return { mode: 'hours', start, end, label: `${pad(start)}-${pad(end)}` };
+}
+
+function createDaytime(daytime, timezone) {
+    if (daytime.mode === 'sun') return (ms, station) => solarElevation(ms, station.lat, station.lon) > -0.833;
+    const { start, end } = daytime;
+    return (ms) => {
+        const { hour } = toWallClock(ms, timezone);
+        return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+    };
+}
+
+// the [start, end) span a file or directory can hold, from a date in its path: YYYYMMDD or YYYY-MM-DD in a name, YYYY/MM/DD or YYYY/MM directories
+function pathTimeSpan(relativePath, timezone) {
+    const normalised = relativePath.split(/[\\/]/).join('/');
+    const valid = (year, month, day = 1) => year >= 2000 && year < 2100 && month >= 1 && month <= 12 && day >= 1 && day <= 31;
+    const day = normalised.match(/(?:^|\/)(\d{4})\/(\d{2})\/(\d{2})(?:\/|$)/) || normalised.match(/(?:^|\D)(\d{4})-?(\d{2})-?(\d{2})/);
+    if (day && valid(Number(day[1]), Number(day[2]), Number(day[3]))) {
+        const start = fromWallClock(Number(day[1]), Number(day[2]), Number(day[3]), 0, 0, 0, timezone);
+        return { start: start - DAY, end: start + 2 * DAY }; // a day's slack either side: rotation times and zones differ
+    }
+    const month = normalised.match(/(?:^|\/)(\d{4})\/(\d{2})(?:\/|$)/) || normalised.match(/(?:^|\/)(\d{4})-(\d{2})(?:\/|$)/);
+    if (month && valid(Number(month[1]), Number(month[2]))) {
+        const year = Number(month[1]),
+            index = Number(month[2]);
+        const start = fromWallClock(year, index, 1, 0, 0, 0, timezone),
+            end = index === 12 ? fromWallClock(year + 1, 1, 1, 0, 0, 0, timezone) : fromWallClock(year, index + 1, 1, 0, 0, 0, timezone);
+        return { start: start - DAY, end: end + DAY };
+    }
+    return undefined;
+}
+
+function createTimeWindow(from, to) {
+    return {
+        from,
+        to,
+        active: from !== undefined || to !== undefined,
+        contains: (ms) => (from === undefined || ms >= from) && (to === undefined || ms < to),
+        overlaps: (start, end) => (from === undefined || end > from) && (to === undefined || start < to),
+    };
+}
+
+module.exports = {
+    BUCKETS,
+    validateTimezone,
+    zoneOffset,
+    fromWallClock,
+    toWallClock,
+    parseTimestamp,
+    formatTime,
+    bucketKey,
+    parseTimeArg,
+    parseTimeRange,
+    solarElevation,
+    parseDaytime,
+    createDaytime,
+    pathTimeSpan,
+    createTimeWindow,
+};
@@ -0,0 +1,205 @@
+// Per-vessel tracks: positions grouped by MMSI in time order, split into voyages, with static data from type 5/19/21/24
+
+const { calculateDistance } = require('./ais-geo.js');
+
+const SOG_UNAVAILABLE = 102.3, // knots, 1023 in 1/10 kn
+    SOG_UNAVAILABLE_SAR = 1023; // knots, type 9 reports whole knots
+
+function createTrackStore({ mmsis } = {}) {
+    const vessels = new Map();
+
+    function getVessel(mmsi) {
+        let vessel = vessels.get(mmsi);
+        if (!vessel) {
+            vessel = { mmsi, static: {}, points: [], messageCount: 0 };
+            vessels.set(mmsi, vessel);
+        }
+        return vessel;
+    }
+
+    function wanted(mmsi) {
+        return mmsi !== undefined && (!mmsis || mmsis.has(mmsi));
+    }
+
+    function addPosition(mmsi, point) {
+        if (!wanted(mmsi) || !Number.isFinite(point.time)) return;
+        const vessel = getVessel(mmsi);
+        vessel.messageCount++;
+        vessel.points.push(point);
+        vessel.sorted = false;
+    }
+
+    function addStatic(mmsi, payload) {
+        if (!wanted(mmsi)) return;
+        const info = getVessel(mmsi).static;
+        for (const key of ['shipname', 'callsign', 'imo', 'shiptype', 'shiptype_text', 'destination', 'draught', 'to_bow', 'to_stern', 'to_port', 'to_starboard'])
+            if (payload[key] !== undefined && payload[key] !== '' && !(key === 'shiptype' && payload[key] === 0)) info[key] = payload[key];
+        if (payload.type === 21 && payload.name) info.shipname = payload.name;
+        if (payload.type === 5 && payload.month && payload.day)
+            info.eta = `${String(payload.month).padStart(2, '0')}-${String(payload.day).padStart(2, '0')} ${String(payload.hour).padStart(2, '0')}:${String(payload.minute).padStart(2, '0')}`;
+        info.type = payload.type;
+    }
+
+    // time ordered with duplicates (same fix heard by more than one station, or repeated in overlapping files) removed
+    function getTrack(mmsi) {
+        const vessel = vessels.get(mmsi);
+        if (!vessel) return undefined;
+        if (!vessel.sorted) {
+            vessel.points.sort((a, b) => a.time - b.time);
+            vessel.points = vessel.points.filter((p, i, points) => i === 0 || p.time !== points[i - 1].time || p.lat !== points[i - 1].lat || p.lon !== points[i - 1].lon);
+            vessel.sorted = true;
+        }
+        return vessel;
+    }
+
+    // vessels from another store, such as a worker thread's
+    function merge(others) {
+        for (const other of others) {
+            const vessel = getVessel(other.mmsi);
+            Object.assign(vessel.static, other.static);
+            vessel.messageCount += other.messageCount;
+            for (const point of other.points) vessel.points.push(point);
+            vessel.sorted = false;
+        }
+    }
+
+    return {
+        addPosition,
+        addStatic,
+        getTrack,
+        mmsis: () => [...vessels.keys()].sort((a, b) => a - b),
+        size: () => vessels.size,
+        state: () => [...vessels.values()],
+        merge,
+    };
+}
+
+function summariseStops(points, { stopSpeed, stopMinutes }) {
+    const stops = [];
+    let start;
+    const close = (end) => {
+        if (start !== undefined && points[end].time - points[start].time >= stopMinutes * 60000) {
+            const span = points.slice(start, end + 1);
+            stops.push({
+                start: points[start].time,
+                end: points[end].time,
+                duration: (points[end].time - points[start].time) / 60000,
+                lat: span.reduce((sum, p) => sum + p.lat, 0) / span.length,
+                lon: span.reduce((sum, p) => sum + p.lon, 0) / span.length,
+            });
+        }
+        start = undefined;
+    };
+    points.forEach((p, i) => {
+        const stationary = p.sog !== undefined ? p.sog < stopSpeed : i > 0 && calculateDistance(points[i - 1].lat, points[i - 1].lon, p.lat, p.lon) < 0.05;
+        if (stationary) {
+            if (start === undefined) start = i;
+        } else if (start !== undefined) close(i - 1);
+    });
+    if (start !== undefined) close(points.length - 1);
+    return stops;
+}
+
+function buildVoyages(vessel, { gapMinutes = 60, stopSpeed = 0.5, stopMinutes = 10 } = {}) {
+    const voyages = [];
+    let current;
+    for (const point of vessel.points) {
+        if (!current || point.time - current[current.length - 1].time > gapMinutes * 60000) {
+            current = [];
+            voyages.push(current);
+        }
+        current.push(point);
+    }
+    return voyages.map((points) => {
+        let distance = 0;
+        for (let i = 1; i < points.length; i++) distance += calculateDistance(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon);
+        const speeds = points.map((p) => p.sog).filter((sog) => sog !== undefined);
+        const first = points[0],
+            last = points[points.length - 1];
+        const hours = (last.time - first.time) / 3600000;
+        return {
+            start: first.time,
+            end: last.time,
+            duration: hours * 60,
+            count: points.length,
+            distance,
+            avgSog: speeds.length > 0 ? speeds.reduce((sum, s) => sum + s, 0) / speeds.length : undefined,
+            maxSog: speeds.length > 0 ? speeds.reduce((max, s) => Math.max(max, s), 0) : undefined,
+            madeGood: hours > 0 ? distance / hours : undefined,
+            from: { lat: first.lat, lon: first.lon },
+            to: { lat: last.lat, lon: last.lon },
+            maxRange: points.reduce((max, p) => Math.max(max, p.distance ?? 0), 0),
+            stations: [...new Set(points.map((p) => p.station).filter(Boolean))],
+            stops: summariseStops(points, { stopSpeed, stopMinutes }),
+            points,
+        };
+    });
+}
+
+function vesselName(vessel) {
+    return vessel.static.shipname || '';
+}
+
+function toGeoJSON(vessel, voyages) {
+    const properties = { mmsi: vessel.mmsi, ...vessel.static };
+    const features = [];
+    voyages.forEach((voyage, index) => {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: voyage.points.map((p) => [p.lon, p.lat]) },
+            properties: {
+                ...properties,
+                voyage: index + 1,
+                start: new Date(voyage.start).toISOString(),
+                end: new Date(voyage.end).toISOString(),
+                distance: Number(voyage.distance.toFixed(3)),
+                avgSog: voyage.avgSog,
+                maxSog: voyage.maxSog,
+                times: voyage.points.map((p) => new Date(p.time).toISOString()),
+            },
+        });
+        for (const stop of voyage.stops)
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [stop.lon, stop.lat] },
+                properties: { mmsi: vessel.mmsi, voyage: index + 1, stop: true, start: new Date(stop.start).toISOString(), end: new Date(stop.end).toISOString(), duration: Number(stop.duration.toFixed(1)) },
+            });
+    });
+    return { type: 'FeatureCollection', features };
+}
+
+function toGPX(vessel, voyages) {
+    const escape = (text) => String(text).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+    const name = escape(vesselName(vessel) || vessel.mmsi);
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<gpx version="1.1" creator="ais-parser" xmlns="http://www.topografix.com/GPX/1/1">', `<metadata><name>${name} (${vessel.mmsi})</name></metadata>`];
+    voyages.forEach((voyage, index) =>
+        voyage.stops.forEach((stop) =>
+            lines.push(`<wpt lat="${stop.lat.toFixed(6)}" lon="${stop.lon.toFixed(6)}"><time>${new Date(stop.start).toISOString()}</time><name>Voyage ${index + 1} stop ${stop.duration.toFixed(0)} min</name></wpt>`)
+        )
+    );
+    voyages.forEach((voyage, index) => {
+        lines.push(`<trk><name>${name} voyage ${index + 1}</name><trkseg>`);
+        for (const p of voyage.points)
+            lines.push(
+                `<trkpt lat="${p.lat.toFixed(6)}" lon="${p.lon.toFixed(6)}"><time>${new Date(p.time).toISOString()}</time>${p.sog === undefined ? '' : `<extensions><speed>${(p.sog * 0.514444).toFixed(2)}</speed></extensions>`}</trkpt>`
+            );
+        lines.push('</trkseg></trk>');
+    });
+    lines.push('</gpx>');
+    return lines.join('\n') + '\n';
+}
+
+function trackPoint(payload, time, { distance, bearing, station } = {}) {
+    const sog = payload.speed !== undefined && payload.speed < (payload.type === 9 ? SOG_UNAVAILABLE_SAR : SOG_UNAVAILABLE) ? payload.speed : undefined,
+        cog = payload.course !== undefined && payload.course < 360 ? payload.course : undefined;
+    return { time, lat: payload.lat, lon: payload.lon, sog, cog, distance, bearing, station };
+}
+
+module.exports = {
+    createTrackStore,
+    buildVoyages,
+    trackPoint,
+    vesselName,
+    toGeoJSON,
+    toGPX,
+};
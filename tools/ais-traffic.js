@@ -0,0 +1,155 @@
+// Traffic mix: every message heard, position or not, counted by AIS message type, by source (class A/B vessels,
+// base stations, aids to navigation, SAR aircraft, distress beacons) and by ship category from the static reports
+// (types 5, 19 and 24), with distinct MMSIs per period and per hour and which of them are new in each period
+//
+// Periods use the statistics bucketing. New vessels are those first heard in a period, within what was analysed.
+
+const { shiptypeText } = require('./ais-nmea.js');
+const { classifyMmsi } = require('./ais-quality.js');
+
+const MESSAGE_TYPE_TEXT = {
+    1: 'Position report (class A)',
+    2: 'Position report (class A, assigned)',
+    3: 'Position report (class A, interrogated)',
+    4: 'Base station report',
+    5: 'Static and voyage data',
+    6: 'Binary addressed',
+    7: 'Binary acknowledge',
+    8: 'Binary broadcast',
+    9: 'SAR aircraft position',
+    10: 'UTC/date inquiry',
+    11: 'UTC/date response',
+    12: 'Addressed safety',
+    13: 'Safety acknowledge',
+    14: 'Safety broadcast',
+    15: 'Interrogation',
+    16: 'Assignment mode command',
+    17: 'DGNSS broadcast',
+    18: 'Position report (class B)',
+    19: 'Extended position report (class B)',
+    20: 'Data link management',
+    21: 'Aid to navigation report',
+    22: 'Channel management',
+    23: 'Group assignment',
+    24: 'Static data (class B)',
+    25: 'Single slot binary',
+    26: 'Multiple slot binary',
+    27: 'Long range position',
+};
+
+const SOURCES = ['class A', 'class B', 'base station', 'aid to navigation', 'SAR aircraft', 'SART/MOB/EPIRB', 'other'];
+
+// the MMSI range decides for the fixed and special transmitters, the message type for vessels
+function messageSource(payload, mmsiKind) {
+    if (mmsiKind === 'coast' || payload.type === 4) return 'base station';
+    if (mmsiKind === 'aton' || payload.type === 21) return 'aid to navigation';
+    if (mmsiKind === 'sar-aircraft' || payload.type === 9) return 'SAR aircraft';
+    if (mmsiKind === 'sart' || mmsiKind === 'mob' || mmsiKind === 'epirb') return 'SART/MOB/EPIRB';
+    if ([1, 2, 3, 5, 27].includes(payload.type)) return 'class A';
+    if ([18, 19, 24].includes(payload.type)) return 'class B';
+    return 'other';
+}
+
+function createTrafficStats() {
+    const types = {}, // message type -> messages
+        sources = Object.fromEntries(SOURCES.map((source) => [source, { messages: 0, mmsis: new Set() }])),
+        vessels = {}, // mmsi -> { messages, shiptype }
+        periods = {}, // period -> { messages, mmsis }
+        hours = {}; // 'YYYY-MM-DD HH:00' -> { messages, mmsis }
+    const kinds = new Map();
+    let total = 0;
+
+    const slot = (table, key) => table[key] || (table[key] = { messages: 0, mmsis: new Set() });
+
+    return {
+        // period is the statistics bucket, hour the wall clock hour in the same timezone
+        add(payload, period, hour) {
+            const { mmsi, type } = payload;
+            total++;
+            types[type] = (types[type] || 0) + 1;
+            if (!kinds.has(mmsi)) kinds.set(mmsi, classifyMmsi(mmsi).kind);
+            const source = sources[messageSource(payload, kinds.get(mmsi))];
+            source.messages++;
+            source.mmsis.add(mmsi);
+            const vessel = vessels[mmsi] || (vessels[mmsi] = { messages: 0, shiptype: undefined });
+            vessel.messages++;
+            if ([5, 19, 24].includes(type) && payload.shiptype) vessel.shiptype = payload.shiptype;
+            for (const [table, key] of [
+                [periods, period],
+                [hours, hour],
+            ]) {
+                const entry = slot(table, key);
+                entry.messages++;
+                entry.mmsis.add(mmsi);
+            }
+        },
+        state: () => ({ total, types, sources, vessels, periods, hours }),
+        merge(state) {
+            total += state.total;
+            for (const [type, count] of Object.entries(state.types)) types[type] = (types[type] || 0) + count;
+            for (const [name, other] of Object.entries(state.sources)) {
+                sources[name].messages += other.messages;
+                for (const mmsi of other.mmsis) sources[name].mmsis.add(mmsi);
+            }
+            for (const [mmsi, other] of Object.entries(state.vessels)) {
+                const vessel = vessels[mmsi] || (vessels[mmsi] = { messages: 0, shiptype: undefined });
+                vessel.messages += other.messages;
+                if (other.shiptype) vessel.shiptype = other.shiptype;
+            }
+            for (const table of ['periods', 'hours'])
+                for (const [key, other] of Object.entries(state[table])) {
+                    const entry = slot(table === 'periods' ? periods : hours, key);
+                    entry.messages += other.messages;
+                    for (const mmsi of other.mmsis) entry.mmsis.add(mmsi);
+                }
+        },
+        summary() {
+            const share = (count) => (total > 0 ? (count / total) * 100 : 0);
+            const typeRows = Object.keys(types)
+                .map(Number)
+                .sort((a, b) => a - b)
+                .map((type) => ({ type, description: MESSAGE_TYPE_TEXT[type] || 'Unknown', messages: types[type], percentage: share(types[type]) }));
+            const sourceRows = SOURCES.map((source) => ({ source, messages: sources[source].messages, percentage: share(sources[source].messages), mmsis: sources[source].mmsis.size })).filter((row) => row.messages > 0);
+            const categories = {};
+            for (const { messages, shiptype } of Object.values(vessels)) {
+                const category = shiptype === undefined ? 'No static data' : shiptypeText(shiptype);
+                const entry = categories[category] || (categories[category] = { category, vessels: 0, messages: 0 });
+                entry.vessels++;
+                entry.messages += messages;
+            }
+            const categoryRows = Object.values(categories)
+                .map((entry) => ({ ...entry, percentage: share(entry.messages) }))
+                .sort((a, b) => b.vessels - a.vessels || b.messages - a.messages);
+            const seen = new Set();
+            const periodRows = Object.keys(periods)
+                .sort()
+                .map((period) => {
+                    const { messages, mmsis } = periods[period];
+                    let fresh = 0;
+                    for (const mmsi of mmsis)
+                        if (!seen.has(mmsi)) {
+                            seen.add(mmsi);
+                            fresh++;
+                        }
+                    return { period, messages, mmsis: mmsis.size, new: fresh, returning: mmsis.size - fresh };
+                });
+            // hour of day profile over the hours that had traffic
+            const profile = Array.from({ length: 24 }, (_, hour) => ({ hour, hours: 0, messages: 0, mmsis: 0, maxMmsis: 0 }));
+            for (const [key, { messages, mmsis }] of Object.entries(hours)) {
+                const entry = profile[Number(key.slice(11, 13))];
+                if (!entry) continue;
+                entry.hours++;
+                entry.messages += messages;
+                entry.mmsis += mmsis.size;
+                entry.maxMmsis = Math.max(entry.maxMmsis, mmsis.size);
+            }
+            const hourRows = profile.filter((entry) => entry.hours > 0).map(({ hour, hours: count, messages, mmsis, maxMmsis }) => ({ hour, hours: count, meanMessages: messages / count, meanMmsis: mmsis / count, maxMmsis }));
+            return { total, mmsis: Object.keys(vessels).length, types: typeRows, sources: sourceRows, categories: categoryRows, periods: periodRows, hours: hourRows };
+        },
+    };
+}
+
+module.exports = {
+    MESSAGE_TYPE_TEXT,
+    createTrafficStats,
+};
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+// Watcher: formats the receiver's AIS messages as a pipe-separated table as they arrive, read from mosquitto_sub on
+// stdin (payloads, -v "topic payload" lines or collector envelopes), NMEA sentences, files, or straight from MQTT
+//
+// Position lines show the ship names learned from static reports (types 5, 19, 21 and 24). Filters on distance,
+// bearing and bounding box pass a message without a position when its MMSI's last known position passed.
+
+const fs = require('fs');
+const readline = require('readline');
+const { resolveOptions, formatHelp } = require('./ais-options.js');
+const { createMqttClient, parseMqttUrl } = require('./ais-mqtt.js');
+const { createNmeaDecoder, formatRxTime } = require('./ais-nmea.js');
+const { loadStations, selectStations } = require('./ais-stations.js');
+const { calculateDistance, calculateBearing, parseBbox, insideBbox } = require('./ais-geo.js');
+
+const SIGNAL_THRESHOLD = 500;
+const NAMES_SAVE_INTERVAL = 60000; // ms
+
+const COLOURS = { green: '\x1b[1;32m', yellow: '\x1b[1;33m', magenta: '\x1b[1;35m', cyan: '\x1b[1;36m', red: '\x1b[1;31m', reset: '\x1b[0m' };
+
+const USAGE = ['mosquitto_sub -t "ais/#" | node ais-watcher.js [options]', 'node ais-watcher.js --mqtt[=mqtt://host[:port][/topic]] [options]', 'node ais-watcher.js <file>... [options]'];
+
+const parseBearingRange = (text) => {
+    const match = text.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+    if (!match || Number(match[1]) > 360 || Number(match[2]) > 360) throw new Error(`--bearing: expected from-to in degrees, e.g. 300-60 (got '${text}')`);
+    return { from: Number(match[1]), to: Number(match[2]) };
+};
+
+const parseBboxOption = (text) => {
+    try {
+        return parseBbox(text);
+    } catch (e) {
+        throw new Error(`--bbox: ${e.message}`);
+    }
+};
+
+const checkTypes = (types) => {
+    const invalid = types.filter((type) => !/^\d+$/.test(type));
+    if (invalid.length > 0) throw new Error(`--type: ${invalid.join(', ')} ${invalid.length > 1 ? 'are not message types' : 'is not a message type'}`);
+};
+
+// in --help order, see ais-options.js for the fields
+const OPTIONS = [
+    { name: 'help', type: 'boolean', description: 'Show this help (also -h)' },
+    { name: 'strong-signal', type: 'integer', value: 'N', optional: SIGNAL_THRESHOLD, description: `Show only strong signals, signal power at or above N (also -s [N], default N: ${SIGNAL_THRESHOLD})` },
+    { name: 'type', type: 'list', value: 'type,...', check: checkTypes, description: 'Show only these message types (also -t types)' },
+    { name: 'raw', type: 'boolean', description: 'Append the NMEA sentences to each line (also -r)' },
+    { name: 'debug', type: 'boolean', description: 'Show raw lines before processing (also -d)' },
+    { name: 'mmsi', type: 'mmsis', value: 'mmsi1,mmsi2,...', multiple: true, description: 'Show only these MMSIs' },
+    { name: 'stations', type: 'file', value: 'file', description: 'Station config for distances and bearings', defaultText: 'ais-stations.json beside this script' },
+    { name: 'station', type: 'string', value: 'name', description: 'Measure from the named station of the config' },
+    { name: 'lat', type: 'number', value: 'deg', min: -90, max: 90, description: 'Measure from an explicit position instead of the config (with --lon)' },
+    { name: 'lon', type: 'number', value: 'deg', min: -180, max: 180, description: 'Longitude of the explicit position (with --lat)' },
+    { name: 'min-distance', type: 'number', value: 'nm', min: 0, description: 'Show only positions beyond this distance from the station' },
+    { name: 'max-distance', type: 'number', value: 'nm', above: 0, description: 'Show only positions within this distance of the station' },
+    { name: 'bearing', type: 'string', value: 'from-to', parse: parseBearingRange, description: 'Show only positions at these bearings from the station, clockwise (e.g. 300-60)' },
+    { name: 'bbox', type: 'string', value: 'west,south,east,north', parse: parseBboxOption, description: 'Show only positions inside this box (degrees)' },
+    { name: 'names', type: 'string', value: 'file', description: 'Keep the learned vessel names in this JSON file across runs' },
+    { name: 'mqtt', type: 'string', value: 'URL', optional: 'mqtt://localhost:1883/ais/data', description: 'Subscribe to MQTT directly instead of reading stdin (default: mqtt://localhost:1883/ais/data)' },
+];
+
+const EXAMPLES = [
+    'mosquitto_sub -t "ais/#" | ./ais-watcher.js -s 800 -t 1,2,3',
+    'mosquitto_sub -v -t "ais/#" | ./ais-watcher.js --mmsi=235055756 -r',
+    './ais-watcher.js --mqtt --station=home --min-distance=20 --bearing=300-60',
+    './ais-watcher.js --mqtt=mqtt://receiver.local/ais/data --bbox=-0.5,51.3,0.5,51.6 --names=names.json',
+    './ais-watcher.js ../monitor/sample.txt',
+];
+
+// the watcher's short options and space separated values as --name=value
+function expandArguments(argv) {
+    const short = { '-s': 'strong-signal', '-t': 'type', '-r': 'raw', '-d': 'debug' },
+        takesValue = { 'strong-signal': /^\d+$/, type: /^[\d,]+$/ };
+    const expanded = [];
+    for (let i = 0; i < argv.length; i++) {
+        const name = short[argv[i]] || (argv[i].startsWith('--') && !argv[i].includes('=') ? argv[i].slice(2) : undefined);
+        if (name && takesValue[name] && i + 1 < argv.length && takesValue[name].test(argv[i + 1])) expanded.push(`--${name}=${argv[++i]}`);
+        else expanded.push(name ? `--${name}` : argv[i]);
+    }
+    return expanded;
+}
+
+function createNameCache(file) {
+    const names = new Map();
+    let dirty = false;
+    if (file && fs.existsSync(file)) for (const [mmsi, name] of Object.entries(JSON.parse(fs.readFileSync(file, 'utf8')))) names.set(Number(mmsi), name);
+    return {
+        size: () => names.size,
+        get: (mmsi) => names.get(mmsi),
+        learn(payload) {
+            const name = [5, 19, 24].includes(payload.type) ? payload.shipname : payload.type === 21 ? payload.name : undefined;
+            if (!name || names.get(payload.mmsi) === name) return;
+            names.set(payload.mmsi, name);
+            dirty = true;
+        },
+        save() {
+            if (!file || !dirty) return;
+            const temporary = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(temporary, JSON.stringify(Object.fromEntries(names), undefined, 2));
+            fs.renameSync(temporary, file);
+            dirty = false;
+        },
+    };
+}
+
+// position filters against the station, applied to the message's position or else the MMSI's last known one
+function createPositionFilter({ station, minDistance, maxDistance, bearing, bbox }) {
+    const active = minDistance !== undefined || maxDistance !== undefined || bearing !== undefined || bbox !== undefined;
+    const lastPosition = new Map();
+    function passes({ lat, lon }) {
+        if (bbox && !insideBbox(lat, lon, bbox)) return false;
+        if (!station) return true;
+        const distance = calculateDistance(station.lat, station.lon, lat, lon);
+        if (minDistance !== undefined && distance < minDistance) return false;
+        if (maxDistance !== undefined && distance > maxDistance) return false;
+        if (bearing) {
+            const value = calculateBearing(station.lat, station.lon, lat, lon);
+            if (bearing.from <= bearing.to ? value < bearing.from || value > bearing.to : value < bearing.from && value > bearing.to) return false;
+        }
+        return true;
+    }
+    return {
+        active,
+        locate(payload) {
+            const position = hasPosition(payload) ? { lat: payload.lat, lon: payload.lon } : lastPosition.get(payload.mmsi);
+            if (hasPosition(payload)) lastPosition.set(payload.mmsi, position);
+            return position;
+        },
+        passes: (position) => !active || (position !== undefined && passes(position)),
+    };
+}
+
+const hasPosition = (payload) => typeof payload.lat === 'number' && typeof payload.lon === 'number' && Math.abs(payload.lat) <= 90 && Math.abs(payload.lon) <= 180;
+
+function formatDetails(payload, name) {
+    const field = (key) => payload[key] ?? '-';
+    const named = name ? `${name}, ` : '';
+    switch (payload.type) {
+        case 1:
+        case 2:
+        case 3:
+            return `${named}Status: ${field('status_text')}, Course: ${field('course')}°, Speed: ${field('speed')} knots`;
+        case 4:
+            return `Base Station, Accuracy: ${field('accuracy')}, RAIM: ${field('raim')}`;
+        case 5:
+            return `${field('shipname')}, Type: ${field('shiptype_text')}, Dest: ${field('destination')}`;
+        case 8:
+            return `Binary Broadcast, DAC: ${field('dac')}, FID: ${field('fid')}`;
+        case 18:
+        case 19:
+            return `${named}Class B, Speed: ${field('speed')} knots, Course: ${field('course')}°`;
+        case 21:
+            return `NavAid: ${field('name')}, Type: ${field('aid_type_text')}`;
+        case 24:
+            return `Class B Static, Name: ${field('shipname')}, Vendor: ${field('vendorid')}`;
+        default:
+            return `${named}Radio: ${field('radio')}`;
+    }
+}
+
+function formatRow(columns) {
+    const widths = [19, 7, 10, 6, 6, 9, 23, 15];
+    return columns.map((column, index) => (index < widths.length ? String(column).padEnd(widths[index]) : column)).join(' | ');
+}
+
+function createFormatter(options, { station, names, positions }) {
+    const { strongSignal, raw, debug } = options;
+    const types = options.type ? new Set(options.type.map(Number)) : undefined,
+        mmsis = options.mmsi ? new Set(options.mmsi) : undefined;
+    const nmeaDecoder = createNmeaDecoder();
+    const coordinate = (value) => (typeof value === 'number' ? String(Math.round(value * 1e6) / 1e6) : (value ?? '-')); // decoded NMEA to AIS-catcher's 6 places
+    const whole = (value) => (typeof value === 'number' && Number.isFinite(value) ? Math.trunc(value) : 0);
+
+    // a JSON payload, an envelope with one, mosquitto_sub -v's "topic payload" or an NMEA sentence
+    function decode(line) {
+        if (/[!$][A-Z]{2}VD[MO],/.test(line) && !line.startsWith('{')) return nmeaDecoder.decodeLine(line, formatRxTime(new Date()));
+        const text = line.startsWith('{') ? line : line.slice(line.indexOf(' ') + 1);
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch {
+            if (debug) console.log(`${COLOURS.red}INVALID JSON: ${line}${COLOURS.reset}`);
+            return undefined;
+        }
+        if (!message || typeof message !== 'object') return undefined;
+        return message.payload && typeof message.payload === 'object' ? message.payload : message;
+    }
+
+    return function format(line) {
+        if (debug) console.log(`${COLOURS.cyan}LINE: ${line}${COLOURS.reset}`);
+        line = line.trim();
+        if (line === '') return;
+        const payload = decode(line);
+        if (!payload || Object.keys(payload).length === 0) return;
+
+        names.learn(payload);
+        const position = positions.locate(payload);
+        const signal = whole(payload.signalpower);
+        if (strongSignal !== undefined && signal < strongSignal) return;
+        if (types && !types.has(payload.type)) return;
+        if (mmsis && !mmsis.has(payload.mmsi)) return;
+        if (!positions.passes(position)) return;
+
+        const rxtime = payload.rxtime ?? '-';
+        const time = /^\d{14}$/.test(rxtime) ? `${rxtime.slice(8, 10)}:${rxtime.slice(10, 12)}:${rxtime.slice(12, 14)}` : rxtime;
+        let details = formatDetails(payload, names.get(payload.mmsi));
+        if (station && hasPosition(payload)) details += `, ${calculateDistance(station.lat, station.lon, payload.lat, payload.lon).toFixed(1)} nm at ${calculateBearing(station.lat, station.lon, payload.lat, payload.lon).toFixed(0)}°`;
+        if (raw) details += ` [${(payload.nmea || ['-']).join(' ')}]`;
+        const colour = signal > 800 ? COLOURS.green : signal > 400 ? '' : COLOURS.yellow;
+        const row = formatRow([
+            time,
+            payload.channel ?? '-',
+            `${signal}/${whole(payload.ppm)}`,
+            payload.type ?? '-',
+            payload.repeat ?? '-',
+            payload.mmsi ?? '-',
+            `${coordinate(payload.lon)} ${coordinate(payload.lat)}`,
+            payload.epfd_text ?? '-',
+            details,
+        ]);
+        console.log(colour ? `${colour}${row}${COLOURS.reset}` : row);
+    };
+}
+
+async function readLines(stream, format) {
+    for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) format(line);
+}
+
+async function main() {
+    let options, inputs;
+    try {
+        ({ options, inputs } = resolveOptions(expandArguments(process.argv.slice(2)), OPTIONS));
+    } catch (e) {
+        console.error(`Error: ${e.message}\nRun with --help for the list of options`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(formatHelp(OPTIONS, { usage: USAGE, examples: EXAMPLES }));
+        return;
+    }
+    const usageError = (message) => {
+        console.error(`Error: ${message}`);
+        process.exit(2);
+    };
+    if (options.mqtt && inputs.length > 0) usageError(`--mqtt reads the MQTT feed, not input files (got ${inputs.join(', ')})`);
+    if ((options.lat === undefined) !== (options.lon === undefined)) usageError('both --lat and --lon are required for an explicit station');
+    if (options.minDistance !== undefined && options.maxDistance !== undefined && options.minDistance >= options.maxDistance) usageError('--min-distance must be below --max-distance');
+    for (const input of inputs) if (!fs.existsSync(input)) usageError(`${input} not found`);
+
+    // a station is needed for distances and bearings, and used for them whenever one is named
+    let station;
+    const needsStation = options.minDistance !== undefined || options.maxDistance !== undefined || options.bearing !== undefined;
+    if (needsStation || options.station || options.lat !== undefined || options.stations)
+        try {
+            const stations = options.lat === undefined ? loadStations(options.stations) : [];
+            const selected = selectStations(stations, { station: options.station, lat: options.lat, lon: options.lon });
+            station = selected.find((s) => s.default) || selected[0];
+        } catch (e) {
+            usageError(e.message);
+        }
+
+    let names;
+    try {
+        names = createNameCache(options.names);
+    } catch (e) {
+        usageError(`--names ${options.names}: ${e.message}`);
+    }
+    const positions = createPositionFilter({ station, minDistance: options.minDistance, maxDistance: options.maxDistance, bearing: options.bearing, bbox: options.bbox });
+    const format = createFormatter(options, { station, names, positions });
+
+    const selected = [
+        options.strongSignal !== undefined && `strong-signal (threshold: ${options.strongSignal})`,
+        options.type && `type-filter (${options.type.join(',')})`,
+        options.mmsi && `mmsi (${options.mmsi.join(',')})`,
+        station && `station ${station.name} (${station.lat}, ${station.lon})`,
+        options.minDistance !== undefined && `min-distance (${options.minDistance} nm)`,
+        options.maxDistance !== undefined && `max-distance (${options.maxDistance} nm)`,
+        options.bearing && `bearing (${options.bearing.from}°-${options.bearing.to}°)`,
+        options.bbox && `bbox (${options.bbox.west},${options.bbox.south},${options.bbox.east},${options.bbox.north})`,
+        options.names && `names (${options.names}, ${names.size()} known)`,
+        options.debug && 'debug',
+    ].filter(Boolean);
+    if (selected.length > 0) console.log(`${COLOURS.magenta}Selected options: ${selected.join(', ')}${COLOURS.reset}`);
+
+    console.log(formatRow(['TIME', 'CHANNEL', 'SIGNAL', 'TYPE', 'REPEAT', 'MMSI', 'POSITION', 'EPFD', 'DETAILS']));
+    console.log('-'.repeat(172));
+
+    const saveTimer = options.names ? setInterval(() => names.save(), NAMES_SAVE_INTERVAL) : undefined;
+    if (saveTimer) saveTimer.unref();
+    const finish = () => {
+        clearInterval(saveTimer);
+        names.save();
+    };
+
+    if (options.mqtt) {
+        let url;
+        try {
+            url = parseMqttUrl(options.mqtt, 'ais/data');
+        } catch (e) {
+            usageError(e.message);
+        }
+        const client = createMqttClient(url);
+        client.on('connect', () => console.error(`MQTT: connected to ${url.host}:${url.port}, subscribed to ${url.topic}`));
+        client.on('reconnect', (delay) => console.error(`MQTT: reconnecting in ${delay / 1000}s`));
+        client.on('error', (err) => console.error(`MQTT: ${err.message}`));
+        client.on('message', (topic, payload) =>
+            payload
+                .toString('utf8')
+                .split('\n')
+                .forEach((line) => format(line))
+        );
+        client.subscribe(url.topic);
+        const stop = () => {
+            finish();
+            client.end();
+            process.exit(0);
+        };
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+        return;
+    }
+
+    process.on('SIGINT', () => {
+        finish();
+        process.exit(130);
+    });
+    process.stdout.on('error', (err) => {
+        // the pager or head on the other end went away
+        if (err.code !== 'EPIPE') throw err;
+        finish();
+        process.exit(0);
+    });
+    if (inputs.length === 0) await readLines(process.stdin, format);
+    else for (const input of inputs) await readLines(fs.createReadStream(input), format);
+    finish();
+}
+
+main().catch((e) => {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+});
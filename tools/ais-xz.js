@@ -0,0 +1,494 @@
+// Pure Node .xz decompression (LZMA2 filter, the xz default), used when the xz binary is not installed; slower than xz
+// but needs nothing else. The compressed file is read whole, the output is produced a chunk at a time as a stream.
+// openInput opens an input file, plain or .xz, through the xz binary when it is installed.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawn, spawnSync } = require('child_process');
+const { Readable } = require('stream');
+const { isMainThread } = require('worker_threads');
+
+const HEADER_MAGIC = Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]),
+    FOOTER_MAGIC = Buffer.from([0x59, 0x5a]),
+    FILTER_LZMA2 = 0x21,
+    CHECK_SIZES = { 0: 0, 1: 4, 4: 8, 10: 32 };
+
+const CRC32_TABLE = new Uint32Array(256),
+    CRC64_TABLE_LO = new Uint32Array(256),
+    CRC64_TABLE_HI = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    CRC32_TABLE[n] = c >>> 0;
+    let lo = n,
+        hi = 0;
+    for (let k = 0; k < 8; k++) {
+        const carry = lo & 1;
+        lo = ((lo >>> 1) | ((hi & 1) << 31)) >>> 0;
+        hi >>>= 1;
+        if (carry) {
+            lo = (lo ^ 0xd7870f42) >>> 0;
+            hi = (hi ^ 0xc96c5795) >>> 0;
+        }
+    }
+    CRC64_TABLE_LO[n] = lo;
+    CRC64_TABLE_HI[n] = hi;
+}
+
+function crc32(data, crc = 0) {
+    crc = ~crc >>> 0;
+    for (let i = 0; i < data.length; i++) crc = CRC32_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return ~crc >>> 0;
+}
+
+// integrity check over a block's output, by the stream's check type
+function createCheck(type) {
+    if (type === 0) return { update() {}, matches: () => true };
+    if (type === 1) {
+        let crc = 0;
+        return { update: (data) => (crc = crc32(data, crc)), matches: (stored) => stored.readUInt32LE(0) === crc };
+    }
+    if (type === 4) {
+        let lo = 0xffffffff,
+            hi = 0xffffffff;
+        return {
+            update(data) {
+                for (let i = 0; i < data.length; i++) {
+                    const index = (lo ^ data[i]) & 0xff;
+                    lo = (((lo >>> 8) | (hi << 24)) ^ CRC64_TABLE_LO[index]) >>> 0;
+                    hi = ((hi >>> 8) ^ CRC64_TABLE_HI[index]) >>> 0;
+                }
+            },
+            matches: (stored) => stored.readUInt32LE(0) === ~lo >>> 0 && stored.readUInt32LE(4) === ~hi >>> 0,
+        };
+    }
+    if (type === 10) {
+        const hash = crypto.createHash('sha256');
+        return { update: (data) => hash.update(data), matches: (stored) => hash.digest().equals(stored) };
+    }
+    throw new Error(`unsupported integrity check type ${type}`);
+}
+
+function truncated() {
+    return new Error('unexpected end of input (truncated archive?)');
+}
+
+// LZMA decoder state that persists across LZMA2 chunks: probabilities, match state and the dictionary
+function createLzmaDecoder(dictSize) {
+    const dict = Buffer.alloc(dictSize);
+    let pos = 0,
+        full = false,
+        totalPos = 0,
+        flushed = 0,
+        output = [];
+    let lc = 0,
+        lp = 0,
+        pb = 0,
+        probs,
+        state = 0,
+        rep0 = 0,
+        rep1 = 0,
+        rep2 = 0,
+        rep3 = 0;
+    let input, inputPos, inputEnd, range, code;
+
+    // probability array layout
+    const IS_MATCH = 0,
+        IS_REP = IS_MATCH + (12 << 4),
+        IS_REP_G0 = IS_REP + 12,
+        IS_REP_G1 = IS_REP_G0 + 12,
+        IS_REP_G2 = IS_REP_G1 + 12,
+        IS_REP0_LONG = IS_REP_G2 + 12,
+        POS_SLOT = IS_REP0_LONG + (12 << 4),
+        SPEC_POS = POS_SLOT + (4 << 6),
+        ALIGN = SPEC_POS + 115,
+        LEN = ALIGN + 16,
+        REP_LEN = LEN + 514,
+        LITERAL = REP_LEN + 514;
+
+    function resetState() {
+        probs = new Uint16Array(LITERAL + (0x300 << (lc + lp))).fill(1024);
+        state = 0;
+        rep0 = rep1 = rep2 = rep3 = 0;
+    }
+
+    function setProperties(byte) {
+        if (byte > 224) throw new Error('invalid LZMA properties');
+        lc = byte % 9;
+        lp = Math.floor(byte / 9) % 5;
+        pb = Math.floor(byte / 45);
+        if (lc + lp > 4) throw new Error('invalid LZMA2 properties (lc + lp > 4)');
+    }
+
+    function resetDictionary() {
+        pos = 0;
+        totalPos = 0;
+        full = false;
+        flushed = 0;
+    }
+
+    function flush() {
+        if (pos > flushed) output.push(Buffer.from(dict.subarray(flushed, pos)));
+        flushed = pos;
+        if (pos === dictSize) {
+            pos = 0;
+            flushed = 0;
+            full = true;
+        }
+    }
+
+    function putByte(byte) {
+        dict[pos++] = byte;
+        totalPos++;
+        if (pos === dictSize) flush();
+    }
+
+    function getByte(distance) {
+        return dict[distance <= pos ? pos - distance : dictSize - distance + pos];
+    }
+
+    function nextByte() {
+        if (inputPos >= inputEnd) throw new Error('LZMA data overruns its chunk');
+        return input[inputPos++];
+    }
+
+    function decodeBit(index) {
+        const prob = probs[index],
+            bound = (range >>> 11) * prob;
+        let bit;
+        if (code < bound) {
+            range = bound;
+            probs[index] = prob + ((2048 - prob) >>> 5);
+            bit = 0;
+        } else {
+            range -= bound;
+            code -= bound;
+            probs[index] = prob - (prob >>> 5);
+            bit = 1;
+        }
+        if (range < 0x1000000) {
+            range = (range * 256) >>> 0;
+            code = ((code * 256) >>> 0) + nextByte();
+        }
+        return bit;
+    }
+
+    function decodeDirectBits(count) {
+        let result = 0;
+        for (let i = 0; i < count; i++) {
+            range >>>= 1;
+            let bit = 0;
+            if (code >= range) {
+                code -= range;
+                bit = 1;
+            }
+            result = result * 2 + bit;
+            if (range < 0x1000000) {
+                range = (range * 256) >>> 0;
+                code = ((code * 256) >>> 0) + nextByte();
+            }
+        }
+        return result;
+    }
+
+    function bitTree(base, bits) {
+        let m = 1;
+        for (let i = 0; i < bits; i++) m = (m << 1) + decodeBit(base + m);
+        return m - (1 << bits);
+    }
+
+    function bitTreeReverse(base, bits) {
+        let m = 1,
+            symbol = 0;
+        for (let i = 0; i < bits; i++) {
+            const bit = decodeBit(base + m);
+            m = (m << 1) + bit;
+            symbol |= bit << i;
+        }
+        return symbol;
+    }
+
+    // choice, choice2, low[16][8], mid[16][8], high[256]
+    function decodeLength(base, posState) {
+        if (decodeBit(base) === 0) return bitTree(base + 2 + (posState << 3), 3);
+        if (decodeBit(base + 1) === 0) return 8 + bitTree(base + 2 + 128 + (posState << 3), 3);
+        return 16 + bitTree(base + 2 + 256, 8);
+    }
+
+    function decodeDistance(length) {
+        const posSlot = bitTree(POS_SLOT + (Math.min(length, 3) << 6), 6);
+        if (posSlot < 4) return posSlot;
+        const directBits = (posSlot >>> 1) - 1;
+        let distance = (2 | (posSlot & 1)) * 2 ** directBits;
+        if (posSlot < 14) distance += bitTreeReverse(SPEC_POS + distance - posSlot, directBits);
+        else distance += decodeDirectBits(directBits - 4) * 16 + bitTreeReverse(ALIGN, 4);
+        return distance;
+    }
+
+    function decodeLiteral() {
+        const prevByte = pos > 0 || full ? getByte(1) : 0;
+        const base = LITERAL + 0x300 * (((totalPos & ((1 << lp) - 1)) << lc) + (prevByte >>> (8 - lc)));
+        let symbol = 1;
+        if (state >= 7) {
+            let matchByte = getByte(rep0 + 1);
+            do {
+                const matchBit = (matchByte >>> 7) & 1;
+                matchByte <<= 1;
+                const bit = decodeBit(base + ((1 + matchBit) << 8) + symbol);
+                symbol = (symbol << 1) | bit;
+                if (matchBit !== bit) break;
+            } while (symbol < 0x100);
+        }
+        while (symbol < 0x100) symbol = (symbol << 1) | decodeBit(base + symbol);
+        putByte(symbol - 0x100);
+    }
+
+    // one LZMA2 chunk of compressed data producing unpackedSize bytes
+    function decodeChunk(data, start, end, unpackedSize) {
+        input = data;
+        inputPos = start;
+        inputEnd = end;
+        if (nextByte() !== 0) throw new Error('corrupt LZMA data');
+        range = 0xffffffff;
+        code = 0;
+        for (let i = 0; i < 4; i++) code = ((code * 256) >>> 0) + nextByte();
+        const pbMask = (1 << pb) - 1;
+        let remaining = unpackedSize;
+        while (remaining > 0) {
+            const posState = totalPos & pbMask;
+            if (decodeBit(IS_MATCH + (state << 4) + posState) === 0) {
+                decodeLiteral();
+                state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+                remaining--;
+                continue;
+            }
+            let length;
+            if (decodeBit(IS_REP + state) === 1) {
+                if (pos === 0 && !full) throw new Error('corrupt LZMA data (repeat before any output)');
+                if (decodeBit(IS_REP_G0 + state) === 0) {
+                    if (decodeBit(IS_REP0_LONG + (state << 4) + posState) === 0) {
+                        state = state < 7 ? 9 : 11;
+                        putByte(getByte(rep0 + 1));
+                        remaining--;
+                        continue;
+                    }
+                } else {
+                    let distance;
+                    if (decodeBit(IS_REP_G1 + state) === 0) distance = rep1;
+                    else {
+                        if (decodeBit(IS_REP_G2 + state) === 0) distance = rep2;
+                        else {
+                            distance = rep3;
+                            rep3 = rep2;
+                        }
+                        rep2 = rep1;
+                    }
+                    rep1 = rep0;
+                    rep0 = distance;
+                }
+                length = decodeLength(REP_LEN, posState);
+                state = state < 7 ? 8 : 11;
+            } else {
+                rep3 = rep2;
+                rep2 = rep1;
+                rep1 = rep0;
+                length = decodeLength(LEN, posState);
+                state = state < 7 ? 7 : 10;
+                rep0 = decodeDistance(length);
+                if (rep0 >= dictSize || (!full && rep0 >= pos)) throw new Error('corrupt LZMA data (distance beyond dictionary)');
+            }
+            length += 2;
+            if (length > remaining) throw new Error('corrupt LZMA data (match beyond chunk)');
+            remaining -= length;
+            for (let i = 0; i < length; i++) putByte(getByte(rep0 + 1));
+        }
+        return drain();
+    }
+
+    // output so far, including a partial chunk when decoding failed part way
+    function drain() {
+        flush();
+        const produced = output;
+        output = [];
+        return produced;
+    }
+
+    function copyUncompressed(data) {
+        for (let i = 0; i < data.length; i++) putByte(data[i]);
+        flush();
+        const produced = output;
+        output = [];
+        return produced;
+    }
+
+    return { setProperties, resetState, resetDictionary, decodeChunk, copyUncompressed, drain };
+}
+
+function readVarint(data, offset) {
+    let value = 0,
+        shift = 0;
+    for (let i = 0; i < 9; i++) {
+        if (offset >= data.length) throw truncated();
+        const byte = data[offset++];
+        value += (byte & 0x7f) * 2 ** shift;
+        if ((byte & 0x80) === 0) return { value, offset };
+        shift += 7;
+    }
+    throw new Error('invalid xz integer');
+}
+
+function dictionarySize(bits) {
+    if (bits > 40) throw new Error('invalid LZMA2 dictionary size');
+    return bits === 40 ? 0xffffffff : (2 | (bits & 1)) * 2 ** (bits / 2 + 11);
+}
+
+function* decodeLzma2(data, offset, dictSize, check) {
+    const decoder = createLzmaDecoder(Math.max(4096, Math.min(dictSize, 1024 * 1024 * 1024)));
+    let needDictionaryReset = true,
+        needProperties = true;
+    for (;;) {
+        if (offset >= data.length) throw truncated();
+        const control = data[offset++];
+        if (control === 0x00) return offset;
+        if (control === 0x01 || control === 0x02) {
+            if (offset + 2 > data.length) throw truncated();
+            const size = data.readUInt16BE(offset) + 1;
+            offset += 2;
+            if (control === 0x01) decoder.resetDictionary();
+            else if (needDictionaryReset) throw new Error('corrupt LZMA2 data (no dictionary reset)');
+            needDictionaryReset = false;
+            if (offset + size > data.length) throw truncated();
+            for (const chunk of decoder.copyUncompressed(data.subarray(offset, offset + size))) {
+                check.update(chunk);
+                yield chunk;
+            }
+            offset += size;
+            continue;
+        }
+        if (control < 0x80) throw new Error(`corrupt LZMA2 data (control byte ${control})`);
+        if (offset + 4 > data.length) throw truncated();
+        const unpackedSize = (control & 0x1f) * 65536 + data.readUInt16BE(offset) + 1,
+            packedSize = data.readUInt16BE(offset + 2) + 1;
+        offset += 4;
+        const reset = (control >>> 5) & 3;
+        if (reset === 3) {
+            decoder.resetDictionary();
+            needDictionaryReset = false;
+        } else if (needDictionaryReset) throw new Error('corrupt LZMA2 data (no dictionary reset)');
+        if (reset >= 2) {
+            if (offset >= data.length) throw truncated();
+            decoder.setProperties(data[offset++]);
+            needProperties = false;
+        } else if (needProperties) throw new Error('corrupt LZMA2 data (no properties)');
+        if (reset >= 1) decoder.resetState();
+        const end = Math.min(offset + packedSize, data.length);
+        let produced;
+        try {
+            produced = decoder.decodeChunk(data, offset, end, unpackedSize);
+        } catch (e) {
+            yield* decoder.drain();
+            throw end < offset + packedSize ? truncated() : e;
+        }
+        for (const chunk of produced) {
+            check.update(chunk);
+            yield chunk;
+        }
+        offset += packedSize;
+    }
+}
+
+function* decodeBlock(data, offset, checkType) {
+    const start = offset,
+        headerSize = (data[offset] + 1) * 4;
+    if (offset + headerSize > data.length) throw truncated();
+    if (crc32(data.subarray(offset, offset + headerSize - 4)) !== data.readUInt32LE(offset + headerSize - 4)) throw new Error('block header checksum mismatch');
+    const flags = data[offset + 1];
+    let position = offset + 2;
+    if (flags & 0x40) position = readVarint(data, position).offset;
+    if (flags & 0x80) position = readVarint(data, position).offset;
+    const filterCount = (flags & 3) + 1;
+    let dictSize;
+    for (let i = 0; i < filterCount; i++) {
+        const id = readVarint(data, position),
+            propertiesSize = readVarint(data, id.offset);
+        position = propertiesSize.offset;
+        if (id.value !== FILTER_LZMA2 || i !== filterCount - 1) throw new Error(`unsupported xz filter 0x${id.value.toString(16)} (only LZMA2 is supported without the xz binary)`);
+        dictSize = dictionarySize(data[position] & 0x3f);
+        position += propertiesSize.value;
+    }
+    const check = createCheck(checkType);
+    offset = yield* decodeLzma2(data, start + headerSize, dictSize, check);
+    while ((offset - start) % 4 !== 0) if (data[offset++] !== 0) throw new Error('invalid block padding');
+    const checkSize = CHECK_SIZES[checkType];
+    if (offset + checkSize > data.length) throw truncated();
+    if (!check.matches(data.subarray(offset, offset + checkSize))) throw new Error('integrity check failed');
+    return offset + checkSize;
+}
+
+function* decodeXz(data) {
+    let offset = 0;
+    while (offset < data.length) {
+        if (data.length - offset < 12) throw truncated();
+        if (!data.subarray(offset, offset + 6).equals(HEADER_MAGIC)) throw new Error('not an xz file');
+        const checkType = data[offset + 7] & 0x0f;
+        if (CHECK_SIZES[checkType] === undefined) throw new Error(`unsupported integrity check type ${checkType}`);
+        offset += 12;
+        for (;;) {
+            if (offset >= data.length) throw truncated();
+            if (data[offset] === 0x00) break; // index
+            offset = yield* decodeBlock(data, offset, checkType);
+        }
+        const records = readVarint(data, offset + 1);
+        offset = records.offset;
+        for (let i = 0; i < records.value; i++) offset = readVarint(data, readVarint(data, offset).offset).offset;
+        while (offset % 4 !== 0) offset++;
+        offset += 4; // index CRC32
+        if (offset + 12 > data.length) throw truncated();
+        if (!data.subarray(offset + 10, offset + 12).equals(FOOTER_MAGIC)) throw new Error('invalid xz stream footer');
+        offset += 12;
+        while (offset + 4 <= data.length && data.readUInt32LE(offset) === 0) offset += 4; // stream padding
+    }
+}
+
+function createXzReadStream(filePath) {
+    return Readable.from(decodeXz(fs.readFileSync(filePath)), { objectMode: false });
+}
+
+let xzBinary;
+function hasXzBinary() {
+    if (xzBinary === undefined) {
+        xzBinary = !spawnSync('xz', ['--version'], { stdio: 'ignore' }).error;
+        if (!xzBinary && isMainThread) console.error('xz not found, decompressing .xz files in Node (slower)');
+    }
+    return xzBinary;
+}
+
+// a stream of the file's lines, and a promise that settles once it has been read: a failed or truncated decompression
+// rejects it after whatever could be read has been processed
+function openInput(filePath) {
+    let stream, finished;
+    if (filePath.endsWith('.xz') && hasXzBinary()) {
+        const xz = spawn('xz', ['-dc', filePath]);
+        let stderr = '';
+        xz.stderr.on('data', (data) => (stderr += data));
+        finished = new Promise((resolve, reject) => {
+            xz.on('error', (err) => reject(new Error(`failed to run xz: ${err.message}`)));
+            xz.on('close', (code) => (code === 0 ? resolve() : reject(new Error(stderr.trim().replace(/^xz: /, '').replace(`${filePath}: `, '') || `xz exited with code ${code}`))));
+        });
+        stream = xz.stdout;
+    } else {
+        stream = filePath.endsWith('.xz') ? createXzReadStream(filePath) : fs.createReadStream(filePath);
+        finished = new Promise((resolve, reject) => {
+            stream.on('end', resolve);
+            stream.on('error', reject);
+        });
+    }
+    finished.catch(() => {}); // awaited once the lines are read
+    return { stream, finished };
+}
+
+module.exports = {
+    decodeXz,
+    createXzReadStream,
+    openInput,
+};